@@ -0,0 +1,103 @@
+// 定石（src/game/book.js の形式）を棋譜や CPU 同士の対局から作る
+//
+// 使い方: npm run build:book -- [棋譜ファイル ...] [オプション]
+//   棋譜ファイル      テキスト形式・JSON 形式の棋譜（盤面の形・ルールが定石と違う棋譜は読み飛ばす）
+//   --self-play N     CPU 同士で N 局打って加える（既定 0）
+//   --ai AI           自己対局の CPU（tournament.js と同じ指定、既定 expert@3）
+//   --random N        自己対局の最初の N 手はランダムに打つ（既定 2）。毎局違う序盤にする
+//   --seed N          自己対局の乱数のシード（既定 1）
+//   --plies N         何手目までの局面を定石にするか（既定 10）
+//   --min-weight N    重みが N 未満の手は除く（既定 1）
+//   --shape NAME / --radius N / --layout NAME / --rules TEXT  定石の盤面とルール（自己対局もこの設定で打つ。ルールは name=value）
+//   --out FILE        書き出すファイル（省略すると標準出力）
+//
+// 重みは、その手を打った側がその対局に勝てば 2、引き分けなら 1、負けなら 0（結果のない棋譜は 1）を足したもの
+// 局面は回転・鏡映の正規形でまとめるので、対称な序盤は同じ項目に数える
+import { readFileSync, writeFileSync } from 'node:fs';
+import { BLACK, WHITE, PASS } from '../src/game/engine.js';
+import { sameRules } from '../src/game/rules.js';
+import { importRecord } from '../src/game/record.js';
+import { createBook, addBookMove, pruneBook, bookToJSON } from '../src/game/book.js';
+import { createRandom } from '../src/game/random.js';
+import { SEARCH_TIME_LIMIT } from '../src/game/search.js';
+import { fail, parseArgs, integerOption, boardOptions } from './cli.js';
+import { parseAI, playGame } from './cpu-games.js';
+
+// 対局の結果ごとの重み
+const WIN_WEIGHT = 2;
+const DRAW_WEIGHT = 1;
+const UNKNOWN_WEIGHT = 1;
+
+// 打った色から見た重み（winner は勝った色、'draw'、結果がなければ null）
+const weightFor = (player, winner) => {
+  if (winner === null) return UNKNOWN_WEIGHT;
+  if (winner === 'draw') return DRAW_WEIGHT;
+  return winner === player ? WIN_WEIGHT : 0;
+};
+
+// 対局の最初の plies 手を定石に加える（moves は [{ board, player, move }]）
+const addGame = (book, moves, winner) => {
+  moves.slice(0, book.plies).forEach(({ board, player, move }) => {
+    const weight = weightFor(player, winner);
+    if (move !== PASS && weight > 0) addBookMove(book, board, player, move, weight);
+  });
+};
+
+const { positional: files, options } = parseArgs(process.argv.slice(2));
+const { shape, layout, rules } = boardOptions(options);
+const plies = integerOption(options, 'plies', 10, 1);
+const selfPlay = integerOption(options, 'self-play', 0, 0);
+const opening = integerOption(options, 'random', 2, 0);
+const seed = integerOption(options, 'seed', 1, 0);
+const minWeight = integerOption(options, 'min-weight', 1, 1);
+if (files.length === 0 && selfPlay === 0) {
+  fail('Usage: npm run build:book -- [record files ...] [--self-play N] [--ai expert@3] [--random 2] [--seed 1] ' +
+    '[--plies 10] [--min-weight 1] [--shape hexagon] [--radius 4] [--layout standard] [--rules "goal=fewest"] [--out FILE]');
+}
+
+const book = createBook(shape, rules, plies);
+
+// 棋譜
+for (const file of files) {
+  let imported;
+  try {
+    imported = importRecord(readFileSync(file, 'utf8'));
+  } catch (error) {
+    fail(`${file}: ${error.message}`);
+  }
+  const { record, history } = imported;
+  const first = history.states[0];
+  if (first.shape.name !== shape.name || first.shape.radius !== shape.radius || !sameRules(first.rules, rules)) {
+    console.error(`${file}: skipped (different board or rules)`);
+    continue;
+  }
+  const moves = history.moves.map((move, i) => ({ board: history.states[i].board, player: history.states[i].currentPlayer, move }));
+  const winner = record.result && record.result !== '*' ? record.result : null;
+  addGame(book, moves, winner);
+}
+
+// 自己対局（先手・後手とも同じ CPU）
+if (selfPlay > 0) {
+  let ai;
+  try {
+    ai = parseAI(options.ai ?? 'expert@3', SEARCH_TIME_LIMIT);
+  } catch (error) {
+    fail(error.message);
+  }
+  if (ai.useBook) fail('--ai cannot use the opening book while building one');
+  const seeds = createRandom(seed);
+  for (let i = 0; i < selfPlay; i++) {
+    const { state, moves } = playGame({ [BLACK]: ai, [WHITE]: ai }, { shape, layout, rules, opening }, createRandom(Math.floor(seeds() * 2 ** 32)));
+    addGame(book, moves, state.result.winner ?? 'draw');
+    if ((i + 1) % 10 === 0 || i + 1 === selfPlay) console.error(`self-play ${i + 1}/${selfPlay}`);
+  }
+}
+
+pruneBook(book, minWeight);
+const json = `${bookToJSON(book)}\n`;
+if (options.out) {
+  writeFileSync(options.out, json);
+  console.error(`${book.positions.size} positions written to ${options.out}`);
+} else {
+  process.stdout.write(json);
+}
@@ -0,0 +1,215 @@
+// ビットボード（src/game/bitboard.js）と Map の盤面のルールエンジン（src/game/engine.js）の差分チェック
+//
+// 盤面の形・大きさ・ルール・人数を変えながらランダムに対局し、全ての局面で次が一致することを確かめる
+//   - 全ての色の合法手（順番も含む）と、合法手ごとの裏返る石（順番も含む）
+//   - 打った後の盤面・色ごとの石の数・連続パス数・差分で更新した Zobrist ハッシュ
+//   - 連続パスの上限があるルールでは、連続パス数だけが違う局面のハッシュが違うこと
+//   - unmakeMove で元の局面に戻ること
+//   - 2人対戦の静的評価（evaluateBoard と evaluateBitboard）
+// 最後に、空きマスの少ない局面で完全読み（solver.js）を Map の盤面で素直に読んだ結果と比べる
+//
+// 使い方: npm run check:bitboard -- [--games 4] [--seed 1]
+import { BOARD_SHAPES, START_LAYOUTS, MULTIPLAYER_LAYOUTS, createNamedShape, createInitialBoard } from '../src/game/board.js';
+import {
+  DEFAULT_PLAYERS, playersFor, createGame, applyMove, pass, legalMoves, isTerminal,
+  calculateValidMoves, calculateScores, getFlips, placeStone, opponentOf
+} from '../src/game/engine.js';
+import { createRules, goalSign } from '../src/game/rules.js';
+import { evaluateBoard, evaluateBitboard } from '../src/game/evaluate.js';
+import { solveMoves } from '../src/game/solver.js';
+import { fromKey } from '../src/game/hex.js';
+import { createRandom } from '../src/game/random.js';
+import {
+  createPosition, positionToBoard, generateMoves, flipsOf, makeMove, makePass, unmakeMove, hashPosition,
+  keyOfBit, bitOfKey
+} from '../src/game/bitboard.js';
+
+const option = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 ? Number(process.argv[index + 1]) : fallback;
+};
+
+const GAMES = option('games', 4);
+const SEED = option('seed', 1);
+
+const RULE_VARIANTS = [
+  {},
+  { goal: 'fewest' },
+  { flipLines: 'single' },
+  { chain: true },
+  { chain: true, flipLines: 'single' },
+  { noMove: 'free' },
+  { passLimit: 1 },
+  { passLimit: 2, chain: true }
+];
+
+const RADII = [3, 4, 5];
+
+// 表示する不一致の数
+const MAX_REPORTED = 20;
+
+let checks = 0;
+let mismatches = 0;
+const failures = [];
+
+const check = (ok, describe) => {
+  checks++;
+  if (ok) return;
+  mismatches++;
+  if (failures.length < MAX_REPORTED) failures.push(describe());
+};
+
+const sameList = (a, b) => a.length === b.length && a.every((value, i) => value === b[i]);
+
+const sameBoard = (a, b) => a.size === b.size && [...a].every(([key, color]) => b.get(key) === color);
+
+// 1局をランダムに打ち、全ての局面でビットボードと Map の盤面を比べる
+const playGame = (shape, layout, players, rules, random, label) => {
+  const board = createInitialBoard(layout, shape);
+  let state = createGame({ shape, rules, board, players });
+  const position = createPosition(board, players, players[0], shape, rules);
+  const initialHash = position.hash;
+  let ply = 0;
+
+  while (!isTerminal(state)) {
+    const where = `${label} ply ${ply}`;
+
+    players.forEach((color, index) => {
+      const expected = [...calculateValidMoves(color, state.board, shape, rules)];
+      const actual = generateMoves(position, index).map(bit => keyOfBit(position, bit));
+      check(sameList(expected, actual), () => `${where}: moves of ${color}: ${expected} / ${actual}`);
+    });
+
+    const moves = [...legalMoves(state)];
+    for (const move of moves) {
+      const expected = getFlips(fromKey(move), state.currentPlayer, state.board, shape, rules);
+      const actual = flipsOf(position, bitOfKey(position, move)).map(bit => keyOfBit(position, bit));
+      check(sameList(expected, actual), () => `${where}: flips of ${move}: ${expected} / ${actual}`);
+    }
+
+    if (players.length === 2) {
+      players.forEach((color, index) => {
+        const expected = evaluateBoard(state.board, color, shape, rules);
+        const actual = evaluateBitboard(position, index);
+        check(expected === actual, () => `${where}: evaluation for ${color}: ${expected} / ${actual}`);
+      });
+    }
+
+    if (moves.length === 0) {
+      state = pass(state);
+      makePass(position);
+    } else {
+      const move = moves[Math.floor(random() * moves.length)];
+      const expected = placeStone(state.board, move, state.currentPlayer, shape, rules);
+      const before = { board: positionToBoard(position), hash: position.hash };
+
+      // 打って戻して、もう一度打つ
+      makeMove(position, bitOfKey(position, move));
+      unmakeMove(position);
+      check(sameBoard(before.board, positionToBoard(position)) && before.hash === position.hash,
+        () => `${where}: unmake of ${move} did not restore the position`);
+      makeMove(position, bitOfKey(position, move));
+
+      state = applyMove(state, move);
+      check(sameBoard(expected, positionToBoard(position)), () => `${where}: board after ${move}`);
+      const scores = calculateScores(expected, players);
+      check(players.every((color, index) => scores[color] === position.counts[index]),
+        () => `${where}: counts after ${move}: ${JSON.stringify(scores)} / ${position.counts}`);
+    }
+
+    check(players[position.player] === state.currentPlayer, () => `${where}: player to move`);
+    check(position.passCount === state.passCount, () => `${where}: pass count ${state.passCount} / ${position.passCount}`);
+    check(position.hash === hashPosition(position), () => `${where}: incremental hash`);
+    ply++;
+  }
+
+  // 最初の局面まで戻す
+  while (position.undo.length > 0) unmakeMove(position);
+  check(sameBoard(board, positionToBoard(position)) && position.hash === initialHash,
+    () => `${label}: unmaking every move did not restore the initial position`);
+};
+
+// パスした局面と、同じ石の配置と手番でパスしていない局面のハッシュを比べる
+// 連続パスの上限があるルールでは違い、なければ同じになる
+const checkPassHash = (shape, layout, players, rules, label) => {
+  const board = createInitialBoard(layout, shape);
+  const position = createPosition(board, players, players[0], shape, rules);
+  for (let passes = 1; passes < players.length; passes++) {
+    makePass(position);
+    const fresh = createPosition(board, players, players[position.player], shape, rules);
+    check((fresh.hash === position.hash) === (rules.passLimit === null),
+      () => `${label} after ${passes} passes: hash ${rules.passLimit === null ? 'depends' : 'does not depend'} on the pass count`);
+    const restored = createPosition(board, players, players[position.player], shape, rules, passes);
+    check(restored.hash === position.hash, () => `${label} after ${passes} passes: hash of a position created with the pass count`);
+  }
+};
+
+// Map の盤面で素直に読み切った石差（完全読みの比較用）
+const referenceSolve = (board, player, shape, rules) => {
+  const moves = calculateValidMoves(player, board, shape, rules);
+  const opponent = opponentOf(player);
+  if (moves.size === 0) {
+    if (rules.passLimit === 1 || calculateValidMoves(opponent, board, shape, rules).size === 0) {
+      const scores = calculateScores(board);
+      return goalSign(rules) * (scores[player] - scores[opponent]);
+    }
+    return -referenceSolve(board, opponent, shape, rules);
+  }
+  return Math.max(...[...moves].map(move => -referenceSolve(placeStone(board, move, player, shape, rules), opponent, shape, rules)));
+};
+
+// 空きマスが empties 個になるまでランダムに打った局面で、完全読みを比べる
+const checkSolver = (shape, rules, empties, random, label) => {
+  let state = createGame({ shape, rules });
+  while (!isTerminal(state) && shape.cells.length - state.board.size > empties) {
+    const moves = [...legalMoves(state)];
+    state = moves.length === 0 ? pass(state) : applyMove(state, moves[Math.floor(random() * moves.length)]);
+  }
+  if (isTerminal(state)) return;
+
+  const { currentPlayer: player, board } = state;
+  const { scores } = solveMoves(board, player, shape, rules);
+  for (const move of legalMoves(state)) {
+    const expected = -referenceSolve(placeStone(board, move, player, shape, rules), opponentOf(player), shape, rules);
+    check(scores.get(move) === expected, () => `${label}: solved score of ${move}: ${expected} / ${scores.get(move)}`);
+  }
+};
+
+const random = createRandom(SEED);
+const startedAt = Date.now();
+
+for (const shapeName of Object.keys(BOARD_SHAPES)) {
+  for (const radius of RADII) {
+    const shape = createNamedShape(shapeName, radius);
+    for (const variant of RULE_VARIANTS) {
+      const rules = createRules(variant);
+      const ruleLabel = JSON.stringify(variant);
+      for (let game = 0; game < GAMES; game++) {
+        const layout = Object.keys(START_LAYOUTS)[game % Object.keys(START_LAYOUTS).length];
+        playGame(shape, layout, DEFAULT_PLAYERS, rules, random, `${shapeName} r${radius} ${ruleLabel} ${layout} #${game}`);
+      }
+      checkPassHash(shape, Object.keys(START_LAYOUTS)[0], DEFAULT_PLAYERS, rules, `${shapeName} r${radius} ${ruleLabel} pass`);
+      for (const count of Object.keys(MULTIPLAYER_LAYOUTS)) {
+        checkPassHash(shape, MULTIPLAYER_LAYOUTS[count], playersFor(Number(count)), rules,
+          `${shapeName} r${radius} ${ruleLabel} ${count} players pass`);
+        playGame(shape, MULTIPLAYER_LAYOUTS[count], playersFor(Number(count)), rules, random,
+          `${shapeName} r${radius} ${ruleLabel} ${count} players`);
+      }
+    }
+  }
+}
+
+for (const variant of RULE_VARIANTS) {
+  const shape = createNamedShape('hexagon', 3);
+  for (let game = 0; game < GAMES; game++) {
+    checkSolver(shape, createRules(variant), 7, random, `solver ${JSON.stringify(variant)} #${game}`);
+  }
+}
+
+console.log(`${checks} checks in ${((Date.now() - startedAt) / 1000).toFixed(1)} s`);
+if (mismatches > 0) {
+  console.error(`${mismatches} mismatches (first ${failures.length} shown):`);
+  failures.forEach(failure => console.error(`  ${failure}`));
+  process.exit(1);
+}
+console.log('bitboard agrees with the Map-based engine');
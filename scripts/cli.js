@@ -0,0 +1,77 @@
+// コマンドラインの引数の読み取り（scripts/ の各コマンドで共通）
+import { readFileSync } from 'node:fs';
+import {
+  BOARD_RADIUS, MIN_BOARD_RADIUS, MAX_BOARD_RADIUS, DEFAULT_SHAPE_NAME, DEFAULT_LAYOUT, createNamedShape, createInitialBoard
+} from '../src/game/board.js';
+import { createRules } from '../src/game/rules.js';
+import { textToRules } from '../src/game/record.js';
+import { readBook } from '../src/game/book.js';
+
+// 同梱の定石
+const STANDARD_BOOK = new URL('../src/books/standard.json', import.meta.url);
+
+// メッセージを表示して終了する
+export const fail = (message) => {
+  console.error(message);
+  process.exit(1);
+};
+
+// 引数を位置引数と --名前 値 のオプションに分ける（flags に含まれる名前は値を取らない）
+export const parseArgs = (argv, flags = []) => {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const name = arg.slice(2);
+    if (flags.includes(name)) {
+      options[name] = true;
+    } else {
+      if (i + 1 >= argv.length) fail(`Missing value for --${name}`);
+      options[name] = argv[++i];
+    }
+  }
+  return { positional, options };
+};
+
+// 整数のオプション（省略すると fallback）
+export const integerOption = (options, name, fallback, min, max = Infinity) => {
+  if (options[name] === undefined) return fallback;
+  const value = Number(options[name]);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    fail(max === Infinity ? `--${name} must be an integer >= ${min}` : `--${name} must be an integer from ${min} to ${max}`);
+  }
+  return value;
+};
+
+// 盤面とルールのオプション（--shape / --radius / --layout / --rules）
+// --rules は棋譜の Rules・エンジンの rules と同じ name=value のテキスト（例: "goal=fewest chain=true"）
+// 戻り値: { shape, layout, rules }
+export const boardOptions = (options) => {
+  const radius = integerOption(options, 'radius', BOARD_RADIUS, MIN_BOARD_RADIUS, MAX_BOARD_RADIUS);
+  const layout = options.layout ?? DEFAULT_LAYOUT;
+  try {
+    const shape = createNamedShape(options.shape ?? DEFAULT_SHAPE_NAME, radius);
+    const rules = createRules(textToRules(options.rules ?? ''));
+    createInitialBoard(layout, shape);
+    return { shape, layout, rules };
+  } catch (error) {
+    return fail(error.message);
+  }
+};
+
+// 定石のオプション（--book FILE は定石のファイルで、省略すると同梱の定石。--book-plies N は定石を使う手数で、省略すると定石を作った手数）
+// 戻り値: { book, bookPlies }
+export const bookOptions = (options) => {
+  const file = options.book ?? STANDARD_BOOK;
+  let book;
+  try {
+    book = readBook(JSON.parse(readFileSync(file, 'utf8')));
+  } catch (error) {
+    return fail(`${file}: ${error.message}`);
+  }
+  return { book, bookPlies: integerOption(options, 'book-plies', book.plies, 0) };
+};
@@ -0,0 +1,62 @@
+// CPU 同士の対局（tournament.js と build-book.js で共通）
+import { createInitialBoard } from '../src/game/board.js';
+import { createGame, applyMove, pass, legalMoves, isTerminal } from '../src/game/engine.js';
+import { CPU_DIFFICULTY, selectCPUMove } from '../src/game/cpu.js';
+import { MCTS_PLAYOUTS } from '../src/game/mcts.js';
+import { bookFor } from '../src/game/book.js';
+
+// AI の指定（"hard"、"expert@4"、"mcts@3000"）を { name, difficulty, search, reproducible, useBook } にする（不正なら例外）
+// 末尾に +book を付けると（"hard+book"）、序盤は定石の手を打つ
+// timeLimit は深さを付けない expert の1手あたりの思考時間
+export const parseAI = (spec, timeLimit) => {
+  const [base, extra] = spec.split('+');
+  if (extra !== undefined && extra !== 'book') throw new Error(`Invalid AI: ${spec} (only +book can be added, e.g. hard+book)`);
+  return { ...parseSearch(base, timeLimit), name: spec, useBook: extra === 'book' };
+};
+
+// 難易度と探索の指定（"expert@4" など）
+const parseSearch = (spec, timeLimit) => {
+  const [difficulty, budget] = spec.split('@');
+  if (!Object.values(CPU_DIFFICULTY).includes(difficulty)) {
+    throw new Error(`Unknown AI: ${spec} (choose from ${Object.values(CPU_DIFFICULTY).join(', ')})`);
+  }
+  if (difficulty === CPU_DIFFICULTY.MCTS) {
+    const playouts = budget === undefined ? MCTS_PLAYOUTS : Number(budget);
+    if (!Number.isInteger(playouts) || playouts < 1) throw new Error(`Invalid AI: ${spec} (e.g. mcts@3000)`);
+    return { difficulty, search: { playouts, timeLimit: Infinity }, reproducible: true };
+  }
+  if (budget === undefined) {
+    return { difficulty, search: { timeLimit }, reproducible: difficulty !== CPU_DIFFICULTY.EXPERT };
+  }
+  const maxDepth = Number(budget);
+  if (difficulty !== CPU_DIFFICULTY.EXPERT || !Number.isInteger(maxDepth) || maxDepth < 1) {
+    throw new Error(`Invalid AI: ${spec} (only expert takes a search depth, e.g. expert@4)`);
+  }
+  return { difficulty, search: { maxDepth, timeLimit: Infinity }, reproducible: true };
+};
+
+// 1局を打つ（opening 手まではランダム）
+// players は色 -> AI、setup は { shape, layout, rules, opening, book, bookPlies }（book は useBook の AI が使う定石、省略可）
+// 戻り値: { state: 終局の GameState, moves: [{ board, player, move }]（パスを除く打った手）}
+export const playGame = (players, { shape, layout, rules, opening, book = null, bookPlies }, random) => {
+  let state = createGame({ shape, rules, board: createInitialBoard(layout, shape) });
+  const moves = [];
+
+  while (!isTerminal(state)) {
+    const valid = legalMoves(state);
+    if (valid.size === 0) {
+      state = pass(state);
+      continue;
+    }
+    const ai = players[state.currentPlayer];
+    const move = moves.length < opening
+      ? [...valid][Math.floor(random() * valid.size)]
+      : selectCPUMove(valid, state.currentPlayer, state.board, ai.difficulty, shape, {
+        rules, random, book: ai.useBook ? bookFor(book, state.moveCount, bookPlies) : null, ...ai.search
+      });
+    moves.push({ board: state.board, player: state.currentPlayer, move });
+    state = applyMove(state, move);
+  }
+
+  return { state, moves };
+};
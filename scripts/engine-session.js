@@ -0,0 +1,299 @@
+// 外部のボットと対局するための行単位のエンジンプロトコル（GTP に似た形式）
+//
+// 1行に1コマンド: [id] コマンド [引数 ...]   （id は省略可の整数、空行と # 以降は無視）
+// 応答は成功なら "=[id] 結果"、失敗なら "?[id] エラー" で、空行で終わる（結果が複数行のこともある）
+//
+// 手の表記は棋譜と同じ Cube 座標の "q,r,s"、パスは "pass"。色は black / white / red / blue / green / yellow
+//
+// コマンド:
+//   protocol_version           プロトコルのバージョン
+//   name                       エンジンの名前
+//   list_commands              使えるコマンドの一覧（1行に1つ）
+//   known_command <command>    使えるコマンドなら true
+//   quit                       終了する
+//   boardsize <radius> [shape] 盤面の大きさと形を変えて、初期配置からやり直す（shape は hexagon / triangle など）
+//   rules [name=value ...]     ルールを変えて、初期配置からやり直す（棋譜の Rules と同じ書き方、省略すると標準のルール）
+//   players <2|3|6>            人数を変えて、人数ごとの初期配置からやり直す
+//   clear_board                初期配置（2人なら standard、多人数なら人数ごとの配置）からやり直す
+//   setup <color> <layout>     局面を置く（layout はプリセット名か "0,0,0:W 1,-1,0:B ..."、color は手番の色）
+//   play <color> <move>        手を打つ（打てる手がない時だけ pass）
+//   genmove <color>            CPU が手を選んで打ち、その手を返す
+//   undo                       1手戻す
+//   legal_moves                手番の色の合法手（空白区切り。打てる手がなければ pass、終局していれば空）
+//   showboard                  盤面を文字で表示する
+//   final_score                今の石の数での結果（"black+4"、同数なら "draw"。終局前でも返す）
+//   cpu <ai>                   genmove の CPU を変える（tournament.js と同じ指定。例: hard, expert@4, mcts@3000, hard+book）
+//   setoption <name> <value>   CPU の設定を変える
+//                                book on|off     序盤は定石の手を打つか（cpu を変えると、その指定の +book に戻る）
+//                                book_plies <N>  定石を使う手数（最初の N 手まで）
+//
+// 盤面・ルール・人数は対局の前に送る。どれを送っても局面は初期配置に戻るので、setup はその後に送る
+//
+// エラー（"?" の後の文字列）:
+//   unknown command   知らないコマンド
+//   syntax error      引数の数や書き方が違う
+//   invalid color     この対局にない色
+//   wrong turn        手番ではない色の手
+//   illegal move      合法手ではない（打てる手があるのに pass した時も）
+//   game is over      終局後に play / genmove した
+//   cannot undo       戻せる手がない
+//   invalid board size / invalid rules / invalid position / invalid cpu / invalid option   設定の値が不正
+import {
+  createNamedShape, DEFAULT_LAYOUT, MULTIPLAYER_LAYOUTS, BOARD_SHAPES, MIN_BOARD_RADIUS, MAX_BOARD_RADIUS
+} from '../src/game/board.js';
+import {
+  PASS, PLAYER_COUNTS, DEFAULT_PLAYERS, playersFor, legalMoves, mustPass, isTerminal, calculateScores
+} from '../src/game/engine.js';
+import { createRules, changedRules, goalSign } from '../src/game/rules.js';
+import { currentState, pushMove, goTo, canUndo } from '../src/game/history.js';
+import { RecordError, STONE_CODES, replayRecord, textToLayout, textToRules } from '../src/game/record.js';
+import { selectCPUMove } from '../src/game/cpu.js';
+import { bookFor } from '../src/game/book.js';
+import { SEARCH_TIME_LIMIT } from '../src/game/search.js';
+import { parseAI } from './cpu-games.js';
+
+export const PROTOCOL_VERSION = 1;
+export const ENGINE_NAME = 'Honeycomb Reversi';
+
+// コマンドの失敗（message がそのまま "?" の応答になる）
+export class EngineCommandError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EngineCommandError';
+  }
+}
+
+const MOVE_PATTERN = /^-?\d+,-?\d+,-?\d+$/;
+
+// 手の表記として読めるか（合法かどうかは見ない）
+export const isMoveText = (text) => text === PASS || MOVE_PATTERN.test(text);
+
+// 盤面の文字表示（行は r ごと、列は 2q + r で六角形の並びにずらす。壁は #、空きは .）
+const renderBoard = (state) => {
+  const { shape, board } = state;
+  const cells = [
+    ...shape.cells.map(cell => ({ ...cell, mark: STONE_CODES[board.get(`${cell.q},${cell.r},${cell.s}`)] ?? '.' })),
+    ...shape.walls.map(cell => ({ ...cell, mark: '#' }))
+  ];
+  const column = ({ q, r }) => 2 * q + r;
+  const minColumn = Math.min(...cells.map(column));
+  const rows = new Map();
+  for (const cell of cells) {
+    const row = rows.get(cell.r) ?? [];
+    row[column(cell) - minColumn] = cell.mark;
+    rows.set(cell.r, row);
+  }
+  return [...rows.keys()]
+    .sort((a, b) => a - b)
+    .map(r => Array.from(rows.get(r), mark => mark ?? ' ').join('').trimEnd());
+};
+
+// 今の石の数での結果（ルールの目的で一番の色と、二番目との差）
+const describeScore = (state) => {
+  const scores = calculateScores(state.board, state.players);
+  const sign = goalSign(state.rules);
+  const ranked = [...state.players].sort((a, b) => sign * (scores[b] - scores[a]));
+  const margin = sign * (scores[ranked[0]] - scores[ranked[1]]);
+  return margin === 0 ? 'draw' : `${ranked[0]}+${margin}`;
+};
+
+// エンジンのセッション（1本の入出力につき1つ）
+// ai は genmove で使う CPU の指定（不正なら例外）、timeLimit は深さを付けない expert の思考時間、random は CPU の乱数
+// book は定石を使う CPU の定石（省略すると定石なし）、bookPlies は定石を使う手数（省略すると定石を作った手数）
+// 戻り値: { handle(line) }（handle は { response: 応答の文字列, quit: quit なら true } を返す。コメント・空行なら null）
+export const createEngineSession = ({
+  ai = 'hard', timeLimit = SEARCH_TIME_LIMIT, random = Math.random, book = null, bookPlies = book?.plies ?? 0
+} = {}) => {
+  const settings = { shape: createNamedShape(), rules: createRules(), players: DEFAULT_PLAYERS };
+  let cpu = parseAI(ai, timeLimit);
+  let pliesWithBook = bookPlies;
+  let history = null;
+
+  // 人数に合わせた初期配置
+  const defaultLayout = () => MULTIPLAYER_LAYOUTS[settings.players.length] ?? DEFAULT_LAYOUT;
+
+  // 局面を置き直す（盤面に置けない配置なら RecordError）
+  const reset = (layout = defaultLayout(), first = settings.players[0]) => {
+    history = replayRecord({
+      shape: { name: settings.shape.name, radius: settings.shape.radius },
+      layout,
+      rules: changedRules(settings.rules),
+      colors: settings.players,
+      first,
+      moves: []
+    });
+  };
+  reset();
+
+  // 設定を変えて初期配置からやり直す（初期配置が置けなければ元に戻して error を返す）
+  const changeSettings = (changes, error) => {
+    const previous = { ...settings };
+    Object.assign(settings, changes);
+    try {
+      reset();
+    } catch (cause) {
+      if (!(cause instanceof RecordError)) throw cause;
+      Object.assign(settings, previous);
+      throw new EngineCommandError(error);
+    }
+    return '';
+  };
+
+  const expectArgs = (args, min, max = min) => {
+    if (args.length < min || args.length > max) throw new EngineCommandError('syntax error');
+  };
+
+  // 手番の色か確かめて、今の局面を返す
+  const turnOf = (color) => {
+    const state = currentState(history);
+    if (!state.players.includes(color)) throw new EngineCommandError('invalid color');
+    if (isTerminal(state)) throw new EngineCommandError('game is over');
+    if (state.currentPlayer !== color) throw new EngineCommandError('wrong turn');
+    return state;
+  };
+
+  const handlers = {
+    protocol_version: () => String(PROTOCOL_VERSION),
+    name: () => ENGINE_NAME,
+    list_commands: () => Object.keys(handlers).join('\n'),
+    known_command: (args) => {
+      expectArgs(args, 1);
+      return String(Object.hasOwn(handlers, args[0]));
+    },
+    quit: () => '',
+    boardsize: (args) => {
+      expectArgs(args, 1, 2);
+      const radius = Number(args[0]);
+      const name = args[1] ?? settings.shape.name;
+      if (!Number.isInteger(radius) || radius < MIN_BOARD_RADIUS || radius > MAX_BOARD_RADIUS || !BOARD_SHAPES[name]) {
+        throw new EngineCommandError('invalid board size');
+      }
+      return changeSettings({ shape: createNamedShape(name, radius) }, 'invalid board size');
+    },
+    rules: (args) => {
+      let rules;
+      try {
+        rules = createRules(textToRules(args.join(' ')));
+      } catch {
+        throw new EngineCommandError('invalid rules');
+      }
+      return changeSettings({ rules }, 'invalid rules');
+    },
+    players: (args) => {
+      expectArgs(args, 1);
+      const count = Number(args[0]);
+      if (!PLAYER_COUNTS.includes(count)) throw new EngineCommandError('syntax error');
+      return changeSettings({ players: playersFor(count) }, 'invalid position');
+    },
+    clear_board: (args) => {
+      expectArgs(args, 0);
+      reset();
+      return '';
+    },
+    setup: (args) => {
+      if (args.length < 2) throw new EngineCommandError('syntax error');
+      const [first, ...tokens] = args;
+      if (!settings.players.includes(first)) throw new EngineCommandError('invalid color');
+      try {
+        reset(textToLayout(tokens.join(' ')), first);
+      } catch (error) {
+        if (!(error instanceof RecordError)) throw error;
+        throw new EngineCommandError('invalid position');
+      }
+      return '';
+    },
+    play: (args) => {
+      expectArgs(args, 2);
+      const [color, move] = args;
+      if (move !== PASS && !MOVE_PATTERN.test(move)) throw new EngineCommandError('syntax error');
+      const state = turnOf(color);
+      const legal = move === PASS ? mustPass(state) : legalMoves(state).has(move);
+      if (!legal) throw new EngineCommandError('illegal move');
+      history = pushMove(history, move);
+      return '';
+    },
+    genmove: (args) => {
+      expectArgs(args, 1);
+      const state = turnOf(args[0]);
+      const moves = legalMoves(state);
+      const move = moves.size === 0
+        ? PASS
+        : selectCPUMove(moves, state.currentPlayer, state.board, cpu.difficulty, state.shape, {
+          players: state.players,
+          rules: state.rules,
+          random,
+          book: cpu.useBook ? bookFor(book, state.moveCount, pliesWithBook) : null,
+          ...cpu.search
+        });
+      history = pushMove(history, move);
+      return move;
+    },
+    undo: (args) => {
+      expectArgs(args, 0);
+      if (!canUndo(history)) throw new EngineCommandError('cannot undo');
+      history = goTo(history, history.index - 1);
+      return '';
+    },
+    legal_moves: (args) => {
+      expectArgs(args, 0);
+      const state = currentState(history);
+      if (isTerminal(state)) return '';
+      return mustPass(state) ? PASS : [...legalMoves(state)].join(' ');
+    },
+    showboard: (args) => {
+      expectArgs(args, 0);
+      const state = currentState(history);
+      const status = isTerminal(state) ? `game over: ${describeScore(state)}` : `${state.currentPlayer} to move`;
+      return ['', ...renderBoard(state), status].join('\n');
+    },
+    final_score: (args) => {
+      expectArgs(args, 0);
+      return describeScore(currentState(history));
+    },
+    cpu: (args) => {
+      expectArgs(args, 1);
+      try {
+        cpu = parseAI(args[0], timeLimit);
+      } catch {
+        throw new EngineCommandError('invalid cpu');
+      }
+      return '';
+    },
+    setoption: (args) => {
+      expectArgs(args, 2);
+      const [name, value] = args;
+      if (name === 'book' && ['on', 'off'].includes(value) && (book || value === 'off')) {
+        cpu = { ...cpu, useBook: value === 'on' };
+        return '';
+      }
+      if (name === 'book_plies' && /^\d+$/.test(value)) {
+        pliesWithBook = Number(value);
+        return '';
+      }
+      throw new EngineCommandError('invalid option');
+    }
+  };
+
+  const handle = (line) => {
+    const words = line.replace(/#.*/, '').trim().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return null;
+    const id = /^\d+$/.test(words[0]) ? words.shift() : '';
+    const [command, ...args] = words;
+
+    const respond = (ok, text) => {
+      // 複数行の結果（showboard）は次の行から始める
+      const body = text && !text.startsWith('\n') ? ` ${text}` : text;
+      return `${ok ? '=' : '?'}${id}${body}\n\n`;
+    };
+
+    if (!command || !Object.hasOwn(handlers, command)) return { response: respond(false, 'unknown command') };
+    try {
+      return { response: respond(true, handlers[command](args)), quit: command === 'quit' };
+    } catch (error) {
+      if (!(error instanceof EngineCommandError)) throw error;
+      return { response: respond(false, error.message) };
+    }
+  };
+
+  return { handle };
+};
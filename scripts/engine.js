@@ -0,0 +1,47 @@
+// 標準入出力でエンジンプロトコル（scripts/engine-session.js）を話す CPU
+// 外部のボットや referee.js からプロセスとして起動して使う
+//
+// 使い方: npm run engine -- [オプション]   （npm の出力が混ざらないよう、ボットからは node scripts/engine.js で起動する）
+//   --cpu AI     genmove の CPU（tournament.js と同じ指定、既定 hard）
+//   --seed N     CPU の乱数のシード（省略すると毎回変わる）
+//   --time MS    深さを付けない expert の1手あたりの思考時間（既定は探索の既定値）
+//   --book FILE  定石（既定は同梱の src/books/standard.json）。hard+book のような CPU や setoption book on で使う
+//   --book-plies N  定石を使う手数（既定は定石を作った手数）
+import { createInterface } from 'node:readline';
+import { SEARCH_TIME_LIMIT } from '../src/game/search.js';
+import { createRandom } from '../src/game/random.js';
+import { fail, parseArgs, integerOption, bookOptions } from './cli.js';
+import { createEngineSession } from './engine-session.js';
+
+const { positional, options } = parseArgs(process.argv.slice(2));
+if (positional.length > 0) {
+  fail('Usage: npm run engine -- [--cpu hard] [--seed N] [--time ms] [--book FILE] [--book-plies N]');
+}
+const { book, bookPlies } = bookOptions(options);
+
+let session;
+try {
+  session = createEngineSession({
+    ai: options.cpu ?? 'hard',
+    timeLimit: integerOption(options, 'time', SEARCH_TIME_LIMIT, 1),
+    random: options.seed === undefined ? Math.random : createRandom(integerOption(options, 'seed', 0, 0)),
+    book,
+    bookPlies
+  });
+} catch (error) {
+  fail(error.message);
+}
+
+// quit の後に読み込み済みの行は無視する
+let quitting = false;
+const input = createInterface({ input: process.stdin, terminal: false });
+input.on('line', (line) => {
+  if (quitting) return;
+  const reply = session.handle(line);
+  if (!reply) return;
+  process.stdout.write(reply.response);
+  if (reply.quit) {
+    quitting = true;
+    input.close();
+  }
+});
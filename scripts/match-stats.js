@@ -0,0 +1,91 @@
+// 対戦成績の集計（tournament.js と referee.js で共通）
+// games は1局ごとの { black: 'a' | 'b', winner: 'a' | 'b' | null, discDiff: A から見た石差 }
+import { BLACK, WHITE } from '../src/game/engine.js';
+
+// 95% 信頼区間の z 値
+const Z_95 = 1.96;
+
+// 得点率の Wilson スコア区間（全勝・全敗でも幅が 0 にならない）
+const wilsonInterval = (score, count) => {
+  const z2 = Z_95 ** 2;
+  const center = (score + z2 / (2 * count)) / (1 + z2 / count);
+  const half = (Z_95 / (1 + z2 / count)) * Math.sqrt(score * (1 - score) / count + z2 / (4 * count ** 2));
+  return { lower: Math.max(0, center - half), upper: Math.min(1, center + half) };
+};
+
+// 得点率から Elo の差（0 や 1 では無限大）
+const eloFromScore = (score) => {
+  if (score <= 0) return -Infinity;
+  if (score >= 1) return Infinity;
+  return -400 * Math.log10(1 / score - 1);
+};
+
+// A から見た勝敗・得点率・Elo の差と信頼区間（1局の得点は勝ち 1、引き分け 0.5、負け 0）
+export const summarize = (games) => {
+  const points = games.map(game => (game.winner === 'a' ? 1 : game.winner === 'b' ? 0 : 0.5));
+  const count = points.length;
+  const score = points.reduce((sum, p) => sum + p, 0) / count;
+  const interval = wilsonInterval(score, count);
+  const discDiff = games.reduce((sum, game) => sum + game.discDiff, 0) / count;
+
+  return {
+    wins: points.filter(p => p === 1).length,
+    draws: points.filter(p => p === 0.5).length,
+    losses: points.filter(p => p === 0).length,
+    score,
+    averageDiscDiff: discDiff,
+    elo: {
+      diff: eloFromScore(score),
+      lower: eloFromScore(interval.lower),
+      upper: eloFromScore(interval.upper)
+    }
+  };
+};
+
+// A が黒・白の時の成績
+const asColor = (games, color) => summarize(games.filter(game => (game.black === 'a') === (color === BLACK)));
+
+// JSON では無限大を null にする
+const finiteOrNull = (value) => (Number.isFinite(value) ? Math.round(value * 10) / 10 : null);
+
+const formatElo = (value) => {
+  if (value === Infinity) return '+inf';
+  if (value === -Infinity) return '-inf';
+  return `${value >= 0 ? '+' : ''}${Math.round(value)}`;
+};
+
+// 信頼区間（片側が無限大なら、もう片側だけの開いた区間にする）
+const formatInterval = ({ lower, upper }) => {
+  if (upper === Infinity) return `${formatElo(lower)} or more`;
+  if (lower === -Infinity) return `${formatElo(upper)} or less`;
+  return `${formatElo(lower)} to ${formatElo(upper)}`;
+};
+
+const formatSigned = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}`;
+
+// JSON で出力する成績
+export const resultsToJSON = (games) => {
+  const summary = summarize(games);
+  const withColor = (s) => ({ wins: s.wins, draws: s.draws, losses: s.losses });
+  return {
+    wins: summary.wins,
+    draws: summary.draws,
+    losses: summary.losses,
+    score: finiteOrNull(summary.score * 100) / 100,
+    averageDiscDiff: finiteOrNull(summary.averageDiscDiff),
+    elo: { diff: finiteOrNull(summary.elo.diff), lower: finiteOrNull(summary.elo.lower), upper: finiteOrNull(summary.elo.upper) },
+    asBlack: withColor(asColor(games, BLACK)),
+    asWhite: withColor(asColor(games, WHITE))
+  };
+};
+
+// 成績を表示する（nameA は A の名前）
+export const printResults = (nameA, games) => {
+  const summary = summarize(games);
+  const black = asColor(games, BLACK);
+  const white = asColor(games, WHITE);
+  console.log(`  ${nameA}: ${summary.wins} wins, ${summary.draws} draws, ${summary.losses} losses (score ${(summary.score * 100).toFixed(1)}%)`);
+  console.log(`  as black: +${black.wins} =${black.draws} -${black.losses}, as white: +${white.wins} =${white.draws} -${white.losses}`);
+  console.log(`  average disc difference: ${formatSigned(summary.averageDiscDiff)}`);
+  console.log(`  Elo difference: ${formatElo(summary.elo.diff)} (95% CI ${formatInterval(summary.elo)})`);
+};
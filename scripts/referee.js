@@ -0,0 +1,244 @@
+// エンジンプロトコル（scripts/engine-session.js）を話す2つのプロセスを対局させる
+//
+// 使い方: npm run referee -- "<エンジン A のコマンド>" "<エンジン B のコマンド>" [オプション]
+//   例: npm run referee -- "node scripts/engine.js --cpu hard+book" "python3 my_bot.py" --games 20
+//   （このゲームの CPU の定石は engine.js の --cpu hard+book や --book-plies で使う）
+//   --games N     対局数（既定 10）。先手・後手は1局ごとに入れ替える
+//   --timeout MS  1手あたりの持ち時間（既定 30000）。超えたエンジンはその対局を負けにして起動し直す
+//   --shape NAME / --radius N / --layout NAME  盤面（既定は hexagon / 4 / standard）
+//   --rules TEXT  ルールの変種（エンジンの rules と同じ name=value。例: 'goal=fewest chain=true'、省略すると標準のルール）
+//   --json        結果を JSON で出力する（途中経過は標準エラー出力）
+//
+// 局面と合法手は審判が管理し、手番のエンジンに genmove、相手に play で打った手を伝える
+// 強制パスは両方に "play <色> pass" で伝える
+// genmove にエラーを返した・合法手でない手を返した・時間切れ・プロセスの終了、または相手の手の play にエラーを返したエンジンは、その対局を負けとする
+// エンジンの標準エラー出力はそのまま表示する
+import { spawn } from 'node:child_process';
+import { createInterface } from 'node:readline';
+import { createInitialBoard } from '../src/game/board.js';
+import {
+  BLACK, WHITE, PASS, createGame, applyMove, pass, legalMoves, mustPass, isTerminal, calculateScores
+} from '../src/game/engine.js';
+import { changedRules, goalSign } from '../src/game/rules.js';
+import { rulesToText } from '../src/game/record.js';
+import { fail, parseArgs, integerOption, boardOptions } from './cli.js';
+import { isMoveText } from './engine-session.js';
+import { summarize, resultsToJSON, printResults } from './match-stats.js';
+
+// quit の後、終了を待つ時間
+const QUIT_WAIT = 2000;
+
+// エンジンが応答しない・終了した・エラーを返した（message が負けの理由になる）
+class EngineFailure extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EngineFailure';
+  }
+}
+
+// ---- エンジンのプロセス ----
+
+// command をシェルで起動する
+// 戻り値: { send(command, timeout), stop() }（send は成功した応答の本文を返し、失敗なら EngineFailure）
+const startEngine = (command) => {
+  const child = spawn(command, { shell: true, stdio: ['pipe', 'pipe', 'inherit'] });
+  let exited = false;
+  let lines = [];
+  let pending = null;
+
+  const settle = (error, text) => {
+    if (!pending) return;
+    const { resolve, reject, timer } = pending;
+    pending = null;
+    clearTimeout(timer);
+    if (error) reject(error);
+    else resolve(text);
+  };
+
+  // 応答は空行で終わる
+  createInterface({ input: child.stdout }).on('line', (line) => {
+    if (line.trim() !== '') {
+      lines.push(line);
+      return;
+    }
+    if (lines.length === 0) return;
+    const text = lines.join('\n');
+    lines = [];
+    if (text.startsWith('=')) settle(null, text.replace(/^=\d*\s?/, ''));
+    else settle(new EngineFailure(`error response: ${text.replace(/^\?\d*\s?/, '')}`));
+  });
+  child.on('exit', () => {
+    exited = true;
+    settle(new EngineFailure('engine exited'));
+  });
+  child.on('error', (error) => {
+    exited = true;
+    settle(new EngineFailure(`cannot start engine: ${error.message}`));
+  });
+  child.stdin.on('error', () => {});
+
+  const send = (line, timeout) => new Promise((resolve, reject) => {
+    if (exited) {
+      reject(new EngineFailure('engine exited'));
+      return;
+    }
+    const timer = setTimeout(() => settle(new EngineFailure('timeout')), timeout);
+    pending = { resolve, reject, timer };
+    child.stdin.write(`${line}\n`);
+  });
+
+  // quit を送って終了を待つ（終了しなければこのプロセスだけを止める）
+  const stop = () => new Promise((resolve) => {
+    if (exited) {
+      resolve();
+      return;
+    }
+    const timer = setTimeout(() => {
+      child.kill();
+      resolve();
+    }, QUIT_WAIT);
+    child.once('exit', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    child.stdin.end('quit\n');
+  });
+
+  return { send, stop };
+};
+
+// ---- 1局 ----
+
+// engines は色 -> エンジン
+// 戻り値: { state: 最後の局面, plies: 打った手の数, loser: 負けにした色（なければ null）, reason }
+const playMatch = async (engines, { shape, layout, rules }, timeout) => {
+  const colors = [BLACK, WHITE];
+  const other = (color) => (color === BLACK ? WHITE : BLACK);
+  let state = createGame({ shape, rules, board: createInitialBoard(layout, shape) });
+  let plies = 0;
+
+  // 局面の設定（どこかでエラーを返したエンジンの負け）
+  const setupCommands = [
+    `boardsize ${shape.radius} ${shape.name}`,
+    `rules ${rulesToText(changedRules(rules))}`.trim(),
+    `setup ${BLACK} ${layout}`
+  ];
+  for (const color of colors) {
+    try {
+      for (const command of setupCommands) await engines[color].send(command, timeout);
+    } catch (error) {
+      if (!(error instanceof EngineFailure)) throw error;
+      return { state, plies, loser: color, reason: `setup: ${error.message}` };
+    }
+  }
+
+  // 打った手を全員に伝える（伝えられなかったエンジンの負け）
+  const tell = async (player, move, targets) => {
+    for (const color of targets) {
+      try {
+        await engines[color].send(`play ${player} ${move}`, timeout);
+      } catch (error) {
+        if (!(error instanceof EngineFailure)) throw error;
+        return { loser: color, reason: `play ${player} ${move}: ${error.message}` };
+      }
+    }
+    return null;
+  };
+
+  while (!isTerminal(state)) {
+    const player = state.currentPlayer;
+    if (mustPass(state)) {
+      const failure = await tell(player, PASS, colors);
+      if (failure) return { state, plies, ...failure };
+      state = pass(state);
+      continue;
+    }
+
+    let move;
+    try {
+      move = (await engines[player].send(`genmove ${player}`, timeout)).trim();
+    } catch (error) {
+      if (!(error instanceof EngineFailure)) throw error;
+      return { state, plies, loser: player, reason: `genmove: ${error.message}` };
+    }
+    if (!isMoveText(move) || !legalMoves(state).has(move)) {
+      return { state, plies, loser: player, reason: `illegal move: ${move}` };
+    }
+    const failure = await tell(player, move, [other(player)]);
+    if (failure) return { state, plies, ...failure };
+    state = applyMove(state, move);
+    plies++;
+  }
+
+  return { state, plies, loser: null, reason: null };
+};
+
+// ---- 実行 ----
+
+const { positional, options } = parseArgs(process.argv.slice(2), ['json']);
+if (positional.length !== 2) {
+  fail('Usage: npm run referee -- "<engine A command>" "<engine B command>" [--games 10] [--timeout ms] ' +
+    '[--shape hexagon] [--radius 4] [--layout standard] [--rules "goal=fewest"] [--json]');
+}
+const [commandA, commandB] = positional;
+const gameCount = integerOption(options, 'games', 10, 1);
+const timeout = integerOption(options, 'timeout', 30000, 1);
+const setup = boardOptions(options);
+const { shape, layout, rules } = setup;
+
+const startedAt = new Date();
+const engines = { a: startEngine(commandA), b: startEngine(commandB) };
+const games = [];
+
+for (let i = 0; i < gameCount; i++) {
+  const aIsBlack = i % 2 === 0;
+  const aColor = aIsBlack ? BLACK : WHITE;
+  const bColor = aIsBlack ? WHITE : BLACK;
+  const { state, plies, loser, reason } = await playMatch({ [aColor]: engines.a, [bColor]: engines.b }, setup, timeout);
+
+  const winnerColor = loser ? (loser === BLACK ? WHITE : BLACK) : state.result.winner;
+  const scores = calculateScores(state.board);
+  games.push({
+    black: aIsBlack ? 'a' : 'b',
+    winner: winnerColor === null ? null : winnerColor === aColor ? 'a' : 'b',
+    // 石差は A から見た値（アンチリバーシでは石が少ないほど良いので反転する）
+    discDiff: goalSign(rules) * (scores[aColor] - scores[bColor]),
+    plies,
+    forfeit: loser ? { loser: loser === aColor ? 'a' : 'b', reason } : null
+  });
+
+  // 負けにしたエンジンは状態が分からないので起動し直す
+  if (loser) {
+    const side = loser === aColor ? 'a' : 'b';
+    console.error(`game ${i + 1}: ${side === 'a' ? commandA : commandB} forfeits (${reason})`);
+    await engines[side].stop();
+    engines[side] = startEngine(side === 'a' ? commandA : commandB);
+  }
+
+  const { wins, draws, losses } = summarize(games);
+  console.error(`${i + 1}/${gameCount}: A +${wins} =${draws} -${losses}`);
+}
+
+await Promise.all([engines.a.stop(), engines.b.stop()]);
+
+if (options.json) {
+  console.log(JSON.stringify({
+    date: startedAt.toISOString(),
+    durationMs: Date.now() - startedAt.getTime(),
+    a: commandA,
+    b: commandB,
+    settings: {
+      games: gameCount, timeout,
+      shape: { name: shape.name, radius: shape.radius }, layout, rules: changedRules(rules)
+    },
+    results: resultsToJSON(games),
+    games
+  }, null, 2));
+} else {
+  console.log(`A: ${commandA}`);
+  console.log(`B: ${commandB}`);
+  console.log(`${gameCount} games (${shape.name} radius ${shape.radius}, ${layout})`);
+  printResults('A', games);
+  const forfeits = games.filter(game => game.forfeit).length;
+  if (forfeits > 0) console.log(`  forfeits: ${forfeits}`);
+}
@@ -0,0 +1,100 @@
+// CPU 同士を繰り返し対局させて強さを比べる（勝敗・平均石差・Elo の差と 95% 信頼区間）
+//
+// 使い方: npm run tournament -- <AI A> <AI B> [オプション]
+//   AI:          CPU の難易度（easy / normal / hard / expert / mcts）
+//                expert@4 のように深さを付けると、思考時間ではなく深さで探索を打ち切るので結果を再現できる
+//                （深さを付けない expert は --time の思考時間で打ち切るため、実行ごとに結果が変わりうる）
+//                mcts@3000 のように付けた数はプレイアウト数（省略すると既定のプレイアウト数）
+//                hard+book のように +book を付けると、序盤は定石の手を打つ
+//   --games N    対局数（既定 100）。先手・後手は1局ごとに入れ替える
+//   --seed N     乱数のシード（既定 1）。同じシード・同じ設定なら同じ対局になる
+//   --opening N  最初の N 手はランダムに打つ（既定 4）。乱数を使わない AI 同士でも毎局違う対局にする
+//   --time MS    深さを付けない expert の1手あたりの思考時間（既定は探索の既定値）
+//   --shape NAME / --radius N / --layout NAME  盤面（既定は hexagon / 4 / standard）
+//   --rules TEXT ルールの変種（棋譜の Rules と同じ name=value。例: 'goal=fewest chain=true'、省略すると標準のルール）
+//   --book FILE  +book の AI が使う定石（既定は同梱の src/books/standard.json）
+//   --book-plies N  定石を使う手数（既定は定石を作った手数）
+//   --json       結果を JSON で出力する（記録を残して比べる用。途中経過は標準エラー出力）
+import { BLACK, WHITE, calculateScores } from '../src/game/engine.js';
+import { SEARCH_TIME_LIMIT } from '../src/game/search.js';
+import { changedRules, goalSign } from '../src/game/rules.js';
+import { createRandom } from '../src/game/random.js';
+import { fail, parseArgs, integerOption, boardOptions, bookOptions } from './cli.js';
+import { parseAI, playGame } from './cpu-games.js';
+import { summarize, resultsToJSON, printResults } from './match-stats.js';
+
+// ---- 実行 ----
+
+const { positional, options } = parseArgs(process.argv.slice(2), ['json']);
+if (positional.length !== 2) {
+  fail('Usage: npm run tournament -- <AI A> <AI B> [--games 100] [--seed 1] [--opening 4] [--time ms] ' +
+    '[--shape hexagon] [--radius 4] [--layout standard] [--rules "goal=fewest"] [--book FILE] [--book-plies N] [--json]');
+}
+
+const timeLimit = integerOption(options, 'time', SEARCH_TIME_LIMIT, 1);
+let ais;
+try {
+  ais = { a: parseAI(positional[0], timeLimit), b: parseAI(positional[1], timeLimit) };
+} catch (error) {
+  fail(error.message);
+}
+const gameCount = integerOption(options, 'games', 100, 1);
+const seed = integerOption(options, 'seed', 1, 0);
+const opening = integerOption(options, 'opening', 4, 0);
+const { shape, layout, rules } = boardOptions(options);
+
+// 定石は +book の AI がいる時だけ読み込む
+const { book = null, bookPlies } = ais.a.useBook || ais.b.useBook ? bookOptions(options) : {};
+
+const setup = { shape, layout, rules, opening, book, bookPlies };
+const seeds = createRandom(seed);
+const startedAt = new Date();
+const games = [];
+
+for (let i = 0; i < gameCount; i++) {
+  // 1局ごとにシードを分けて記録しておく（1局だけ再現する時に使う）
+  const gameSeed = Math.floor(seeds() * 2 ** 32);
+  const aIsBlack = i % 2 === 0;
+  const players = aIsBlack ? { [BLACK]: ais.a, [WHITE]: ais.b } : { [BLACK]: ais.b, [WHITE]: ais.a };
+  const { state, moves } = playGame(players, setup, createRandom(gameSeed));
+  const { winner } = state.result;
+  const scores = calculateScores(state.board);
+
+  const aColor = aIsBlack ? BLACK : WHITE;
+  const bColor = aIsBlack ? WHITE : BLACK;
+  games.push({
+    seed: gameSeed,
+    black: aIsBlack ? 'a' : 'b',
+    winner: winner === null ? null : winner === aColor ? 'a' : 'b',
+    // 石差は A から見た値（アンチリバーシでは石が少ないほど良いので反転する）
+    discDiff: goalSign(rules) * (scores[aColor] - scores[bColor]),
+    plies: moves.length
+  });
+
+  if ((i + 1) % 10 === 0 || i + 1 === gameCount) {
+    const { wins, draws, losses } = summarize(games);
+    console.error(`${i + 1}/${gameCount}: ${ais.a.name} +${wins} =${draws} -${losses}`);
+  }
+}
+
+if (options.json) {
+  console.log(JSON.stringify({
+    date: startedAt.toISOString(),
+    durationMs: Date.now() - startedAt.getTime(),
+    a: ais.a.name,
+    b: ais.b.name,
+    reproducible: ais.a.reproducible && ais.b.reproducible,
+    settings: {
+      games: gameCount, seed, opening, timeLimit, ...(book && { bookPlies }),
+      shape: { name: shape.name, radius: shape.radius }, layout, rules: changedRules(rules)
+    },
+    results: resultsToJSON(games),
+    games
+  }, null, 2));
+} else {
+  console.log(`${ais.a.name} vs ${ais.b.name}: ${gameCount} games (seed ${seed}, ${shape.name} radius ${shape.radius}, ${layout})`);
+  printResults(ais.a.name, games);
+  if (!ais.a.reproducible || !ais.b.reproducible) {
+    console.log('  note: expert without a depth (e.g. expert@4) is time-limited, so this run is not reproducible');
+  }
+}
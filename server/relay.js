@@ -0,0 +1,165 @@
+// 通信対戦用の WebSocket 中継サーバー（ローカルでの動作確認用の最小実装）
+//
+// 使い方: node server/relay.js [port]   （デフォルトは 8787、HOST で待ち受けるアドレスを変更できる）
+//
+// ws://localhost:8787/?room=部屋名 に接続したクライアントから受け取ったテキストを、
+// 同じ部屋の他のクライアントにそのまま転送する。メッセージの中身は見ない（検証は各クライアントが行う）
+//
+// 依存パッケージなしで動かすため、RFC 6455 のうちテキストフレーム・ping・close だけを扱う
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+
+const PORT = Number(process.argv[2] ?? process.env.PORT ?? 8787);
+const HOST = process.env.HOST ?? '127.0.0.1';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// 1フレームの最大サイズ（棋譜全体を送る sync でも十分な大きさ）
+const MAX_PAYLOAD = 1024 * 1024;
+
+const OPCODES = { TEXT: 0x1, CLOSE: 0x8, PING: 0x9, PONG: 0xa };
+
+// 部屋名 -> その部屋のソケットの Set
+const rooms = new Map();
+
+// フレームを作成（サーバーからはマスクしない）
+const encodeFrame = (opcode, payload = Buffer.alloc(0)) => {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+};
+
+// バッファの先頭からフレームを1つ取り出す（まだ揃っていなければ null）
+const decodeFrame = (buffer) => {
+  if (buffer.length < 2) return null;
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+  if (length > MAX_PAYLOAD) throw new Error('Frame too large');
+
+  const maskOffset = offset;
+  if (masked) offset += 4;
+  if (buffer.length < offset + length) return null;
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (masked) {
+    for (let i = 0; i < length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+  }
+  return { fin, opcode, payload, size: offset + length };
+};
+
+const join = (socket, room) => {
+  if (!rooms.has(room)) rooms.set(room, new Set());
+  rooms.get(room).add(socket);
+};
+
+const leave = (socket, room) => {
+  const members = rooms.get(room);
+  if (!members) return;
+  members.delete(socket);
+  if (members.size === 0) rooms.delete(room);
+};
+
+// 同じ部屋の他のクライアントに転送
+const relay = (sender, room, payload) => {
+  const frame = encodeFrame(OPCODES.TEXT, payload);
+  for (const socket of rooms.get(room) ?? []) {
+    if (socket !== sender && socket.writable) socket.write(frame);
+  }
+};
+
+const handleFrame = (socket, room, { fin, opcode, payload }) => {
+  switch (opcode) {
+    case OPCODES.TEXT:
+      // 分割されたフレームには対応しない
+      if (!fin) throw new Error('Fragmented frames are not supported');
+      relay(socket, room, payload);
+      break;
+    case OPCODES.PING:
+      socket.write(encodeFrame(OPCODES.PONG, payload));
+      break;
+    case OPCODES.CLOSE:
+      socket.end(encodeFrame(OPCODES.CLOSE));
+      break;
+    case OPCODES.PONG:
+      break;
+    default:
+      throw new Error(`Unsupported opcode: ${opcode}`);
+  }
+};
+
+const server = createServer((req, res) => {
+  res.writeHead(426, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end('Honeycomb Reversi relay: WebSocket で接続してください\n');
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  const room = new URL(req.url, 'http://localhost').searchParams.get('room');
+  if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key || !room) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+
+  join(socket, room);
+  console.log(`joined: ${room} (${rooms.get(room).size})`);
+
+  let buffer = Buffer.alloc(0);
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    try {
+      let frame;
+      while ((frame = decodeFrame(buffer))) {
+        buffer = buffer.subarray(frame.size);
+        handleFrame(socket, room, frame);
+      }
+    } catch (error) {
+      console.warn(`closing connection in ${room}: ${error.message}`);
+      socket.destroy();
+    }
+  });
+  socket.on('close', () => {
+    leave(socket, room);
+    console.log(`left: ${room}`);
+  });
+  socket.on('error', () => socket.destroy());
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`Honeycomb Reversi relay listening on ws://${HOST}:${PORT}`);
+});
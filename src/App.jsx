@@ -1,5 +1,57 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useEffectEvent, useCallback, useRef } from 'react';
 import './App.css';
+import { toKey } from './game/hex.js';
+import {
+  BOARD_RADIUS, MIN_BOARD_RADIUS, MAX_BOARD_RADIUS, DEFAULT_SHAPE_NAME, DEFAULT_LAYOUT, BOARD_SHAPES, START_LAYOUTS,
+  MULTIPLAYER_LAYOUTS, createNamedShape, createInitialBoard
+} from './game/board.js';
+import {
+  PLAYER_COLORS, PLAYER_COUNTS, DEFAULT_PLAYERS, playersFor,
+  createGame, legalMoves, mustPass, isTerminal, calculateScores, opponentOf
+} from './game/engine.js';
+import {
+  createHistory, currentState, isAtLatest, pushMove, settle, goTo, undo, redo, canUndo, canRedo
+} from './game/history.js';
+import { CPU_DIFFICULTY } from './game/cpu.js';
+import { MCTS_PLAYOUTS } from './game/mcts.js';
+import { DEFAULT_RULES, createRules, restoreRules, isDefaultRules } from './game/rules.js';
+import {
+  HUMAN, REMOTE, RANDOM_COLOR, createSeats, isCpuSeat, isHumanSeat, isCpuOnly, humanColorOf
+} from './game/seats.js';
+import {
+  DEFAULT_TIME_CONTROL, TIME_CONTROL_TYPES, createClock, startClock, pressClock, pauseClock,
+  timeUntilFlag, flaggedColor, thinkingTimeFor
+} from './game/clock.js';
+import { REVIEW_TIME_PER_MOVE, reviewPositions } from './game/analysis.js';
+import { ShareError, readFragment } from './game/share.js';
+import { createCpuClient } from './workers/cpuClient.js';
+import { MESSAGE_TYPES, ProtocolError, createMessage, parseMessage, createPeerId } from './net/protocol.js';
+import { playLocalMove, receiveMove, createSync, receiveSync } from './net/session.js';
+import { TRANSPORT_KINDS, DEFAULT_RELAY_URL, createTransport } from './net/transports.js';
+import { loadSettings, saveSettings, loadGame, saveGame, clearGame } from './storage.js';
+import { useI18n } from './i18n/context.js';
+import { describeError } from './i18n/errors.js';
+import Board from './components/Board.jsx';
+import BoardSettings from './components/BoardSettings.jsx';
+import OptionButton from './components/OptionButton.jsx';
+import OptionRow from './components/OptionRow.jsx';
+import MoveHistory from './components/MoveHistory.jsx';
+import GameRecordPanel from './components/GameRecordPanel.jsx';
+import SharePanel from './components/SharePanel.jsx';
+import RemoteSettings from './components/RemoteSettings.jsx';
+import RemotePanel from './components/RemotePanel.jsx';
+import TimeControlSettings from './components/TimeControlSettings.jsx';
+import RuleSettings from './components/RuleSettings.jsx';
+import ChessClock from './components/ChessClock.jsx';
+import AnalysisPanel from './components/AnalysisPanel.jsx';
+import PuzzleMode from './components/PuzzleMode.jsx';
+import PositionEditor from './components/PositionEditor.jsx';
+import LanguageSwitcher from './components/LanguageSwitcher.jsx';
+import { visuallyHidden } from './components/visuallyHidden.js';
+import { ANIMATION_SPEEDS, DEFAULT_ANIMATION_SPEED, createMoveAnimation } from './components/moveAnimation.js';
+import { STONE_COLORS, STONE_BORDERS } from './components/stoneColors.js';
+import { describeRules } from './components/describeRules.js';
+import { describePosition } from './announcements.js';
 
 // 効果音を再生するカスタムフック
 const useSound = (soundUrl) => {
@@ -22,321 +74,720 @@ const useSound = (soundUrl) => {
   return play;
 };
 
-// Cube座標系のヘルパー関数
-const cubeAdd = (a, b) => ({ q: a.q + b.q, r: a.r + b.r, s: a.s + b.s });
+// CPUが手を返すまでの最低限の時間（ミリ秒）
+const CPU_MIN_THINKING_TIME = 800;
 
-// 座標の距離（中心からの距離）
-const cubeDistance = (coord) => {
-  return Math.max(Math.abs(coord.q), Math.abs(coord.r), Math.abs(coord.s));
-};
-
-// 6方向の隣接セル
-const directions = [
-  { q: 1, r: -1, s: 0 },  // 右上
-  { q: 1, r: 0, s: -1 },  // 右
-  { q: 0, r: 1, s: -1 },  // 右下
-  { q: -1, r: 1, s: 0 },  // 左下
-  { q: -1, r: 0, s: 1 },  // 左
-  { q: 0, r: -1, s: 1 },  // 左上
-];
-
-// Cube座標から画面座標への変換
-const cubeToPixel = (q, r, size) => {
-  const x = size * (3/2 * q);
-  const y = size * (Math.sqrt(3)/2 * q + Math.sqrt(3) * r);
-  return { x, y };
-};
+// 全ての手の評価値を表示する時の探索時間（ミリ秒）
+const ANALYSIS_TIME_LIMIT = 500;
 
-// ボードの範囲を定義
-const BOARD_RADIUS = 4;
+// 時計が切れる予定の時刻から、時間切れを確認するまでの猶予（ミリ秒）
+const FLAG_CHECK_DELAY = 10;
 
-// 座標がボード内かチェック
-const isInBounds = (coord) => {
-  return Math.abs(coord.q) <= BOARD_RADIUS &&
-         Math.abs(coord.r) <= BOARD_RADIUS &&
-         Math.abs(coord.s) <= BOARD_RADIUS;
+// 盤面設定から新しいゲーム（棋譜）を作成
+// 多人数対戦（players が3色以上）では初期配置の設定は使わず、人数ごとの配置にする
+const createHistoryFromSettings = ({ shapeName, radius, layout, customLayout }, players = DEFAULT_PLAYERS, rules = DEFAULT_RULES) => {
+  const shape = createNamedShape(shapeName, radius);
+  const stones = players.length > 2 ? MULTIPLAYER_LAYOUTS[players.length] : layout === 'custom' ? customLayout : layout;
+  const board = createInitialBoard(stones, shape);
+  return createHistory(createGame({ shape, rules, board, players }));
 };
 
-// 初期配置を生成
-const createInitialBoard = () => {
-  const board = new Map();
-  board.set('0,0,0', 'white');
-  board.set('1,-1,0', 'black');
-  board.set('0,1,-1', 'black');
-  board.set('-1,0,1', 'black');
-  board.set('-1,1,0', 'white');
-  board.set('1,0,-1', 'white');
-  board.set('0,-1,1', 'white');
-  return board;
+// 保存されていた盤面設定を検証して復元（不正な値はデフォルトに戻す）
+const restoreBoardSettings = (saved = {}) => {
+  const valid = BOARD_SHAPES[saved.shapeName] &&
+    Number.isInteger(saved.radius) && saved.radius >= MIN_BOARD_RADIUS && saved.radius <= MAX_BOARD_RADIUS &&
+    (saved.layout === 'custom' || START_LAYOUTS[saved.layout]) &&
+    Array.isArray(saved.customLayout);
+  if (valid) return saved;
+  return {
+    shapeName: DEFAULT_SHAPE_NAME,
+    radius: BOARD_RADIUS,
+    layout: DEFAULT_LAYOUT,
+    customLayout: START_LAYOUTS[DEFAULT_LAYOUT]
+  };
 };
 
-// 指定方向に裏返せる石を探す
-const findFlipsInDirection = (coord, direction, player, currentBoard) => {
-  const flips = [];
-  let current = cubeAdd(coord, direction);
-
-  while (isInBounds(current)) {
-    const key = `${current.q},${current.r},${current.s}`;
-    const piece = currentBoard.get(key);
-    if (!piece) break;
-    if (piece === player) return flips;
-    flips.push(key);
-    current = cubeAdd(current, direction);
+// 保存されていた持ち時間の設定を復元（不正な値はデフォルトに戻す）
+const restoreTimeControl = (saved = {}) => {
+  const control = { ...DEFAULT_TIME_CONTROL };
+  if (Object.values(TIME_CONTROL_TYPES).includes(saved.type)) control.type = saved.type;
+  for (const field of ['mainTime', 'increment', 'byoyomi', 'periods']) {
+    if (Number.isInteger(saved[field]) && saved[field] > 0) control[field] = saved[field];
   }
-  return [];
+  return control;
 };
 
-// 指定位置に置いた時に裏返せる石をすべて取得
-const getFlips = (coord, player, currentBoard) => {
-  const key = `${coord.q},${coord.r},${coord.s}`;
-  if (currentBoard.has(key)) return [];
+// 新しい対局の時計（最新の局面の手番の時計を動かす）
+const createStartedClock = (control, history) => {
+  const clock = createClock(control);
+  const state = currentState(history);
+  if (!clock || !isAtLatest(history) || isTerminal(state)) return clock;
+  return startClock(clock, state.currentPlayer, Date.now());
+};
 
-  let allFlips = [];
-  for (const dir of directions) {
-    const flips = findFlipsInDirection(coord, dir, player, currentBoard);
-    if (flips.length > 0) {
-      allFlips = [...allFlips, ...flips];
-    }
-  }
-  return allFlips;
+// 保存されていたアニメーションの速さを復元（保存されていなければ、動きを減らす設定の時は off）
+const restoreAnimationSpeed = (saved) => {
+  if (saved in ANIMATION_SPEEDS) return saved;
+  return window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ? 'off' : DEFAULT_ANIMATION_SPEED;
 };
 
-// 有効な手を計算
-const calculateValidMoves = (player, currentBoard) => {
-  const moves = new Set();
-  for (let q = -BOARD_RADIUS; q <= BOARD_RADIUS; q++) {
-    for (let r = -BOARD_RADIUS; r <= BOARD_RADIUS; r++) {
-      const s = -q - r;
-      if (!isInBounds({ q, r, s })) continue;
-      const coord = { q, r, s };
-      const flips = getFlips(coord, player, currentBoard);
-      if (flips.length > 0) {
-        moves.add(`${q},${r},${s}`);
-      }
+// 保存されていた通信対戦の設定を復元（部屋の名前は毎回新しくする）
+const restoreRemoteSettings = (saved = {}) => ({
+  transport: Object.values(TRANSPORT_KINDS).includes(saved.transport) ? saved.transport : TRANSPORT_KINDS.BROADCAST,
+  relayUrl: typeof saved.relayUrl === 'string' && saved.relayUrl ? saved.relayUrl : DEFAULT_RELAY_URL,
+  room: createPeerId().slice(0, 6)
+});
+
+const isDifficulty = (value) => Object.values(CPU_DIFFICULTY).includes(value);
+
+// モンテカルロ木探索のプレイアウト数の選択肢（多いほど強く、考える時間も長い）
+const MCTS_PLAYOUT_CHOICES = [100, 300, MCTS_PLAYOUTS, 3000, 10000];
+
+// 思考中に表示する候補手の数（モンテカルロ木探索）
+const SHOWN_CANDIDATES = 3;
+
+// 多人数対戦の各色の担当の選択肢
+const MULTI_SEAT_CHOICES = [HUMAN, ...Object.values(CPU_DIFFICULTY)];
+
+// 保存されていた多人数対戦の設定を復元（不正な値はデフォルトに戻す）
+// seats は6色分を持ち、開始時に人数分の色だけを使う
+const restoreMultiSettings = (saved = {}) => ({
+  playerCount: PLAYER_COUNTS.includes(saved.playerCount) && saved.playerCount > 2 ? saved.playerCount : 3,
+  seats: Object.fromEntries(PLAYER_COLORS.map((color, i) => [
+    color,
+    MULTI_SEAT_CHOICES.includes(saved.seats?.[color]) ? saved.seats[color] : i === 0 ? HUMAN : CPU_DIFFICULTY.NORMAL
+  ]))
+});
+
+// 各色の対局者名（人間が一人だけの対戦では人間を「あなた」と表示する）
+const playerNamesFor = (t, seats) => {
+  const names = {};
+  const humans = Object.values(seats).filter(seat => seat === HUMAN).length;
+  for (const color of Object.keys(seats)) {
+    if (isCpuSeat(seats, color)) {
+      names[color] = t('players.cpu', { difficulty: t(`difficulties.${seats[color]}`) });
+    } else if (seats[color] === REMOTE) {
+      names[color] = t('players.opponent');
+    } else {
+      names[color] = humans === 1 && Object.values(seats).some(seat => seat !== HUMAN) ? t('players.you') : t(`colors.${color}`);
     }
   }
-  return moves;
-};
-
-// スコアを計算
-const calculateScores = (currentBoard) => {
-  let black = 0, white = 0;
-  currentBoard.forEach(piece => {
-    if (piece === 'black') black++;
-    else white++;
-  });
-  return { black, white };
+  return names;
 };
 
-// CPU難易度設定
-const CPU_DIFFICULTY = {
-  EASY: 'easy',
-  NORMAL: 'normal',
-  HARD: 'hard'
-};
+// undo / redo が止まる局面（人間が打てる局面）
+const isHumanTurn = (seats) => (state) => isHumanSeat(seats, state.currentPlayer) && !mustPass(state);
 
-// 位置の価値を評価（端や外周は価値が高い）
-const evaluatePosition = (q, r, s) => {
-  const distance = cubeDistance({ q, r, s });
-  // 外周に近いほど価値が高い
-  if (distance === BOARD_RADIUS) return 10; // 最外周
-  if (distance === BOARD_RADIUS - 1) return 5; // 外周の内側
-  if (distance === 0) return 3; // 中心
-  return 1;
+// 中継サーバーの URL として使えるか
+const isWebSocketUrl = (value) => {
+  try {
+    return ['ws:', 'wss:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
 };
 
-// CPUの手を評価
-const evaluateMove = (coord, player, currentBoard, difficulty) => {
-  const flips = getFlips(coord, player, currentBoard);
-  if (flips.length === 0) return -Infinity;
-
-  const positionValue = evaluatePosition(coord.q, coord.r, coord.s);
-  const flipCount = flips.length;
-
-  switch (difficulty) {
-    case CPU_DIFFICULTY.EASY:
-      // ランダム要素を強く
-      return flipCount + Math.random() * 10;
-    case CPU_DIFFICULTY.NORMAL:
-      // バランス型
-      return flipCount * 2 + positionValue + Math.random() * 3;
-    case CPU_DIFFICULTY.HARD:
-      // 戦略的
-      return flipCount * 3 + positionValue * 2 + evaluateFutureState(coord, player, currentBoard);
+// 終局の表示（投了・時間切れ・合意による終局は盤面の結果より優先する）
+const describeOutcome = (t, outcome, game, names) => {
+  switch (outcome?.reason) {
+    case 'resign':
+      return t('outcome.resign', { loser: names[opponentOf(outcome.winner)], winner: names[outcome.winner] });
+    case 'timeout':
+      return t('outcome.timeout', { loser: names[opponentOf(outcome.winner)], winner: names[outcome.winner] });
+    case 'draw':
+      return t('outcome.agreedDraw');
     default:
-      return flipCount;
+      return game.result.winner ? t('outcome.win', { winner: names[game.result.winner] }) : t('outcome.draw');
   }
 };
 
-// 将来の状態を評価（相手の手を制限できるか）
-const evaluateFutureState = (coord, player, currentBoard) => {
-  const key = `${coord.q},${coord.r},${coord.s}`;
-  const flips = getFlips(coord, player, currentBoard);
+// 思考中の表示の位置（手番の色の得点表示の辺り）
+const thinkingPosition = (players, player) => `${15 + Math.round(45 * players.indexOf(player) / (players.length - 1))}%`;
 
-  // 仮の盤面を作成
-  const newBoard = new Map(currentBoard);
-  newBoard.set(key, player);
-  flips.forEach(flipKey => newBoard.set(flipKey, player));
+// 投了・時間切れ・合意による終局を棋譜の結果にする
+const outcomeResult = (outcome) => outcome && (outcome.winner ?? 'draw');
 
-  // 相手の有効な手の数を計算
-  const opponent = player === 'black' ? 'white' : 'black';
-  const opponentMoves = calculateValidMoves(opponent, newBoard);
+const HoneycombReversi = () => {
+  const { t } = useI18n();
+  const [savedSettings] = useState(loadSettings);
+  const [boardSettings, setBoardSettings] = useState(() => restoreBoardSettings(savedSettings.boardSettings));
+  const [rules, setRules] = useState(() => restoreRules(savedSettings.rules));
+  const [history, setHistory] = useState(() => createHistoryFromSettings(boardSettings, DEFAULT_PLAYERS, rules));
+  const [gameMode, setGameMode] = useState(null); // 'pvp', 'cpu', 'watch', 'remote', 'multi', 'replay'（共有されたリンクの再生）
+  const [seats, setSeats] = useState(() => createSeats('pvp'));
+  const [cpuDifficulty, setCpuDifficulty] = useState(() => (
+    isDifficulty(savedSettings.cpuDifficulty) ? savedSettings.cpuDifficulty : CPU_DIFFICULTY.HARD
+  ));
+  const [humanColor, setHumanColor] = useState(() => (
+    ['black', 'white', RANDOM_COLOR].includes(savedSettings.humanColor) ? savedSettings.humanColor : 'black'
+  ));
+  const [watchDifficulties, setWatchDifficulties] = useState(() => ({
+    black: isDifficulty(savedSettings.watchDifficulties?.black) ? savedSettings.watchDifficulties.black : CPU_DIFFICULTY.NORMAL,
+    white: isDifficulty(savedSettings.watchDifficulties?.white) ? savedSettings.watchDifficulties.white : CPU_DIFFICULTY.HARD
+  }));
+  const [multiSettings, setMultiSettings] = useState(() => restoreMultiSettings(savedSettings.multiSettings));
+  const [mctsPlayouts, setMctsPlayouts] = useState(() => (
+    MCTS_PLAYOUT_CHOICES.includes(savedSettings.mctsPlayouts) ? savedSettings.mctsPlayouts : MCTS_PLAYOUTS
+  ));
+  const [useOpeningBook, setUseOpeningBook] = useState(savedSettings.useOpeningBook !== false);
+  const [soundEnabled, setSoundEnabled] = useState(savedSettings.soundEnabled === true);
+  const [cpuProgress, setCpuProgress] = useState(null); // 探索の途中経過 { game, depth, ... }（モンテカルロ木探索は { game, playouts, moves }）
+  const [cpuError, setCpuError] = useState(null); // CPU の Worker で起きたエラー { game, message }（その局面では考え直さない）
+  const [resumableGame, setResumableGame] = useState(loadGame); // 続きから再開できるゲーム { mode, seats, history, startPosition }
+  const [remoteSettings, setRemoteSettings] = useState(() => restoreRemoteSettings(savedSettings.remoteSettings));
+  const [remoteError, setRemoteError] = useState(null); // 表示するメッセージのキー
+  // 通信対戦の接続先 { kind, room, relayUrl, role, peerId }（対局中は変わらない）
+  const [connection, setConnection] = useState(null);
+  // 通信対戦の状態 { role, room, status, partner, drawOffer, notice: { key, error } }
+  const [remote, setRemote] = useState(null);
+  const [outcome, setOutcome] = useState(null); // 投了・時間切れ・合意による終局 { winner, reason }
+  const [timeControl, setTimeControl] = useState(() => restoreTimeControl(savedSettings.timeControl));
+  const [clock, setClock] = useState(null); // 対局時計（持ち時間なし・通信対戦・多人数対戦では null）
+  const [showFlipHints, setShowFlipHints] = useState(savedSettings.showFlipHints === true);
+  const [showMoveScores, setShowMoveScores] = useState(savedSettings.showMoveScores === true);
+  // 局面の編集から始めた検討で評価値を表示しているか（この対局の間だけで、設定には保存しない）
+  const [analysisScores, setAnalysisScores] = useState(false);
+  const [moveScores, setMoveScores] = useState(null); // 全ての手の評価値 { game, scores, depth, exact }
+  const [reviewRequest, setReviewRequest] = useState(null); // 振り返る対局の履歴
+  const [review, setReview] = useState(null); // 振り返りの結果 { states, done, total, entries, finished }
+  const [animationSpeed, setAnimationSpeed] = useState(() => restoreAnimationSpeed(savedSettings.animationSpeed));
+  const [animation, setAnimation] = useState(null); // 直前の手のアニメーション { game: 打った後の局面, ... }
+  const [puzzleOpen, setPuzzleOpen] = useState(false); // 詰めリバーシの画面（対局とは独立していて、メニューから開く）
+  const [editorOpen, setEditorOpen] = useState(false); // 局面の編集の画面（メニューから開く）
+  // 局面の編集から始めた対局の開始局面 { shape, board, currentPlayer }（リセットするとこの局面に戻る）
+  const [startPosition, setStartPosition] = useState(null);
+  const [shareError, setShareError] = useState(null); // 共有されたリンクを開けなかった時の ShareError
+
+  const game = currentState(history);
+  const { shape, board, players, currentPlayer, lastMove } = game;
+  const validMoves = legalMoves(game);
+  const gameOver = isTerminal(game) || outcome !== null;
+  const scores = calculateScores(board, players);
+  const moveScoresShown = showMoveScores || analysisScores;
+  // 評価値の表示と振り返りは2人対戦の探索を使うので、多人数対戦では行わない
+  const twoPlayer = players.length === 2;
+  const playerNames = playerNamesFor(t, seats);
+
+  // 得点表示の読み上げ用のラベル
+  // （scores をそのまま翻訳関数に渡すと、React Compiler がレンダー中の副作用と誤検出するので文字列にする）
+  const scoreLabel = (color) => t('game.scorePanel', {
+    name: playerNames[color],
+    color: t(`colors.${color}`),
+    score: String(scores[color]),
+    toMove: currentPlayer === color && !gameOver ? t('game.toMove') : ''
+  });
 
-  // 相手の手が少ないほど良い
-  return -opponentMoves.size * 0.5;
-};
+  // 効果音
+  const playPlaceSound = useSound('./place-sound.mp3');
 
-// CPUの最善手を選択
-const selectCPUMove = (validMoves, player, currentBoard, difficulty) => {
-  const movesArray = Array.from(validMoves);
-  if (movesArray.length === 0) return null;
+  // 通信対戦の通信路（接続先ごとに下の effect で作り直す）
+  const transportRef = useRef(null);
+
+  // 履歴を更新し、対局時計を最新の局面の手番に切り替える
+  // 強制パスは next に記録済みなので、パスした側の時計は動かない
+  // 過去の局面を見ているだけ（browsing）なら最新の局面の手番の時計は動かし続ける（CPUは考えないので止める）
+  // 局面を移ったら直前の手のアニメーションは打ち切る
+  const updateHistory = (next, { moved = false, browsing = false } = {}) => {
+    setHistory(next);
+    setAnimation(null);
+    if (!clock) return;
+    const now = Date.now();
+    const latest = next.states[next.states.length - 1];
+    const live = !isTerminal(latest) && !outcome;
+    if (browsing) {
+      const keepRunning = live && !isCpuSeat(seats, latest.currentPlayer) && (clock.running || isAtLatest(next));
+      setClock(keepRunning ? startClock(clock, latest.currentPlayer, now) : pauseClock(clock, now));
+      return;
+    }
+    // 過去の局面から打った場合は先の履歴を捨てるので、最新の局面の手番の手としては扱わない
+    const stopped = moved && isAtLatest(history) ? pressClock(clock, now) : pauseClock(clock, now);
+    setClock(isAtLatest(next) && live ? startClock(stopped, latest.currentPlayer, now) : stopped);
+  };
 
-  let bestMove = null;
-  let bestScore = -Infinity;
+  // 打った手のアニメーションを始める（before は打つ前、after は強制パスも含めて打った後の局面）
+  const animateMove = (before, move, after) => {
+    const moveAnimation = createMoveAnimation(before, move, animationSpeed);
+    setAnimation(moveAnimation && { ...moveAnimation, game: after });
+  };
 
-  for (const moveKey of movesArray) {
-    const [q, r, s] = moveKey.split(',').map(Number);
-    const coord = { q, r, s };
-    const score = evaluateMove(coord, player, currentBoard, difficulty);
+  // アニメーション中か（別の局面に移ったらアニメーションは表示しない）
+  const animating = animation !== null && animation.game === game;
 
-    if (score > bestScore) {
-      bestScore = score;
-      bestMove = moveKey;
+  // 手を打つ（プレイヤー・CPU共通）。相手が打てなければパスを記録する
+  // 過去の局面から打った場合、その先の履歴は捨てる
+  const playMove = (key) => {
+    // 効果音を再生
+    if (soundEnabled) {
+      playPlaceSound();
     }
-  }
 
-  return bestMove;
-};
+    // 通信対戦では最新の局面に打ち、相手に手を送る
+    if (connection) {
+      const played = playLocalMove(history, key);
+      transportRef.current?.send(createMessage(MESSAGE_TYPES.MOVE, connection.peerId, played.payload));
+      setHistory(played.history);
+      animateMove(history.states[history.states.length - 1], key, currentState(played.history));
+      return;
+    }
 
-const HoneycombReversi = () => {
-  const [board, setBoard] = useState(createInitialBoard());
-  const [currentPlayer, setCurrentPlayer] = useState('black');
-  const [validMoves, setValidMoves] = useState(new Set());
-  const [gameOver, setGameOver] = useState(false);
-  const [scores, setScores] = useState({ black: 3, white: 4 });
-  const [gameMode, setGameMode] = useState(null); // 'pvp', 'cpu'
-  const [cpuDifficulty, setCpuDifficulty] = useState(CPU_DIFFICULTY.HARD);
-  const [cpuThinking, setCpuThinking] = useState(false);
-  const [lastMove, setLastMove] = useState(null);
-  const [soundEnabled, setSoundEnabled] = useState(false);
+    const next = settle(pushMove(history, key));
+    updateHistory(next, { moved: true });
+    animateMove(currentState(history), key, currentState(next));
+  };
 
-  // 効果音
-  const playPlaceSound = useSound('./place-sound.mp3');
+  // CPUの手番か、CPUが考えているか（過去の局面の表示中は考えず、直前の手のアニメーションが終わってから考える）
+  // Worker がエラーを返した局面では考え直さない（待った・リセットで別の局面にすれば考える）
+  const cpuTurn = gameMode !== null && isCpuSeat(seats, currentPlayer) && !gameOver && isAtLatest(history);
+  const cpuFailed = cpuError?.game === game;
+  const cpuThinking = cpuTurn && !animating && !cpuFailed;
+
+  // この画面の人間が打てるか（通信対戦では最新の局面を表示している間だけ打てる。アニメーション中・再生中は打てない）
+  const humanTurn = isHumanSeat(seats, currentPlayer) && (!remote || isAtLatest(history)) && !animating && gameMode !== 'replay';
 
-  const hexSize = 25;
+  // 一手戻す（人間とCPUの対戦ではCPUの手と自分の手をまとめて戻す）
+  const handleUndo = () => {
+    updateHistory(isCpuOnly(seats) ? undo(history) : undo(history, isHumanTurn(seats)));
+  };
+
+  // 一手進める
+  const handleRedo = () => {
+    updateHistory(isCpuOnly(seats) ? redo(history) : redo(history, isHumanTurn(seats)), { browsing: true });
+  };
 
   // セルをクリック（プレイヤーの手）
-  const handleCellClick = useCallback((q, r, s) => {
-    if (gameOver || cpuThinking) return;
-    if (gameMode === 'cpu' && currentPlayer === 'white') return; // CPUのターン中は操作不可
+  const handleCellClick = (q, r, s) => {
+    if (gameOver || !humanTurn) return; // CPUのターン中は操作不可
 
-    const key = `${q},${r},${s}`;
+    const key = toKey({ q, r, s });
     if (!validMoves.has(key)) return;
 
-    const coord = { q, r, s };
-    const flips = getFlips(coord, currentPlayer, board);
+    playMove(key);
+  };
+
+  // CPUの思考・評価値の表示・振り返り用の Worker（それぞれ独立に中断できるよう分ける）
+  const cpuClientRef = useRef(null);
+  const analysisClientRef = useRef(null);
+  const reviewClientRef = useRef(null);
+  useEffect(() => {
+    const clients = [createCpuClient(), createCpuClient(), createCpuClient()];
+    [cpuClientRef.current, analysisClientRef.current, reviewClientRef.current] = clients;
+    return () => clients.forEach(client => client.dispose());
+  }, []);
 
-    const newBoard = new Map(board);
-    newBoard.set(key, currentPlayer);
-    flips.forEach(flipKey => {
-      newBoard.set(flipKey, currentPlayer);
+  // 表示中の局面の全ての手の評価値（CPUの思考中は求めない）
+  const analyzing = moveScoresShown && twoPlayer && !cpuTurn && !gameOver && validMoves.size > 0 && !cpuFailed;
+  useEffect(() => {
+    if (!analyzing) return;
+    const client = analysisClientRef.current;
+    const id = client.analyze({
+      board: game.board, player: game.currentPlayer, shape: game.shape, rules: game.rules, timeLimit: ANALYSIS_TIME_LIMIT
+    }, {
+      onResult: (result) => setMoveScores({ game, ...result }),
+      onError: (message) => setCpuError({ game, message })
     });
+    return () => client.cancel(id);
+  }, [analyzing, game]);
 
-    // 効果音を再生
-    if (soundEnabled) {
-      playPlaceSound();
-    }
+  // 対局の振り返り（別の対局になったら中断する）
+  const reviewing = reviewRequest !== null && reviewRequest.states === history.states;
+  useEffect(() => {
+    if (!reviewing) return;
+    const client = reviewClientRef.current;
+    const { states } = reviewRequest;
+    const id = client.review({
+      positions: reviewPositions(reviewRequest), shape: states[0].shape, rules: states[0].rules, timePerMove: REVIEW_TIME_PER_MOVE
+    }, {
+      onProgress: ({ done, total, entry }) => setReview(current => ({
+        states, done, total, entries: [...(current?.states === states ? current.entries : []), entry], finished: false
+      })),
+      onResult: (entries) => {
+        setReview({ states, done: entries.length, total: entries.length, entries, finished: true });
+        setReviewRequest(null);
+      },
+      onError: (message) => {
+        setReview(null);
+        setReviewRequest(null);
+        setCpuError({ game: currentState(reviewRequest), message });
+      }
+    });
+    return () => client.cancel(id);
+  }, [reviewing, reviewRequest]);
 
-    setBoard(newBoard);
-    setScores(calculateScores(newBoard));
-    setLastMove(key);
-    setCurrentPlayer(currentPlayer === 'black' ? 'white' : 'black');
-  }, [gameOver, cpuThinking, gameMode, currentPlayer, validMoves, board, soundEnabled, playPlaceSound]);
+  // 振り返りを開始・中止
+  const startReview = () => {
+    setReviewRequest(history);
+    setReview({ states: history.states, done: 0, total: reviewPositions(history).length, entries: [], finished: false });
+  };
 
-  // CPUの手を実行
-  const executeCPUMove = useCallback(() => {
-    if (gameMode !== 'cpu' || currentPlayer !== 'white' || gameOver) return;
+  const cancelReview = () => {
+    setReviewRequest(null);
+    setReview(null);
+  };
 
-    setCpuThinking(true);
+  // CPUの思考結果を打つ
+  const onCpuMove = useEffectEvent((moveKey) => {
+    playMove(moveKey);
+  });
 
-    // 思考時間をシミュレート
-    setTimeout(() => {
-      const currentValidMoves = calculateValidMoves('white', board);
+  // CPUが自分の時計から使える思考時間（持ち時間なしなら undefined で探索のデフォルト）
+  const cpuTimeLimit = useEffectEvent((player, now) => {
+    if (!clock) return undefined;
+    const empties = game.shape.cells.length - game.board.size;
+    return thinkingTimeFor(clock, player, now, Math.ceil(empties / 2));
+  });
 
-      if (currentValidMoves.size === 0) {
-        setCpuThinking(false);
-        return;
-      }
+  // CPUのターン処理（リセット・メニューに戻った時は思考を中断する）
+  useEffect(() => {
+    if (!cpuThinking) return;
+
+    const client = cpuClientRef.current;
+    const startedAt = Date.now();
+    let timer = null;
+
+    const player = game.currentPlayer;
+    const timeLimit = cpuTimeLimit(player, startedAt);
+    const id = client.start({
+      board: game.board, player, players: game.players, difficulty: seats[player], shape: game.shape, rules: game.rules, timeLimit,
+      playouts: mctsPlayouts, useBook: useOpeningBook
+    }, {
+      onProgress: (progress) => setCpuProgress({ game, ...progress }),
+      onResult: (moveKey) => {
+        if (!moveKey) return;
+        // すぐに打つと相手の手が分かりにくいので、最低限の思考時間は待つ（持ち時間の半分まで）
+        const minTime = timeLimit === undefined ? CPU_MIN_THINKING_TIME : Math.min(CPU_MIN_THINKING_TIME, timeLimit / 2);
+        const wait = Math.max(0, minTime - (Date.now() - startedAt));
+        timer = setTimeout(() => onCpuMove(moveKey), wait);
+      },
+      onError: (message) => setCpuError({ game, message })
+    });
 
-      const moveKey = selectCPUMove(currentValidMoves, 'white', board, cpuDifficulty);
+    return () => {
+      client.cancel(id);
+      clearTimeout(timer);
+    };
+  }, [cpuThinking, game, seats, mctsPlayouts, useOpeningBook]);
 
-      if (moveKey) {
-        const [q, r, s] = moveKey.split(',').map(Number);
-        const coord = { q, r, s };
-        const flips = getFlips(coord, 'white', board);
+  // 通信対戦のメッセージを送る
+  const sendRemote = (type, payload) => {
+    transportRef.current?.send(createMessage(type, connection.peerId, payload));
+  };
+
+  const updateRemote = (changes) => {
+    setRemote(current => current && { ...current, ...changes });
+  };
 
-        const newBoard = new Map(board);
-        newBoard.set(moveKey, 'white');
-        flips.forEach(flipKey => {
-          newBoard.set(flipKey, 'white');
-        });
+  // 接続状態の変化（つながったらホストは局面を送り、ゲストは参加を知らせる）
+  const onRemoteStatus = useEffectEvent((status) => {
+    updateRemote({ status });
+    if (status !== 'open') return;
+    if (remote.role === 'host') {
+      sendRemote(MESSAGE_TYPES.SYNC, createSync(history, humanColorOf(seats), outcome));
+    } else {
+      sendRemote(MESSAGE_TYPES.HELLO);
+    }
+  });
 
-        // 効果音を再生
-        if (soundEnabled) {
-          playPlaceSound();
+  // 相手からのメッセージ（相手の手は自分の盤面で検証してから打つ）
+  const onRemoteMessage = useEffectEvent((data) => {
+    const message = parseMessage(data);
+    if (!message || message.from === connection.peerId) return;
+    // 対局相手が決まった後は、同じ部屋の他のピアからのメッセージは無視する
+    if (remote.partner && message.from !== remote.partner) return;
+    if (!remote.partner && message.type !== MESSAGE_TYPES.HELLO && message.type !== MESSAGE_TYPES.SYNC) return;
+
+    const myColor = humanColorOf(seats);
+    switch (message.type) {
+      case MESSAGE_TYPES.HELLO:
+        if (remote.role !== 'host') return;
+        updateRemote({ partner: message.from });
+        sendRemote(MESSAGE_TYPES.SYNC, createSync(history, myColor, outcome));
+        break;
+      case MESSAGE_TYPES.SYNC:
+        // ホストは相手が決まるまで他のホストの局面を受け取らない
+        if (remote.role === 'host' && !remote.partner) return;
+        try {
+          setHistory(receiveSync(message));
+          setSeats(createSeats('remote', { humanColor: opponentOf(message.color) }));
+          setOutcome(message.outcome ?? null);
+          updateRemote({ partner: message.from, drawOffer: null, notice: null });
+        } catch (error) {
+          if (!(error instanceof ProtocolError)) throw error;
+          updateRemote({ notice: { key: 'remote.syncFailed', error } });
+        }
+        break;
+      case MESSAGE_TYPES.MOVE:
+        if (outcome) return;
+        try {
+          const next = receiveMove(history, message, opponentOf(myColor));
+          setHistory(next);
+          animateMove(history.states[history.states.length - 1], message.move, currentState(next));
+          updateRemote({ notice: null });
+          if (soundEnabled) playPlaceSound();
+        } catch (error) {
+          if (!(error instanceof ProtocolError)) throw error;
+          // 局面がずれているので、相手の棋譜で合わせ直す
+          updateRemote({ notice: { key: 'remote.resyncing', error } });
+          sendRemote(MESSAGE_TYPES.RESYNC);
         }
+        break;
+      case MESSAGE_TYPES.RESIGN:
+        setOutcome({ winner: myColor, reason: 'resign' });
+        break;
+      case MESSAGE_TYPES.DRAW_OFFER:
+        updateRemote({ drawOffer: 'received' });
+        break;
+      case MESSAGE_TYPES.DRAW_ACCEPT:
+        if (remote.drawOffer === 'sent') setOutcome({ winner: null, reason: 'draw' });
+        updateRemote({ drawOffer: null });
+        break;
+      case MESSAGE_TYPES.DRAW_DECLINE:
+        updateRemote({ drawOffer: null, notice: { key: 'remote.drawDeclined' } });
+        break;
+      case MESSAGE_TYPES.RESYNC:
+        sendRemote(MESSAGE_TYPES.SYNC, createSync(history, myColor, outcome));
+        break;
+    }
+  });
 
-        setBoard(newBoard);
-        setScores(calculateScores(newBoard));
-        setLastMove(moveKey);
-        setCurrentPlayer('black');
-      }
+  // 通信路を開いて受信する（メニューに戻るなどで接続先がなくなったら閉じる）
+  useEffect(() => {
+    if (!connection) return;
+    const transport = createTransport(connection.kind, connection);
+    transportRef.current = transport;
+    const unlisten = transport.listen({
+      onMessage: (data) => onRemoteMessage(data),
+      onStatus: (status) => onRemoteStatus(status)
+    });
+    return () => {
+      unlisten();
+      transport.close();
+      transportRef.current = null;
+    };
+  }, [connection]);
+
+  // 投了
+  const handleResign = () => {
+    sendRemote(MESSAGE_TYPES.RESIGN);
+    setOutcome({ winner: opponentOf(humanColorOf(seats)), reason: 'resign' });
+  };
 
-      setCpuThinking(false);
-    }, 1000 + Math.random() * 500); // 思考時間
-  }, [gameMode, currentPlayer, gameOver, board, cpuDifficulty, soundEnabled, playPlaceSound]);
+  // 引き分けを提案
+  const handleOfferDraw = () => {
+    sendRemote(MESSAGE_TYPES.DRAW_OFFER);
+    updateRemote({ drawOffer: 'sent', notice: null });
+  };
 
-  // 有効な手を更新
+  // 引き分けの提案に答える
+  const handleAnswerDraw = (accept) => {
+    sendRemote(accept ? MESSAGE_TYPES.DRAW_ACCEPT : MESSAGE_TYPES.DRAW_DECLINE);
+    if (accept) setOutcome({ winner: null, reason: 'draw' });
+    updateRemote({ drawOffer: null });
+  };
+
+  // アニメーションが終わったら打てるようにする
   useEffect(() => {
-    if (!gameMode) return;
-
-    const moves = calculateValidMoves(currentPlayer, board);
-    setValidMoves(moves);
-
-    if (moves.size === 0) {
-      const opponent = currentPlayer === 'black' ? 'white' : 'black';
-      const opponentMoves = calculateValidMoves(opponent, board);
-      if (opponentMoves.size === 0) {
-        setGameOver(true);
-      } else {
-        setCurrentPlayer(opponent);
-      }
+    if (!animating) return;
+    const timer = setTimeout(() => setAnimation(null), animation.duration);
+    return () => clearTimeout(timer);
+  }, [animating, animation]);
+
+  // 時間切れ（動いている時計が切れる時刻にタイマーをかける）
+  const onFlag = useEffectEvent(() => {
+    const now = Date.now();
+    const color = flaggedColor(clock, now);
+    if (!color) return;
+    setClock(pauseClock(clock, now));
+    setOutcome({ winner: opponentOf(color), reason: 'timeout' });
+  });
+
+  useEffect(() => {
+    if (!clock?.running) return;
+    const timer = setTimeout(() => onFlag(), timeUntilFlag(clock, Date.now()) + FLAG_CHECK_DELAY);
+    return () => clearTimeout(timer);
+  }, [clock]);
+
+  // 設定を保存
+  useEffect(() => {
+    saveSettings({
+      cpuDifficulty, humanColor, watchDifficulties, mctsPlayouts, useOpeningBook, soundEnabled, boardSettings, timeControl,
+      showFlipHints, showMoveScores, animationSpeed, multiSettings, rules,
+      remoteSettings: { transport: remoteSettings.transport, relayUrl: remoteSettings.relayUrl }
+    });
+  }, [
+    cpuDifficulty, humanColor, watchDifficulties, mctsPlayouts, useOpeningBook, soundEnabled, boardSettings, timeControl,
+    showFlipHints, showMoveScores, animationSpeed, multiSettings, rules, remoteSettings
+  ]);
+
+  // 対局中のゲームを保存（メニュー画面では最後に遊んでいたゲームを残しておく）
+  // 通信対戦は接続し直せないので保存しない。共有されたリンクの再生も、自分の対局を上書きしないよう保存しない
+  // 時間切れなどで終局した対局は、再開できないよう保存を消す
+  useEffect(() => {
+    if (!gameMode || gameMode === 'remote' || gameMode === 'replay') return;
+    if (outcome) {
+      clearGame();
+      return;
     }
-  }, [currentPlayer, board, gameMode]);
+    saveGame({ mode: gameMode, seats, history, players: playerNamesFor(t, seats), startPosition });
+  }, [gameMode, seats, history, outcome, startPosition, t]);
+
+  // 共有されたリンク（URL のフラグメント）を開いて再生する。開いたらフラグメントは消す
+  const onShareLink = useEffectEvent(() => {
+    if (!window.location.hash) return;
+    try {
+      const shared = readFragment(window.location.hash);
+      if (!shared) return;
+      setHistory(shared);
+      setClock(null);
+      setGameMode('replay');
+      setSeats(createSeats('pvp'));
+      setConnection(null);
+      setRemote(null);
+      setOutcome(null);
+      setStartPosition(null);
+      setAnalysisScores(false);
+      setEditorOpen(false);
+      setPuzzleOpen(false);
+      setShareError(null);
+    } catch (error) {
+      if (!(error instanceof ShareError)) throw error;
+      setShareError(error);
+    }
+    window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+  });
 
-  // CPUのターン処理
+  // 開いた時のリンクと、開いている間に貼り付けたリンク
   useEffect(() => {
-    if (gameMode === 'cpu' && currentPlayer === 'white' && !gameOver && validMoves.size > 0) {
-      executeCPUMove();
+    const handleHashChange = () => onShareLink();
+    handleHashChange();
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  // 再生している局面から、全員が人間の2人対戦で続きを打つ（打てなければパスを記録する）
+  const playOn = () => {
+    const settled = settle(history);
+    setHistory(settled);
+    setGameMode('pvp');
+    setClock(createStartedClock(timeControl, settled));
+  };
+
+  // 棋譜を読み込む（読み込んだ対局は全員が人間の2人対戦・多人数対戦モードで続きを打てる）
+  const handleImport = (imported) => {
+    const settled = settle(imported);
+    const importedPlayers = settled.states[0].players;
+    setHistory(settled);
+    setStartPosition(null);
+    setClock(importedPlayers.length > 2 ? null : createStartedClock(timeControl, settled));
+    setGameMode(importedPlayers.length > 2 ? 'multi' : 'pvp');
+    setSeats(createSeats('pvp', { players: importedPlayers }));
+    setConnection(null);
+    setRemote(null);
+    setOutcome(null);
+  };
+
+  // ゲームをリセット（players は手番順の色で、省略すると今の対局と同じ。通信対戦・多人数対戦では時計を使わない）
+  // 局面の編集から始めた対局は、その局面に戻す
+  const resetGame = (mode = gameMode, nextPlayers = game.players, position = startPosition) => {
+    const next = position
+      ? createHistory(createGame({ shape: position.shape, rules, board: position.board, currentPlayer: position.currentPlayer }))
+      : createHistoryFromSettings(boardSettings, nextPlayers, rules);
+    setHistory(next);
+    setClock(mode === 'remote' || nextPlayers.length > 2 ? null : createStartedClock(timeControl, next));
+    setOutcome(null);
+  };
+
+  // 選択中の盤面設定でゲームを開始（多人数対戦は設定した人数で）
+  const startGame = (mode) => {
+    const nextPlayers = mode === 'multi' ? playersFor(multiSettings.playerCount) : DEFAULT_PLAYERS;
+    resetGame(mode, nextPlayers, null);
+    setStartPosition(null);
+    setShareError(null);
+    setGameMode(mode);
+    setSeats(createSeats(mode, {
+      cpuDifficulty, humanColor, watchDifficulties, players: nextPlayers, multiSeats: multiSettings.seats
+    }));
+    setOutcome(null);
+    setResumableGame(null);
+  };
+
+  // 通信対戦を開始（ホストは盤面設定と「あなたの色」で対局を作り、ゲストはホストの局面を待つ）
+  const startRemote = (role) => {
+    const { transport: kind, room, relayUrl } = remoteSettings;
+    if (kind === TRANSPORT_KINDS.WEBSOCKET && !isWebSocketUrl(relayUrl)) {
+      setRemoteError('remote.invalidRelayUrl');
+      return;
     }
-  }, [gameMode, currentPlayer, gameOver, validMoves, executeCPUMove]);
-
-  // ゲームをリセット
-  const resetGame = () => {
-    setBoard(createInitialBoard());
-    setCurrentPlayer('black');
-    setGameOver(false);
-    setScores({ black: 3, white: 4 });
-    setLastMove(null);
-    setCpuThinking(false);
+    resetGame('remote', DEFAULT_PLAYERS, null);
+    setStartPosition(null);
+    setGameMode('remote');
+    setSeats(role === 'host' ? createSeats('remote', { humanColor }) : { black: REMOTE, white: REMOTE });
+    setOutcome(null);
+    setRemoteError(null);
+    setConnection({ kind, room, relayUrl, role, peerId: createPeerId() });
+    setRemote({ role, room, status: 'connecting', partner: null, drawOffer: null, notice: null });
+    setResumableGame(null);
+  };
+
+  // 保存されていたゲームを再開（時計は保存していないので、持ち時間は最初から。多人数対戦は時計なし）
+  const resumeGame = () => {
+    const resumed = resumableGame.history;
+    setHistory(resumed);
+    setClock(resumed.states[0].players.length > 2 ? null : createStartedClock(timeControl, resumed));
+    setGameMode(resumableGame.mode);
+    setSeats(resumableGame.seats);
+    setResumableGame(null);
+    setStartPosition(resumableGame.startPosition);
+  };
+
+  // 編集した局面から対局を始める（検討は2人対戦で全ての手の評価値を表示する）
+  const startFromPosition = (position, mode) => {
+    const nextMode = mode === 'cpu' ? 'cpu' : 'pvp';
+    resetGame(nextMode, DEFAULT_PLAYERS, position);
+    setStartPosition(position);
+    setGameMode(nextMode);
+    setSeats(createSeats(nextMode, { cpuDifficulty, humanColor }));
+    setAnalysisScores(mode === 'analysis');
+    setResumableGame(null);
+    setEditorOpen(false);
   };
 
-  // メニューに戻る
+  // メニューに戻る（盤面でも時間切れ・投了・合意でも終局していなければ、続きから再開できるようにする）
   const backToMenu = () => {
+    const latest = history.states[history.states.length - 1];
+    const finished = isTerminal(latest) || outcome !== null;
+    setResumableGame(finished || remote || gameMode === 'replay' ? null : { mode: gameMode, seats, history, startPosition });
     resetGame();
+    setClock(null);
     setGameMode(null);
+    setConnection(null);
+    setRemote(null);
+    setOutcome(null);
+    setAnalysisScores(false);
+  };
+
+  // 評価値の表示を切り替える（消す時は、検討でこの対局の間だけ表示していた評価値も消す）
+  const toggleMoveScores = () => {
+    setShowMoveScores(!moveScoresShown);
+    setAnalysisScores(false);
   };
 
+  // 詰めリバーシ（メニューに戻っても、続きから再開できるゲームはそのまま）
+  if (!gameMode && puzzleOpen) {
+    return <PuzzleMode onBack={() => setPuzzleOpen(false)} />;
+  }
+
+  // 局面の編集（前に編集した局面か、盤面設定の初期配置から始める）
+  if (!gameMode && editorOpen) {
+    return (
+      <PositionEditor
+        initialPosition={startPosition ?? currentState(createHistoryFromSettings(boardSettings))}
+        rules={rules}
+        onStart={startFromPosition}
+        onBack={() => setEditorOpen(false)}
+      />
+    );
+  }
+
   // ゲームモード選択画面
   if (!gameMode) {
     return (
@@ -353,20 +804,48 @@ const HoneycombReversi = () => {
           fontSize: '48px',
           fontWeight: 'bold',
           textAlign: 'center',
-          marginBottom: '48px',
+          marginBottom: '24px',
           color: '#fff'
         }}>
           Honeycomb Reversi
         </h1>
 
+        <LanguageSwitcher />
+
+        {shareError && (
+          <p role="alert" style={{ color: '#fca5a5', fontSize: '14px', margin: '0 0 20px', textAlign: 'center', maxWidth: '300px' }}>
+            {t('share.openFailed', { error: describeError(t, shareError) })}
+          </p>
+        )}
+
         <div style={{
           display: 'flex',
           flexDirection: 'column',
           gap: '20px',
           width: '300px'
         }}>
+          {resumableGame && !isTerminal(resumableGame.history.states[resumableGame.history.states.length - 1]) && (
+            <button
+              onClick={resumeGame}
+              style={{
+                padding: '20px 32px',
+                background: '#14b8a6',
+                color: 'white',
+                fontWeight: 'bold',
+                borderRadius: '12px',
+                border: '2px solid #5eead4',
+                cursor: 'pointer',
+                fontSize: '20px',
+                transition: 'all 0.3s',
+                boxShadow: '0 4px 6px rgba(0, 0, 0, 0.3)'
+              }}
+            >
+              {t('menu.resume', { mode: t(`modes.${resumableGame.mode}`) })}
+            </button>
+          )}
+
           <button
-            onClick={() => setGameMode('pvp')}
+            onClick={() => startGame('pvp')}
             style={{
               padding: '20px 32px',
               background: '#0d9488',
@@ -388,11 +867,11 @@ const HoneycombReversi = () => {
               e.target.style.transform = 'scale(1)';
             }}
           >
-            2人対戦
+            {t('modes.pvp')}
           </button>
 
           <button
-            onClick={() => setGameMode('cpu')}
+            onClick={() => startGame('cpu')}
             style={{
               padding: '20px 32px',
               background: '#0d9488',
@@ -414,72 +893,279 @@ const HoneycombReversi = () => {
               e.target.style.transform = 'scale(1)';
             }}
           >
-            CPU対戦
+            {t('modes.cpu')}
+          </button>
+
+          <button
+            onClick={() => startGame('watch')}
+            style={{
+              padding: '20px 32px',
+              background: '#0d9488',
+              color: 'white',
+              fontWeight: 'bold',
+              borderRadius: '12px',
+              border: 'none',
+              cursor: 'pointer',
+              fontSize: '20px',
+              transition: 'all 0.3s',
+              boxShadow: '0 4px 6px rgba(0, 0, 0, 0.3)'
+            }}
+            onMouseOver={(e) => {
+              e.target.style.background = '#0f766e';
+              e.target.style.transform = 'scale(1.05)';
+            }}
+            onMouseOut={(e) => {
+              e.target.style.background = '#0d9488';
+              e.target.style.transform = 'scale(1)';
+            }}
+          >
+            {t('modes.watch')}
+          </button>
+
+          <button
+            onClick={() => startGame('multi')}
+            style={{
+              padding: '20px 32px',
+              background: '#0d9488',
+              color: 'white',
+              fontWeight: 'bold',
+              borderRadius: '12px',
+              border: 'none',
+              cursor: 'pointer',
+              fontSize: '20px',
+              transition: 'all 0.3s',
+              boxShadow: '0 4px 6px rgba(0, 0, 0, 0.3)'
+            }}
+            onMouseOver={(e) => {
+              e.target.style.background = '#0f766e';
+              e.target.style.transform = 'scale(1.05)';
+            }}
+            onMouseOut={(e) => {
+              e.target.style.background = '#0d9488';
+              e.target.style.transform = 'scale(1)';
+            }}
+          >
+            {t('modes.multi')}
+          </button>
+
+          <button
+            onClick={() => setPuzzleOpen(true)}
+            style={{
+              padding: '20px 32px',
+              background: '#0d9488',
+              color: 'white',
+              fontWeight: 'bold',
+              borderRadius: '12px',
+              border: 'none',
+              cursor: 'pointer',
+              fontSize: '20px',
+              transition: 'all 0.3s',
+              boxShadow: '0 4px 6px rgba(0, 0, 0, 0.3)'
+            }}
+            onMouseOver={(e) => {
+              e.target.style.background = '#0f766e';
+              e.target.style.transform = 'scale(1.05)';
+            }}
+            onMouseOut={(e) => {
+              e.target.style.background = '#0d9488';
+              e.target.style.transform = 'scale(1)';
+            }}
+          >
+            {t('modes.puzzle')}
+          </button>
+
+          <button
+            onClick={() => setEditorOpen(true)}
+            style={{
+              padding: '20px 32px',
+              background: '#0d9488',
+              color: 'white',
+              fontWeight: 'bold',
+              borderRadius: '12px',
+              border: 'none',
+              cursor: 'pointer',
+              fontSize: '20px',
+              transition: 'all 0.3s',
+              boxShadow: '0 4px 6px rgba(0, 0, 0, 0.3)'
+            }}
+            onMouseOver={(e) => {
+              e.target.style.background = '#0f766e';
+              e.target.style.transform = 'scale(1.05)';
+            }}
+            onMouseOut={(e) => {
+              e.target.style.background = '#0d9488';
+              e.target.style.transform = 'scale(1)';
+            }}
+          >
+            {t('modes.editor')}
           </button>
         </div>
 
-        {/* CPU難易度選択 */}
+        {/* CPU対戦の設定 */}
         <div style={{
           marginTop: '32px',
           padding: '20px',
           background: 'rgba(255, 255, 255, 0.1)',
           borderRadius: '12px',
-          display: 'none'
+          width: '300px'
+        }}>
+          <p style={{ color: '#94a3b8', marginBottom: '12px', textAlign: 'center' }}>
+            {t('menu.cpuDifficulty')}
+          </p>
+          <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', flexWrap: 'wrap' }}>
+            {Object.values(CPU_DIFFICULTY).map(value => (
+              <OptionButton key={value} selected={cpuDifficulty === value} onClick={() => setCpuDifficulty(value)}>
+                {t(`difficulties.${value}`)}
+              </OptionButton>
+            ))}
+          </div>
+
+          <p style={{ color: '#94a3b8', margin: '20px 0 12px', textAlign: 'center' }}>
+            {t('menu.yourColor')}
+          </p>
+          <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', flexWrap: 'wrap' }}>
+            {['black', 'white', RANDOM_COLOR].map(value => (
+              <OptionButton key={value} selected={humanColor === value} onClick={() => setHumanColor(value)}>
+                {t(`menu.colorChoices.${value}`)}
+              </OptionButton>
+            ))}
+          </div>
+        </div>
+
+        {/* CPU観戦の設定 */}
+        <div style={{
+          marginTop: '20px',
+          padding: '20px',
+          background: 'rgba(255, 255, 255, 0.1)',
+          borderRadius: '12px',
+          width: '300px'
+        }}>
+          {['black', 'white'].map(color => (
+            <div key={color}>
+              <p style={{ color: '#94a3b8', margin: color === 'black' ? '0 0 12px' : '20px 0 12px', textAlign: 'center' }}>
+                {t('menu.watchCpu', { color: t(`colors.${color}`) })}
+              </p>
+              <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', flexWrap: 'wrap' }}>
+                {Object.values(CPU_DIFFICULTY).map(value => (
+                  <OptionButton
+                    key={value}
+                    selected={watchDifficulties[color] === value}
+                    onClick={() => setWatchDifficulties({ ...watchDifficulties, [color]: value })}
+                  >
+                    {t(`difficulties.${value}`)}
+                  </OptionButton>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* 多人数対戦の設定（人数と各色の担当） */}
+        <div style={{
+          marginTop: '20px',
+          padding: '20px',
+          background: 'rgba(255, 255, 255, 0.1)',
+          borderRadius: '12px',
+          width: '300px'
         }}>
           <p style={{ color: '#94a3b8', marginBottom: '12px', textAlign: 'center' }}>
-            CPU難易度
+            {t('menu.multiTitle')}: {t('menu.playerCount')}
           </p>
-          <div style={{ display: 'flex', gap: '12px' }}>
-            {Object.entries(CPU_DIFFICULTY).map(([key, value]) => (
-              <button
-                key={key}
-                onClick={() => setCpuDifficulty(value)}
-                style={{
-                  padding: '10px 20px',
-                  background: cpuDifficulty === value ? '#14b8a6' : '#334155',
-                  color: 'white',
-                  fontWeight: cpuDifficulty === value ? 'bold' : 'normal',
-                  borderRadius: '8px',
-                  border: cpuDifficulty === value ? '2px solid #5eead4' : '2px solid transparent',
-                  cursor: 'pointer',
-                  fontSize: '14px',
-                  transition: 'all 0.3s'
-                }}
+          <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', flexWrap: 'wrap' }}>
+            {PLAYER_COUNTS.filter(count => count > 2).map(count => (
+              <OptionButton
+                key={count}
+                selected={multiSettings.playerCount === count}
+                onClick={() => setMultiSettings({ ...multiSettings, playerCount: count })}
               >
-                {key === 'EASY' ? '簡単' : key === 'NORMAL' ? '普通' : '難しい'}
-              </button>
+                {t('menu.playerCounts', { count })}
+              </OptionButton>
             ))}
           </div>
+          {playersFor(multiSettings.playerCount).map(color => (
+            <div key={color}>
+              <p style={{ color: '#94a3b8', margin: '20px 0 12px', textAlign: 'center' }}>
+                {t(`colors.${color}`)}
+              </p>
+              <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', flexWrap: 'wrap' }}>
+                {MULTI_SEAT_CHOICES.map(value => (
+                  <OptionButton
+                    key={value}
+                    selected={multiSettings.seats[color] === value}
+                    onClick={() => setMultiSettings({ ...multiSettings, seats: { ...multiSettings.seats, [color]: value } })}
+                  >
+                    {value === HUMAN ? t('menu.human') : t(`difficulties.${value}`)}
+                  </OptionButton>
+                ))}
+              </div>
+            </div>
+          ))}
         </div>
+
+        {/* CPUの思考（モンテカルロ木探索のプレイアウト数と定石） */}
+        <div style={{
+          marginTop: '20px',
+          padding: '20px',
+          background: 'rgba(255, 255, 255, 0.1)',
+          borderRadius: '12px',
+          width: '300px'
+        }}>
+          <p style={{ color: '#94a3b8', marginBottom: '12px', textAlign: 'center' }}>
+            {t('menu.mctsPlayouts', { difficulty: t(`difficulties.${CPU_DIFFICULTY.MCTS}`) })}
+          </p>
+          <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', flexWrap: 'wrap' }}>
+            {MCTS_PLAYOUT_CHOICES.map(value => (
+              <OptionButton key={value} selected={mctsPlayouts === value} onClick={() => setMctsPlayouts(value)}>
+                {t('menu.playoutCount', { count: value })}
+              </OptionButton>
+            ))}
+          </div>
+          <OptionRow
+            label={t('menu.openingBook')}
+            options={[true, false]}
+            value={useOpeningBook}
+            format={(value) => t(value ? 'menu.bookOn' : 'menu.bookOff')}
+            onSelect={setUseOpeningBook}
+          />
+        </div>
+
+        <RuleSettings rules={rules} onChange={(next) => setRules(createRules(next))} />
+
+        <TimeControlSettings control={timeControl} onChange={setTimeControl} />
+
+        {/* アニメーションの速さ */}
+        <div style={{
+          marginTop: '20px',
+          padding: '20px',
+          background: 'rgba(255, 255, 255, 0.1)',
+          borderRadius: '12px',
+          width: '300px'
+        }}>
+          <p style={{ color: '#94a3b8', marginBottom: '12px', textAlign: 'center' }}>
+            {t('menu.animationSpeed')}
+          </p>
+          <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', flexWrap: 'wrap' }}>
+            {Object.keys(ANIMATION_SPEEDS).map(value => (
+              <OptionButton key={value} selected={animationSpeed === value} onClick={() => setAnimationSpeed(value)}>
+                {t(`menu.animationSpeeds.${value}`)}
+              </OptionButton>
+            ))}
+          </div>
+        </div>
+
+        <RemoteSettings
+          settings={remoteSettings}
+          onChange={setRemoteSettings}
+          error={remoteError}
+          onHost={() => startRemote('host')}
+          onJoin={() => startRemote('guest')}
+        />
+
+        <BoardSettings settings={boardSettings} onChange={setBoardSettings} />
       </div>
     );
   }
 
-  // すべてのセルを描画
-  const renderCells = () => {
-    const cells = [];
-    for (let q = -BOARD_RADIUS; q <= BOARD_RADIUS; q++) {
-      for (let r = -BOARD_RADIUS; r <= BOARD_RADIUS; r++) {
-        const s = -q - r;
-        if (!isInBounds({ q, r, s })) continue;
-
-        const { x, y } = cubeToPixel(q, r, hexSize);
-        const key = `${q},${r},${s}`;
-        const piece = board.get(key);
-        const isValid = validMoves.has(key) && (gameMode === 'pvp' || currentPlayer === 'black');
-        const isLastMove = key === lastMove;
-
-        cells.push(
-          <g key={key} onClick={() => handleCellClick(q, r, s)} style={{ cursor: isValid ? 'pointer' : 'default' }}>
-            <Honeycomb cx={x} cy={y} size={hexSize} isValid={isValid} color={piece} isLastMove={isLastMove} />
-            {piece && <Piece cx={x} cy={y} size={hexSize * 0.6} color={piece} isLastMove={isLastMove} />}
-          </g>
-        );
-      }
-    }
-    return cells;
-  };
-
   return (
     <div style={{
       display: 'flex',
@@ -510,76 +1196,98 @@ const HoneycombReversi = () => {
           marginBottom: '24px',
           fontSize: '14px'
         }}>
-          {gameMode === 'pvp' ? '2人対戦モード' : `CPU対戦モード`}
+          {t('game.mode', { mode: t(`modes.${gameMode}`) })}
+          {/* 標準と違うルールで対局している時はその内容 */}
+          {!isDefaultRules(game.rules) && (
+            <>
+              <br />
+              {describeRules(t, game.rules)}
+            </>
+          )}
         </p>
 
         <div style={{
           display: 'flex',
           justifyContent: 'space-around',
+          flexWrap: 'wrap',
           marginBottom: '24px',
           fontSize: '20px',
-          gap: '16px'
+          gap: twoPlayer ? '16px' : '8px'
         }}>
-          <div style={{
-            display: 'flex',
-            alignItems: 'center',
-            gap: '12px',
-            padding: '12px 24px',
-            borderRadius: '8px',
-            background: currentPlayer === 'black' && !gameOver ? '#1e8d84ff' : '#334155',
-            transition: 'background 0.3s',
-            position: 'relative'
-          }}>
-            <div style={{
-              width: '32px',
-              height: '32px',
-              borderRadius: '50%',
-              background: '#1f2937',
-              border: '2px solid #4b5563'
-            }}></div>
-            <span style={{ color: 'white', fontWeight: '600' }}>{scores.black}</span>
-            {gameMode === 'cpu' && (
-              <span style={{ fontSize: '12px', color: '#ccc' }}>あなた</span>
-            )}
-          </div>
-          <div style={{
-            display: 'flex',
-            alignItems: 'center',
-            gap: '12px',
-            padding: '12px 24px',
-            borderRadius: '8px',
-            background: currentPlayer === 'white' && !gameOver ? '#1ab8aaff' : '#334155',
-            transition: 'background 0.3s',
-            position: 'relative'
-          }}>
+          {players.map(color => (
+            <div
+              key={color}
+              role="group"
+              aria-label={scoreLabel(color)}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '12px',
+                padding: twoPlayer ? '12px 24px' : '8px 12px',
+                borderRadius: '8px',
+                background: currentPlayer === color && !gameOver ? (color === 'white' ? '#1ab8aaff' : '#1e8d84ff') : '#334155',
+                transition: 'background 0.3s',
+                position: 'relative'
+              }}
+            >
+              <div aria-hidden="true" style={{
+                width: '32px',
+                height: '32px',
+                borderRadius: '50%',
+                background: STONE_COLORS[color],
+                border: `2px solid ${STONE_BORDERS[color]}`
+              }}></div>
+              <span style={{ color: 'white', fontWeight: '600' }}>{scores[color]}</span>
+              {gameMode !== 'pvp' && (
+                <span style={{ fontSize: '12px', color: '#ccc' }}>{playerNames[color]}</span>
+              )}
+              {clock && <ChessClock clock={clock} color={color} />}
+            </div>
+          ))}
+        </div>
+
+        {/* 思考中の表示（読み上げられるよう、囲みの status は常に置いておく） */}
+        <div role="status">
+          {cpuThinking && (
             <div style={{
-              width: '32px',
-              height: '32px',
-              borderRadius: '50%',
-              background: '#f3f4f6',
-              border: '2px solid #d1d5db'
-            }}></div>
-            <span style={{ color: 'white', fontWeight: '600' }}>{scores.white}</span>
-            {gameMode === 'cpu' && (
-              <span style={{ fontSize: '12px', color: '#ccc' }}>CPU</span>
-            )}
-          </div>
+              textAlign: 'center',
+              marginBottom: '16px',
+              fontSize: '16px',
+              color: '#5eead4',
+              animation: 'pulse 1s infinite',
+              position: 'absolute',
+              left: thinkingPosition(players, currentPlayer),
+            }}>
+              <span style={visuallyHidden}>{t('game.thinkingPlayer', { name: playerNames[currentPlayer] })}</span>
+              {t('game.thinking')}
+              {cpuProgress?.game === game && cpuProgress.playouts === undefined && (
+                <span aria-hidden="true" style={{ fontSize: '12px', marginLeft: '8px' }}>{t('game.depth', { depth: cpuProgress.depth })}</span>
+              )}
+              {/* モンテカルロ木探索は、プレイアウト数とよく試している手の勝率 */}
+              {cpuProgress?.game === game && cpuProgress.playouts !== undefined && (
+                <span aria-hidden="true" style={{ fontSize: '12px', marginLeft: '8px' }}>
+                  {t('game.playouts', { playouts: cpuProgress.playouts })}
+                  {' '}
+                  {cpuProgress.moves.slice(0, SHOWN_CANDIDATES).map(({ move, winRate }) => (
+                    t('game.candidate', { move, winRate: Math.round(winRate * 100) })
+                  )).join(' / ')}
+                </span>
+              )}
+            </div>
+          )}
         </div>
 
-        {cpuThinking && (
-          <div style={{
-            textAlign: 'center',
-            marginBottom: '16px',
-            fontSize: '16px',
-            color: '#5eead4',
-            animation: 'pulse 1s infinite',
-            position: 'absolute',
-            left: '60%',
-          }}>
-            考え中...
-          </div>
+        {cpuFailed && (
+          <p role="alert" style={{ textAlign: 'center', color: '#fca5a5', fontSize: '14px', margin: '0 0 16px' }}>
+            {t('game.cpuFailed', { error: cpuError.message })}
+          </p>
         )}
 
+        {/* 手・裏返した石・パス・結果の読み上げ */}
+        <div aria-live="polite" aria-atomic="true" style={visuallyHidden}>
+          {describePosition(t, history, playerNames, gameOver ? describeOutcome(t, outcome, game, playerNames) : null)}
+        </div>
+
         {gameOver && (
           <div style={{
             textAlign: 'center',
@@ -588,43 +1296,73 @@ const HoneycombReversi = () => {
             fontWeight: 'bold',
             color: '#5eead4'
           }}>
-            {scores.black > scores.white ? (gameMode === 'cpu' ? 'あなた' : '黒') : scores.white > scores.black ? (gameMode === 'cpu' ? 'CPU' : '白') : '引き分け'}の勝ち！
+            {describeOutcome(t, outcome, game, playerNames)}
           </div>
         )}
 
         <div style={{ display: 'flex', justifyContent: 'center', marginBottom: '24px' }}>
-          <svg width="100%" height="100%" viewBox="-200 -200 400 400">
-            <style>
-              {`
-                @keyframes pulse {
-                  0%, 100% { opacity: 1; }
-                  50% { opacity: 0.5; }
-                }
-              `}
-            </style>
-            {renderCells()}
-          </svg>
+          <style>
+            {`
+              @keyframes pulse {
+                0%, 100% { opacity: 1; }
+                50% { opacity: 0.5; }
+              }
+            `}
+          </style>
+          <Board
+            shape={shape}
+            rules={game.rules}
+            board={board}
+            validMoves={humanTurn ? validMoves : new Set()}
+            lastMove={lastMove}
+            onCellClick={handleCellClick}
+            previewPlayer={showFlipHints && humanTurn && !gameOver ? currentPlayer : null}
+            moveScores={moveScoresShown && moveScores?.game === game ? moveScores.scores : null}
+            animation={animating ? animation : null}
+          />
         </div>
 
         <div style={{ display: 'flex', justifyContent: 'center', gap: '16px' }}>
-          <button
-            onClick={resetGame}
-            style={{
-              padding: '12px 32px',
-              background: '#0d9488',
-              color: 'white',
-              fontWeight: 'bold',
-              borderRadius: '8px',
-              border: 'none',
-              cursor: 'pointer',
-              fontSize: '16px',
-              transition: 'background 0.3s'
-            }}
-            onMouseOver={(e) => e.target.style.background = '#0f766e'}
-            onMouseOut={(e) => e.target.style.background = '#0d9488'}
-          >
-            リセット
-          </button>
+          {gameMode === 'replay' && (
+            <button
+              onClick={playOn}
+              style={{
+                padding: '12px 32px',
+                background: '#0d9488',
+                color: 'white',
+                fontWeight: 'bold',
+                borderRadius: '8px',
+                border: 'none',
+                cursor: 'pointer',
+                fontSize: '16px',
+                transition: 'background 0.3s'
+              }}
+              onMouseOver={(e) => e.target.style.background = '#0f766e'}
+              onMouseOut={(e) => e.target.style.background = '#0d9488'}
+            >
+              {t('share.playOn')}
+            </button>
+          )}
+          {!remote && gameMode !== 'replay' && (
+            <button
+              onClick={() => resetGame()}
+              style={{
+                padding: '12px 32px',
+                background: '#0d9488',
+                color: 'white',
+                fontWeight: 'bold',
+                borderRadius: '8px',
+                border: 'none',
+                cursor: 'pointer',
+                fontSize: '16px',
+                transition: 'background 0.3s'
+              }}
+              onMouseOver={(e) => e.target.style.background = '#0f766e'}
+              onMouseOut={(e) => e.target.style.background = '#0d9488'}
+            >
+              {t('game.reset')}
+            </button>
+          )}
           <button
             onClick={() => setSoundEnabled(!soundEnabled)}
             style={{
@@ -659,51 +1397,53 @@ const HoneycombReversi = () => {
             onMouseOver={(e) => e.target.style.background = '#334155'}
             onMouseOut={(e) => e.target.style.background = '#475569'}
           >
-            戻る
+            {t('game.back')}
           </button>
         </div>
-      </div>
-    </div>
-  );
-};
 
-// マスコンポーネント
-const Honeycomb = ({ cx, cy, size, isValid, color, isLastMove }) => {
-  const points = [];
-  for (let i = 0; i < 6; i++) {
-    const angle = (Math.PI / 3) * i;
-    const x = cx + size * Math.cos(angle);
-    const y = cy + size * Math.sin(angle);
-    points.push(`${x},${y}`);
-  }
-
-  return (
-    <polygon
-      points={points.join(' ')}
-      fill={isLastMove ? '#29bd62ff' : '#14b8a6'}
-      stroke='#0f766e'
-      strokeWidth='2'
-      style={{
-        opacity: isValid || color ? 1 : 0.6,
-
-      }}
-    />
-  );
-};
+        <MoveHistory
+          history={history}
+          canUndo={canUndo(history)}
+          canRedo={canRedo(history)}
+          onUndo={handleUndo}
+          onRedo={handleRedo}
+          onSelect={(index) => updateHistory(goTo(history, index), { browsing: true })}
+        />
+
+        {remote && (
+          <RemotePanel
+            remote={remote}
+            gameOver={outcome !== null || isTerminal(history.states[history.states.length - 1])}
+            onResign={handleResign}
+            onOfferDraw={handleOfferDraw}
+            onAnswerDraw={handleAnswerDraw}
+          />
+        )}
 
-// 石コンポーネント
-const Piece = ({ cx, cy, size, color, isLastMove }) => {
-  return (
-    <>
-      <circle
-        cx={cx}
-        cy={cy}
-        r={size}
-        fill={color === 'black' ? '#1f2937' : '#f3f4f6'}
-        strokeWidth='2'
-        style={{ pointerEvents: 'none' }}
-      />
-    </>
+        <AnalysisPanel
+          showFlips={showFlipHints}
+          onToggleFlips={() => setShowFlipHints(!showFlipHints)}
+          showScores={moveScoresShown}
+          onToggleScores={toggleMoveScores}
+          scoreDepth={moveScores?.game === game ? moveScores.depth : null}
+          canAnalyze={twoPlayer}
+          canReview={twoPlayer && (outcome !== null || isTerminal(history.states[history.states.length - 1]))}
+          review={review?.states === history.states ? review : null}
+          onStartReview={startReview}
+          onCancelReview={cancelReview}
+          onSelect={(index) => updateHistory(goTo(history, index), { browsing: true })}
+        />
+
+        <GameRecordPanel
+          history={history}
+          players={playerNames}
+          result={outcomeResult(outcome)}
+          onImport={handleImport}
+        />
+
+        {twoPlayer && <SharePanel history={history} />}
+      </div>
+    </div>
   );
 };
 
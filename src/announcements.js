@@ -0,0 +1,51 @@
+// スクリーンリーダー向けの読み上げ文（表示中の局面に至る手・裏返した石・パス・結果）
+import { fromKey } from './game/hex.js';
+import { PASS, getFlips, isTerminal, calculateScores } from './game/engine.js';
+
+// 表示中の局面を説明する
+// t: 翻訳関数、names: 色ごとの対局者名、resultText: 終局していればその表示
+export const describePosition = (t, history, names, resultText) => {
+  const { states, moves, index } = history;
+  const state = states[index];
+  const sentences = [];
+
+  // 対局者名と色（2人対戦では名前が色そのもの）
+  const who = (player) => {
+    const color = t(`colors.${player}`);
+    return names[player] === color ? color : t('announce.player', { name: names[player], color });
+  };
+
+  // 直前の手の後に続く強制パスをさかのぼる
+  let i = index - 1;
+  const passes = [];
+  while (i >= 0 && moves[i] === PASS) {
+    passes.unshift(states[i].currentPlayer);
+    i--;
+  }
+
+  if (i >= 0) {
+    const before = states[i];
+    const player = before.currentPlayer;
+    const flips = getFlips(fromKey(moves[i]), player, before.board, before.shape, before.rules);
+    sentences.push(t('announce.move', { player: who(player), move: moves[i], count: flips.length, flips: flips.join(' ') }));
+  } else {
+    sentences.push(t('announce.start'));
+  }
+
+  for (const player of passes) {
+    sentences.push(t('announce.pass', { player: who(player) }));
+  }
+
+  const scores = calculateScores(state.board, state.players);
+  sentences.push(state.players
+    .map(player => t('announce.score', { color: t(`colors.${player}`), score: scores[player] }))
+    .join(t('announce.listSeparator')));
+
+  if (resultText) {
+    sentences.push(resultText);
+  } else if (!isTerminal(state)) {
+    sentences.push(t('announce.turn', { player: who(state.currentPlayer) }));
+  }
+
+  return sentences.join(t('announce.separator'));
+};
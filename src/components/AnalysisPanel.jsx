@@ -0,0 +1,103 @@
+import React from 'react';
+import { MOVE_QUALITY } from '../game/analysis.js';
+import { useI18n } from '../i18n/context.js';
+import { formatScore } from './formatScore.js';
+
+const buttonStyle = (active) => ({
+  padding: '8px 16px',
+  background: active ? '#14b8a6' : '#475569',
+  color: 'white',
+  fontWeight: 'bold',
+  borderRadius: '8px',
+  border: active ? '2px solid #5eead4' : '2px solid transparent',
+  cursor: 'pointer',
+  fontSize: '14px'
+});
+
+// 一覧に出す手の評価と表示色
+const QUALITY_COLORS = {
+  [MOVE_QUALITY.MISTAKE]: '#fcd34d',
+  [MOVE_QUALITY.BLUNDER]: '#fca5a5'
+};
+
+// ヒント（裏返る石・評価値）の切り替えと、終局後の振り返り
+// canAnalyze は評価値を求められるか（多人数対戦では求めない）、review: { done, total, entries, finished } | null
+const AnalysisPanel = ({
+  showFlips, onToggleFlips, showScores, onToggleScores, scoreDepth, canAnalyze,
+  canReview, review, onStartReview, onCancelReview, onSelect
+}) => {
+  const { t } = useI18n();
+  const flagged = review?.entries.filter(entry => QUALITY_COLORS[entry.quality]) ?? [];
+
+  return (
+    <div style={{
+      marginTop: '16px',
+      padding: '16px',
+      background: 'rgba(255, 255, 255, 0.1)',
+      borderRadius: '12px',
+      color: 'white',
+      fontSize: '14px'
+    }}>
+      <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', flexWrap: 'wrap', alignItems: 'center' }}>
+        <button onClick={onToggleFlips} style={buttonStyle(showFlips)}>{t('analysis.showFlips')}</button>
+        {canAnalyze && (
+          <button onClick={onToggleScores} style={buttonStyle(showScores)}>{t('analysis.showScores')}</button>
+        )}
+        {canAnalyze && showScores && scoreDepth !== null && (
+          <span style={{ color: '#94a3b8', fontSize: '12px' }}>{t('analysis.depth', { depth: scoreDepth })}</span>
+        )}
+      </div>
+
+      {canReview && (
+        <div style={{ marginTop: '12px', textAlign: 'center' }}>
+          {!review && (
+            <button onClick={onStartReview} style={buttonStyle(false)}>{t('analysis.review')}</button>
+          )}
+          {review && !review.finished && (
+            <>
+              <span style={{ color: '#5eead4', marginRight: '8px' }}>
+                {t('analysis.reviewing', { done: review.done, total: review.total })}
+              </span>
+              <button onClick={onCancelReview} style={buttonStyle(false)}>{t('analysis.cancel')}</button>
+            </>
+          )}
+          {review?.finished && flagged.length === 0 && (
+            <p style={{ margin: 0, color: '#5eead4' }}>{t('analysis.noBlunders')}</p>
+          )}
+        </div>
+      )}
+
+      {flagged.length > 0 && (
+        <ol style={{ listStyle: 'none', padding: 0, margin: '12px 0 0', maxHeight: '160px', overflowY: 'auto' }}>
+          {flagged.map(entry => (
+            <li key={entry.index} style={{ marginBottom: '4px' }}>
+              <button
+                onClick={() => onSelect(entry.index)}
+                style={{
+                  background: 'transparent',
+                  border: 'none',
+                  color: 'white',
+                  cursor: 'pointer',
+                  fontSize: '13px',
+                  textAlign: 'left'
+                }}
+              >
+                <span style={{ color: QUALITY_COLORS[entry.quality], fontWeight: 'bold' }}>
+                  {t(`analysis.quality.${entry.quality}`)}
+                </span>
+                {' '}{entry.index + 1}. {entry.player === 'black' ? '●' : '○'} {entry.move}
+                {t('analysis.comparison', {
+                  played: formatScore(t, entry.playedScore),
+                  best: entry.bestMove,
+                  bestScore: formatScore(t, entry.bestScore)
+                })}
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default AnalysisPanel;
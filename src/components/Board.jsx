@@ -0,0 +1,381 @@
+import React, { useState, useRef, useId } from 'react';
+import { cubeAdd, cubeDistance, cubeToPixel, toKey, fromKey } from '../game/hex.js';
+import { boardCells } from '../game/board.js';
+import { getFlips } from '../game/engine.js';
+import { DEFAULT_RULES } from '../game/rules.js';
+import { useI18n } from '../i18n/context.js';
+import { formatScore } from './formatScore.js';
+import { visuallyHidden } from './visuallyHidden.js';
+import { STONE_COLORS } from './stoneColors.js';
+
+// 画面上の6方向（六角形は平らな辺が上下にある向き）
+const SCREEN_DIRECTIONS = {
+  up: { q: 0, r: -1, s: 1 },
+  down: { q: 0, r: 1, s: -1 },
+  upRight: { q: 1, r: -1, s: 0 },
+  downRight: { q: 1, r: 0, s: -1 },
+  upLeft: { q: -1, r: 0, s: 1 },
+  downLeft: { q: -1, r: 1, s: 0 }
+};
+
+// キーとカーソルの移動方向（QWE / ASD が六角形の6方向に対応する）
+const KEY_DIRECTIONS = {
+  ArrowUp: 'up',
+  ArrowDown: 'down',
+  w: 'up',
+  s: 'down',
+  e: 'upRight',
+  d: 'downRight',
+  q: 'upLeft',
+  a: 'downLeft'
+};
+
+// 左右キーは見た目の横一列に沿ってジグザグに進む（q が奇数の列は半マス上にある）
+const horizontalDirection = (key, { q }) => {
+  const odd = Math.abs(q) % 2 === 1;
+  if (key === 'ArrowRight') return odd ? 'downRight' : 'upRight';
+  if (key === 'ArrowLeft') return odd ? 'downLeft' : 'upLeft';
+  return null;
+};
+
+// カーソルを1マス進める（壁や穴は飛び越え、盤外に出るなら null）
+const stepCursor = (shape, key, direction) => {
+  let coord = fromKey(key);
+  for (let i = 0; i < shape.radius * 4 + 2; i++) {
+    coord = cubeAdd(coord, SCREEN_DIRECTIONS[direction]);
+    if (shape.keys.has(toKey(coord))) return toKey(coord);
+  }
+  return null;
+};
+
+// カーソルの初期位置（直前の手 → 最初の合法手 → 中心に近いセル）
+const defaultCursor = (shape, validMoves, lastMove) => {
+  if (lastMove && shape.keys.has(lastMove)) return lastMove;
+  const [firstMove] = validMoves;
+  if (firstMove) return firstMove;
+  const center = shape.cells.reduce((best, cell) => (cubeDistance(cell) < cubeDistance(best) ? cell : best));
+  return toKey(center);
+};
+
+// セルの読み上げ用のラベル
+const cellLabel = (t, key, piece, isValid, isLastMove, score) => [
+  key,
+  piece ? t('board.stone', { color: t(`colors.${piece}`) }) : t('board.empty'),
+  isValid && t('board.playable'),
+  score !== undefined && t('board.score', { score: formatScore(t, score) }),
+  isLastMove && t('board.lastMove')
+].filter(Boolean).join(t('board.separator'));
+
+// 盤面全体が収まる viewBox を計算（盤面の中心に合わせた正方形）
+const calculateViewBox = (shape, hexSize) => {
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+  for (const { q, r } of [...boardCells(shape), ...shape.walls]) {
+    const { x, y } = cubeToPixel(q, r, hexSize);
+    minX = Math.min(minX, x - hexSize);
+    maxX = Math.max(maxX, x + hexSize);
+    minY = Math.min(minY, y - hexSize * Math.sqrt(3) / 2);
+    maxY = Math.max(maxY, y + hexSize * Math.sqrt(3) / 2);
+  }
+  const half = Math.ceil(Math.max(maxX - minX, maxY - minY) / 2 + 5);
+  const centerX = Math.round((minX + maxX) / 2);
+  const centerY = Math.round((minY + maxY) / 2);
+  return `${centerX - half} ${centerY - half} ${half * 2} ${half * 2}`;
+};
+
+// 盤面（SVG）
+// previewPlayer を渡すと、マウスを乗せた（キーボードで選んだ）合法手で裏返る石を表示する（rules のルールで求める）
+// moveScores（手 -> 評価値）を渡すと、合法手のセルに評価値を表示する
+// キーボードでは矢印キー・QWEASD でカーソルを動かし、Enter / Space で打つ
+// animation（createMoveAnimation の戻り値）を渡すと、直前の手の石が落ちて裏返る様子を表示する
+const Board = ({
+  shape, rules = DEFAULT_RULES, board, validMoves, lastMove, onCellClick,
+  previewPlayer = null, moveScores = null, animation = null, hexSize = 25
+}) => {
+  const [hovered, setHovered] = useState(null);
+  const [cursor, setCursor] = useState(null);
+  const [focused, setFocused] = useState(false);
+  const cellRefs = useRef(new Map());
+  const helpId = useId();
+  const { t } = useI18n();
+
+  const cursorKey = cursor && shape.keys.has(cursor) ? cursor : defaultCursor(shape, validMoves, lastMove);
+
+  // マウスを乗せた手（なければキーボードのカーソル）で裏返る石（置く位置も previewKey で描く）
+  const previewKey = hovered ?? (focused ? cursorKey : null);
+  const preview = previewPlayer && previewKey && validMoves.has(previewKey)
+    ? getFlips(fromKey(previewKey), previewPlayer, board, shape, rules)
+    : null;
+
+  // キー操作（カーソルの移動と選択）
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      const { q, r, s } = fromKey(cursorKey);
+      onCellClick(q, r, s);
+      return;
+    }
+    const direction = KEY_DIRECTIONS[e.key.length === 1 ? e.key.toLowerCase() : e.key] ??
+      horizontalDirection(e.key, fromKey(cursorKey));
+    if (!direction || e.ctrlKey || e.metaKey || e.altKey) return;
+    e.preventDefault();
+    const next = stepCursor(shape, cursorKey, direction);
+    if (!next) return;
+    setCursor(next);
+    cellRefs.current.get(next)?.focus();
+  };
+
+  // 盤面の外にフォーカスが移ったらカーソルの表示を消す
+  const handleBlur = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setFocused(false);
+  };
+
+  // すべてのセルを描画
+  const renderCells = () => {
+    const cells = [];
+    for (const { q, r, s } of boardCells(shape)) {
+      const { x, y } = cubeToPixel(q, r, hexSize);
+      const key = toKey({ q, r, s });
+      const piece = board.get(key);
+      const isValid = validMoves.has(key);
+      const isLastMove = key === lastMove;
+      // アニメーション中の石は renderAnimation で描く
+      const isAnimated = animation && (key === animation.move || animation.flips.has(key));
+
+      cells.push(
+        <g
+          key={key}
+          ref={(element) => {
+            if (element) cellRefs.current.set(key, element);
+            else cellRefs.current.delete(key);
+          }}
+          role="button"
+          tabIndex={key === cursorKey ? 0 : -1}
+          aria-label={cellLabel(t, key, piece, isValid, isLastMove, moveScores?.get(key))}
+          aria-disabled={!isValid}
+          onClick={() => onCellClick(q, r, s)}
+          onFocus={() => setCursor(key)}
+          onMouseEnter={() => setHovered(key)}
+          onMouseLeave={() => setHovered(current => (current === key ? null : current))}
+          style={{ cursor: isValid ? 'pointer' : 'default', outline: 'none' }}
+        >
+          <Honeycomb cx={x} cy={y} size={hexSize} isValid={isValid} color={piece} isLastMove={isLastMove} />
+          {piece && !isAnimated && <Piece cx={x} cy={y} size={hexSize * 0.6} color={piece} />}
+        </g>
+      );
+    }
+    return cells;
+  };
+
+  // 直前の手のアニメーション（置いた石が落ちた後、裏返る石が外へ向かって順に裏返る）
+  // id ごとに作り直して、同じ石が続けて裏返る時もアニメーションをやり直す
+  const renderAnimation = () => {
+    if (!animation) return null;
+    const { id, move, player, flips, drop, flip } = animation;
+    const stone = (key, style) => {
+      const { q, r } = fromKey(key);
+      const { x, y } = cubeToPixel(q, r, hexSize);
+      return (
+        <circle
+          key={key}
+          cx={x}
+          cy={y}
+          r={hexSize * 0.6}
+          fill={STONE_COLORS[player]}
+          style={{ transformBox: 'fill-box', transformOrigin: 'center', pointerEvents: 'none', ...style }}
+        />
+      );
+    };
+    return (
+      <g key={id}>
+        {stone(move, { animation: `stone-drop ${drop}ms ease-out both` })}
+        {[...flips].map(([key, { delay, from }]) => stone(key, {
+          animation: `stone-flip-${from}-${player} ${flip}ms ease-in-out ${delay}ms both`
+        }))}
+      </g>
+    );
+  };
+
+  // 裏返る石の表示（置く石は半透明、裏返る石には置く側の色の印を付ける）
+  const renderPreview = () => {
+    if (!preview) return null;
+    const { q, r } = fromKey(previewKey);
+    const { x, y } = cubeToPixel(q, r, hexSize);
+    return (
+      <g style={{ pointerEvents: 'none' }}>
+        <circle cx={x} cy={y} r={hexSize * 0.6} fill={STONE_COLORS[previewPlayer]} opacity={0.5} />
+        {preview.map(key => {
+          const cell = fromKey(key);
+          const point = cubeToPixel(cell.q, cell.r, hexSize);
+          return (
+            <circle
+              key={key}
+              cx={point.x}
+              cy={point.y}
+              r={hexSize * 0.25}
+              fill={STONE_COLORS[previewPlayer]}
+              stroke='#f59e0b'
+              strokeWidth='2'
+            />
+          );
+        })}
+      </g>
+    );
+  };
+
+  // 合法手の評価値（最善手は強調する）
+  const renderScores = () => {
+    if (!moveScores || moveScores.size === 0) return null;
+    const best = Math.max(...moveScores.values());
+    return (
+      <g style={{ pointerEvents: 'none' }}>
+        {[...moveScores].map(([key, score]) => {
+          const { q, r } = fromKey(key);
+          const { x, y } = cubeToPixel(q, r, hexSize);
+          return (
+            <text
+              key={key}
+              x={x}
+              y={y}
+              textAnchor='middle'
+              dominantBaseline='central'
+              fontSize={hexSize * 0.42}
+              fontWeight={score === best ? 'bold' : 'normal'}
+              fill={score === best ? '#fde047' : '#0f172a'}
+            >
+              {formatScore(t, score)}
+            </text>
+          );
+        })}
+      </g>
+    );
+  };
+
+  // キーボードのカーソル
+  const renderCursor = () => {
+    if (!focused) return null;
+    const { q, r } = fromKey(cursorKey);
+    const { x, y } = cubeToPixel(q, r, hexSize);
+    return (
+      <polygon
+        points={hexPoints(x, y, hexSize - 2)}
+        fill='none'
+        stroke='#fde047'
+        strokeWidth='4'
+        style={{ pointerEvents: 'none' }}
+      />
+    );
+  };
+
+  // 壁セルを描画
+  const renderWalls = () => {
+    return shape.walls.map(({ q, r, s }) => {
+      const { x, y } = cubeToPixel(q, r, hexSize);
+      return <Wall key={toKey({ q, r, s })} cx={x} cy={y} size={hexSize} />;
+    });
+  };
+
+  return (
+    <>
+      <svg
+        width="100%"
+        height="100%"
+        viewBox={calculateViewBox(shape, hexSize)}
+        role="group"
+        aria-label={t('board.label')}
+        aria-describedby={helpId}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setFocused(true)}
+        onBlur={handleBlur}
+      >
+        {renderCells()}
+        {renderAnimation()}
+        {renderWalls()}
+        {renderScores()}
+        {renderPreview()}
+        {renderCursor()}
+      </svg>
+      <style>{ANIMATION_KEYFRAMES}</style>
+      <p id={helpId} style={visuallyHidden}>
+        {t('board.help')}
+      </p>
+    </>
+  );
+};
+
+// 石が落ちる・裏返るアニメーション（裏返る石は横に縮んで、幅が 0 になったところで色が変わる）
+const flipKeyframes = (from, to) => `
+  @keyframes stone-flip-${from}-${to} {
+    0% { transform: scaleX(1); fill: ${STONE_COLORS[from]}; }
+    50% { transform: scaleX(0); fill: ${STONE_COLORS[from]}; }
+    50.1% { transform: scaleX(0); fill: ${STONE_COLORS[to]}; }
+    100% { transform: scaleX(1); fill: ${STONE_COLORS[to]}; }
+  }
+`;
+
+const ANIMATION_KEYFRAMES = `
+  @keyframes stone-drop {
+    from { transform: scale(1.8); opacity: 0; }
+    to { transform: scale(1); opacity: 1; }
+  }
+  ${Object.keys(STONE_COLORS).flatMap(from => (
+    Object.keys(STONE_COLORS).filter(to => to !== from).map(to => flipKeyframes(from, to))
+  )).join('')}
+`;
+
+// 六角形の頂点
+const hexPoints = (cx, cy, size) => {
+  const points = [];
+  for (let i = 0; i < 6; i++) {
+    const angle = (Math.PI / 3) * i;
+    const x = cx + size * Math.cos(angle);
+    const y = cy + size * Math.sin(angle);
+    points.push(`${x},${y}`);
+  }
+  return points.join(' ');
+};
+
+// マスコンポーネント
+const Honeycomb = ({ cx, cy, size, isValid, color, isLastMove }) => {
+  return (
+    <polygon
+      points={hexPoints(cx, cy, size)}
+      fill={isLastMove ? '#29bd62ff' : '#14b8a6'}
+      stroke='#0f766e'
+      strokeWidth='2'
+      style={{
+        opacity: isValid || color ? 1 : 0.6,
+
+      }}
+    />
+  );
+};
+
+// 壁コンポーネント
+const Wall = ({ cx, cy, size }) => {
+  return (
+    <polygon
+      points={hexPoints(cx, cy, size)}
+      fill='#334155'
+      stroke='#1e293b'
+      strokeWidth='2'
+    />
+  );
+};
+
+// 石コンポーネント
+const Piece = ({ cx, cy, size, color }) => {
+  return (
+    <>
+      <circle
+        cx={cx}
+        cy={cy}
+        r={size}
+        fill={STONE_COLORS[color]}
+        strokeWidth='2'
+        style={{ pointerEvents: 'none' }}
+      />
+    </>
+  );
+};
+
+export default Board;
@@ -0,0 +1,118 @@
+import React, { useMemo } from 'react';
+import { toKey } from '../game/hex.js';
+import {
+  MIN_BOARD_RADIUS, MAX_BOARD_RADIUS, BOARD_SHAPES, START_LAYOUTS, createNamedShape, createInitialBoard
+} from '../game/board.js';
+import { calculateValidMoves } from '../game/engine.js';
+import { useI18n } from '../i18n/context.js';
+import Board from './Board.jsx';
+import OptionButton from './OptionButton.jsx';
+
+// カスタム配置でクリックした時の石の切り替え順（空 → 黒 → 白 → 空）
+const nextStone = (stone) => (stone === undefined ? 'black' : stone === 'black' ? 'white' : undefined);
+
+const radiusOptions = [];
+for (let radius = MIN_BOARD_RADIUS; radius <= MAX_BOARD_RADIUS; radius++) {
+  radiusOptions.push(radius);
+}
+
+// 盤面サイズと初期配置の設定
+const BoardSettings = ({ settings, onChange }) => {
+  const { shapeName, radius, layout, customLayout } = settings;
+  const { t } = useI18n();
+  const shape = useMemo(() => createNamedShape(shapeName, radius), [shapeName, radius]);
+  const customBoard = useMemo(() => createInitialBoard(customLayout, shape), [customLayout, shape]);
+
+  // カスタム配置でどちらも打てない場合は警告する
+  const customPlayable = useMemo(() => {
+    return calculateValidMoves('black', customBoard, shape).size > 0 ||
+           calculateValidMoves('white', customBoard, shape).size > 0;
+  }, [customBoard, shape]);
+
+  // カスタム配置のセルをクリック
+  const handleCustomCellClick = (q, r, s) => {
+    const key = toKey({ q, r, s });
+    const board = new Map(customBoard);
+    const stone = nextStone(board.get(key));
+    if (stone) board.set(key, stone);
+    else board.delete(key);
+    onChange({ ...settings, customLayout: Array.from(board.entries()) });
+  };
+
+  return (
+    <div style={{
+      marginTop: '32px',
+      padding: '20px',
+      background: 'rgba(255, 255, 255, 0.1)',
+      borderRadius: '12px',
+      width: '300px'
+    }}>
+      <p style={{ color: '#94a3b8', marginBottom: '12px', textAlign: 'center' }}>
+        {t('boardSettings.shape')}
+      </p>
+      <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', flexWrap: 'wrap' }}>
+        {Object.keys(BOARD_SHAPES).map(value => (
+          <OptionButton
+            key={value}
+            selected={shapeName === value}
+            onClick={() => onChange({ ...settings, shapeName: value })}
+          >
+            {t(`boardSettings.shapes.${value}`)}
+          </OptionButton>
+        ))}
+      </div>
+
+      <p style={{ color: '#94a3b8', margin: '20px 0 12px', textAlign: 'center' }}>
+        {t('boardSettings.size')}
+      </p>
+      <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', flexWrap: 'wrap' }}>
+        {radiusOptions.map(value => (
+          <OptionButton
+            key={value}
+            selected={radius === value}
+            onClick={() => onChange({ ...settings, radius: value })}
+          >
+            {value}
+          </OptionButton>
+        ))}
+      </div>
+
+      <p style={{ color: '#94a3b8', margin: '20px 0 12px', textAlign: 'center' }}>
+        {t('boardSettings.layout')}
+      </p>
+      <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', flexWrap: 'wrap' }}>
+        {[...Object.keys(START_LAYOUTS), 'custom'].map(value => (
+          <OptionButton
+            key={value}
+            selected={layout === value}
+            onClick={() => onChange({ ...settings, layout: value })}
+          >
+            {t(`boardSettings.layouts.${value}`)}
+          </OptionButton>
+        ))}
+      </div>
+
+      {layout === 'custom' && (
+        <div style={{ marginTop: '16px' }}>
+          <p style={{ color: '#ccc', fontSize: '12px', textAlign: 'center', margin: 0 }}>
+            {t('boardSettings.customHelp')}
+          </p>
+          <Board
+            shape={shape}
+            board={customBoard}
+            validMoves={shape.keys}
+            lastMove={null}
+            onCellClick={handleCustomCellClick}
+          />
+          {!customPlayable && (
+            <p style={{ color: '#fca5a5', fontSize: '12px', textAlign: 'center', margin: 0 }}>
+              {t('boardSettings.unplayable')}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BoardSettings;
@@ -0,0 +1,51 @@
+import React, { useState, useEffect } from 'react';
+import { TIME_CONTROL_TYPES, readClock } from '../game/clock.js';
+import { useI18n } from '../i18n/context.js';
+
+// 表示を更新する間隔（ミリ秒）
+const TICK_INTERVAL = 100;
+
+// 残り時間が少ない時に強調する境界（ミリ秒）
+const LOW_TIME = 10 * 1000;
+
+// ミリ秒を「分:秒」にする（1分未満は小数第一位まで）
+const formatTime = (ms) => {
+  const total = Math.max(0, ms);
+  if (total < 60 * 1000) return (Math.floor(total / 100) / 10).toFixed(1);
+  const seconds = Math.floor(total / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// 一色分の対局時計（動いている間だけ表示を更新する）
+const ChessClock = ({ clock, color }) => {
+  const { t } = useI18n();
+  const [now, setNow] = useState(() => Date.now());
+  const running = clock.running === color;
+
+  useEffect(() => {
+    if (!running) return;
+    const timer = setInterval(() => setNow(Date.now()), TICK_INTERVAL);
+    return () => clearInterval(timer);
+  }, [running]);
+
+  // 止まっている時計は経過時間を差し引かないので、now が古くても表示は正しい
+  const side = readClock(clock, color, running ? Math.max(now, clock.since) : now);
+  const inByoyomi = clock.control.type === TIME_CONTROL_TYPES.BYOYOMI && side.main === 0 && !side.flagged;
+  const shown = inByoyomi ? side.periodLeft : side.main;
+
+  return (
+    <span role="timer" style={{
+      fontFamily: 'monospace',
+      fontSize: '16px',
+      padding: '2px 8px',
+      borderRadius: '4px',
+      background: running ? '#0f172a' : 'transparent',
+      color: side.flagged || (running && shown < LOW_TIME) ? '#fca5a5' : 'white'
+    }}>
+      {side.flagged ? t('clock.flagged') : formatTime(shown)}
+      {inByoyomi && <span style={{ fontSize: '12px', marginLeft: '4px' }}>{t('clock.periods', { periods: side.periods })}</span>}
+    </span>
+  );
+};
+
+export default ChessClock;
@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { RecordError, createRecord, recordToText, recordToJSON, importRecord } from '../game/record.js';
+import { useI18n } from '../i18n/context.js';
+import { describeError } from '../i18n/errors.js';
+
+const buttonStyle = {
+  padding: '8px 16px',
+  background: '#0d9488',
+  color: 'white',
+  fontWeight: 'bold',
+  borderRadius: '8px',
+  border: 'none',
+  cursor: 'pointer',
+  fontSize: '14px'
+};
+
+// ファイルとしてダウンロードさせる
+const downloadText = (text, filename, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// 棋譜の書き出し・読み込み（result は投了などで決まった結果）
+const GameRecordPanel = ({ history, players, result, onImport }) => {
+  const [open, setOpen] = useState(false);
+  const [text, setText] = useState('');
+  const [error, setError] = useState(null); // 読み込めなかった時の RecordError
+  const { t } = useI18n();
+
+  // 書き出し（テキストエリアに表示して、ファイルにも保存する）
+  const handleExport = (format) => {
+    const record = createRecord(history, players, result);
+    const output = format === 'json' ? recordToJSON(record) : recordToText(record);
+    setText(output);
+    setError(null);
+    downloadText(
+      output,
+      format === 'json' ? 'honeycomb-reversi.json' : 'honeycomb-reversi.txt',
+      format === 'json' ? 'application/json' : 'text/plain'
+    );
+  };
+
+  // 読み込み（不正な棋譜は最初の不正な手をエラーとして表示する）
+  const handleImport = (input) => {
+    try {
+      const { record, history: imported } = importRecord(input);
+      setError(null);
+      onImport(imported, record);
+    } catch (e) {
+      if (!(e instanceof RecordError)) throw e;
+      setError(e);
+    }
+  };
+
+  // ファイルから読み込み
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const content = await file.text();
+    setText(content);
+    handleImport(content);
+  };
+
+  if (!open) {
+    return (
+      <div style={{ textAlign: 'center', marginTop: '16px' }}>
+        <button onClick={() => setOpen(true)} style={{ ...buttonStyle, background: '#475569' }}>
+          {t('record.open')}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{
+      marginTop: '16px',
+      padding: '16px',
+      background: 'rgba(255, 255, 255, 0.1)',
+      borderRadius: '12px'
+    }}>
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', justifyContent: 'center' }}>
+        <button onClick={() => handleExport('text')} style={buttonStyle}>{t('record.saveText')}</button>
+        <button onClick={() => handleExport('json')} style={buttonStyle}>{t('record.saveJson')}</button>
+        <button onClick={() => handleImport(text)} style={buttonStyle}>{t('record.importPasted')}</button>
+        <label style={{ ...buttonStyle, display: 'inline-block' }}>
+          {t('record.importFile')}
+          <input type="file" accept=".txt,.json" onChange={handleFile} style={{ display: 'none' }} />
+        </label>
+        <button onClick={() => setOpen(false)} style={{ ...buttonStyle, background: '#475569' }}>{t('record.close')}</button>
+      </div>
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder={t('record.placeholder')}
+        rows={8}
+        style={{
+          width: '100%',
+          marginTop: '12px',
+          boxSizing: 'border-box',
+          fontFamily: 'monospace',
+          fontSize: '12px',
+          background: '#1e293b',
+          color: 'white',
+          border: '1px solid #475569',
+          borderRadius: '8px',
+          padding: '8px'
+        }}
+      />
+      {error && (
+        <p style={{ color: '#fca5a5', fontSize: '14px', margin: '8px 0 0' }}>
+          {t('record.importFailed', { error: describeError(t, error) })}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default GameRecordPanel;
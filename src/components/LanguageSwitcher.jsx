@@ -0,0 +1,25 @@
+import React from 'react';
+import { LANGUAGES } from '../i18n/index.js';
+import { useI18n } from '../i18n/context.js';
+import OptionButton from './OptionButton.jsx';
+
+// 表示言語の切り替え（言語名はそれぞれの言語で表示する）
+const LanguageSwitcher = () => {
+  const { language, setLanguage, t } = useI18n();
+
+  return (
+    <div
+      role="group"
+      aria-label={t('language')}
+      style={{ display: 'flex', gap: '8px', justifyContent: 'center', flexWrap: 'wrap', marginBottom: '32px' }}
+    >
+      {Object.entries(LANGUAGES).map(([code, catalog]) => (
+        <OptionButton key={code} selected={language === code} onClick={() => setLanguage(code)}>
+          <span lang={code}>{catalog.name}</span>
+        </OptionButton>
+      ))}
+    </div>
+  );
+};
+
+export default LanguageSwitcher;
@@ -0,0 +1,89 @@
+import React from 'react';
+import { PASS } from '../game/engine.js';
+import { useI18n } from '../i18n/context.js';
+import StoneMark from './StoneMark.jsx';
+
+// 小さいボタンのスタイル
+const buttonStyle = (enabled) => ({
+  padding: '8px 16px',
+  background: enabled ? '#0d9488' : '#475569',
+  color: 'white',
+  fontWeight: 'bold',
+  borderRadius: '8px',
+  border: 'none',
+  cursor: enabled ? 'pointer' : 'default',
+  fontSize: '14px',
+  opacity: enabled ? 1 : 0.5,
+  transition: 'background 0.3s'
+});
+
+// 棋譜（undo / redo ボタン、スライダー、手の一覧）
+const MoveHistory = ({ history, canUndo, canRedo, onUndo, onRedo, onSelect }) => {
+  const { states, moves, index } = history;
+  const { t } = useI18n();
+
+  return (
+    <div style={{
+      marginTop: '24px',
+      padding: '16px',
+      background: 'rgba(255, 255, 255, 0.1)',
+      borderRadius: '12px'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+        <button onClick={onUndo} disabled={!canUndo} style={buttonStyle(canUndo)}>
+          {t('history.undo')}
+        </button>
+        <input
+          type="range"
+          min={0}
+          max={states.length - 1}
+          value={index}
+          onChange={(e) => onSelect(Number(e.target.value))}
+          style={{ flex: 1 }}
+        />
+        <button onClick={onRedo} disabled={!canRedo} style={buttonStyle(canRedo)}>
+          {t('history.redo')}
+        </button>
+      </div>
+
+      <ol style={{
+        display: 'flex',
+        flexWrap: 'wrap',
+        gap: '6px',
+        listStyle: 'none',
+        padding: 0,
+        margin: '12px 0 0',
+        maxHeight: '96px',
+        overflowY: 'auto',
+        fontSize: '12px'
+      }}>
+        <li>
+          <button onClick={() => onSelect(0)} style={moveStyle(index === 0, false)}>
+            {t('history.start')}
+          </button>
+        </li>
+        {moves.map((move, i) => (
+          <li key={i}>
+            <button onClick={() => onSelect(i + 1)} style={moveStyle(index === i + 1, i + 1 > index)}>
+              {i + 1}. <StoneMark color={states[i].currentPlayer} /> {move === PASS ? t('history.pass') : move}
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+// 手の一覧のボタン（現在の局面は強調、redo 側の手は薄く表示）
+const moveStyle = (isCurrent, isFuture) => ({
+  padding: '2px 8px',
+  background: isCurrent ? '#14b8a6' : '#334155',
+  color: 'white',
+  borderRadius: '6px',
+  border: isCurrent ? '1px solid #5eead4' : '1px solid transparent',
+  cursor: 'pointer',
+  fontSize: '12px',
+  opacity: isFuture ? 0.5 : 1
+});
+
+export default MoveHistory;
@@ -0,0 +1,23 @@
+import React from 'react';
+
+// 選択ボタン
+const OptionButton = ({ selected, onClick, children }) => (
+  <button
+    onClick={onClick}
+    style={{
+      padding: '10px 16px',
+      background: selected ? '#14b8a6' : '#334155',
+      color: 'white',
+      fontWeight: selected ? 'bold' : 'normal',
+      borderRadius: '8px',
+      border: selected ? '2px solid #5eead4' : '2px solid transparent',
+      cursor: 'pointer',
+      fontSize: '14px',
+      transition: 'all 0.3s'
+    }}
+  >
+    {children}
+  </button>
+);
+
+export default OptionButton;
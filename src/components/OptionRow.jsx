@@ -0,0 +1,20 @@
+import React from 'react';
+import OptionButton from './OptionButton.jsx';
+
+// 見出しと選択肢のボタンの一行（format で選択肢の表示を決める）
+const OptionRow = ({ label, options, value, format, onSelect }) => (
+  <>
+    <p style={{ color: '#94a3b8', margin: '16px 0 8px', textAlign: 'center', fontSize: '14px' }}>
+      {label}
+    </p>
+    <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', flexWrap: 'wrap' }}>
+      {options.map(option => (
+        <OptionButton key={String(option)} selected={value === option} onClick={() => onSelect(option)}>
+          {format(option)}
+        </OptionButton>
+      ))}
+    </div>
+  </>
+);
+
+export default OptionRow;
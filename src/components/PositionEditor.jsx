@@ -0,0 +1,235 @@
+import React, { useState, useMemo } from 'react';
+import { toKey } from '../game/hex.js';
+import { MIN_BOARD_RADIUS, MAX_BOARD_RADIUS, BOARD_SHAPES, START_LAYOUTS, createNamedShape, createInitialBoard } from '../game/board.js';
+import { BLACK, WHITE, createGame, mustPass, isTerminal, calculateScores } from '../game/engine.js';
+import { PositionError, positionToText, textToPosition } from '../game/position.js';
+import { useI18n } from '../i18n/context.js';
+import { describeError } from '../i18n/errors.js';
+import Board from './Board.jsx';
+import OptionRow from './OptionRow.jsx';
+
+const buttonStyle = {
+  padding: '12px 24px',
+  background: '#0d9488',
+  color: 'white',
+  fontWeight: 'bold',
+  borderRadius: '8px',
+  border: 'none',
+  cursor: 'pointer',
+  fontSize: '16px'
+};
+
+const smallButtonStyle = { ...buttonStyle, padding: '8px 16px', fontSize: '14px' };
+
+// クリックした時の石の切り替え順（空 → 黒 → 白 → 空）
+const nextStone = (stone) => (stone === undefined ? BLACK : stone === BLACK ? WHITE : undefined);
+
+const radiusOptions = [];
+for (let radius = MIN_BOARD_RADIUS; radius <= MAX_BOARD_RADIUS; radius++) {
+  radiusOptions.push(radius);
+}
+
+// 局面の編集（石を置いて手番を決め、その局面から対局・検討を始める）
+// initialPosition は { shape, board, currentPlayer }（GameState でもよい）、rules は開始する対局のルール
+// onStart(position, mode) の mode は 'pvp' / 'cpu' / 'analysis'
+const PositionEditor = ({ initialPosition, rules, onStart, onBack }) => {
+  const { t } = useI18n();
+  const [position, setPosition] = useState(() => ({
+    shape: initialPosition.shape, board: initialPosition.board, currentPlayer: initialPosition.currentPlayer
+  }));
+  const [shareText, setShareText] = useState(''); // 読み込む文字列の入力欄
+  const [loadError, setLoadError] = useState(null); // 読み込めなかった時の PositionError
+  const [copied, setCopied] = useState(false);
+  const { shape, board, currentPlayer } = position;
+
+  // 今のルールでの局面（どちらも打てなければ終局している）
+  const game = useMemo(() => createGame({ shape, rules, board, currentPlayer }), [shape, rules, board, currentPlayer]);
+  const playable = !isTerminal(game);
+  const scores = calculateScores(board);
+  const text = positionToText(position);
+
+  const update = (changes) => {
+    setPosition({ ...position, ...changes });
+    setCopied(false);
+  };
+
+  // セルをクリック
+  const handleCellClick = (q, r, s) => {
+    const key = toKey({ q, r, s });
+    const next = new Map(board);
+    const stone = nextStone(next.get(key));
+    if (stone) next.set(key, stone);
+    else next.delete(key);
+    update({ board: next });
+  };
+
+  // 盤面の形・大きさを変える（新しい盤面に収まる石は残す）
+  const changeShape = (name, radius) => {
+    const nextShape = createNamedShape(name, radius);
+    update({ shape: nextShape, board: new Map([...board].filter(([key]) => nextShape.keys.has(key))) });
+  };
+
+  // 共有用の文字列を読み込む
+  const handleLoad = () => {
+    try {
+      setPosition(textToPosition(shareText));
+      setLoadError(null);
+      setCopied(false);
+    } catch (error) {
+      if (!(error instanceof PositionError)) throw error;
+      setLoadError(error);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+    } catch {
+      // クリップボードが使えない場合は、表示している文字列を手でコピーしてもらう
+    }
+  };
+
+  // 局面の検証
+  const warning = (() => {
+    if (!playable) return t('editor.noMoves');
+    if (mustPass(game)) return t('editor.mustPass', { color: t(`colors.${currentPlayer}`) });
+    return null;
+  })();
+
+  return (
+    <div style={{
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      justifyContent: 'center',
+      minHeight: '100vh',
+      background: 'linear-gradient(to bottom right, #0f766e, #1e293b)',
+      fontFamily: 'system-ui, -apple-system, sans-serif'
+    }}>
+      <div style={{ maxWidth: '600px', width: '100%' }}>
+        <h1 style={{ fontSize: '36px', fontWeight: 'bold', textAlign: 'center', marginBottom: '8px', color: '#fff' }}>
+          {t('editor.title')}
+        </h1>
+        <p style={{ textAlign: 'center', color: '#94a3b8', marginBottom: '16px', fontSize: '14px' }}>
+          {t('boardSettings.customHelp')} — {t('editor.count', { black: scores[BLACK], white: scores[WHITE] })}
+        </p>
+
+        <div style={{ display: 'flex', justifyContent: 'center' }}>
+          <Board
+            shape={shape}
+            rules={rules}
+            board={board}
+            validMoves={shape.keys}
+            lastMove={null}
+            onCellClick={handleCellClick}
+          />
+        </div>
+
+        {/* 局面の検証（読み上げられるよう常に置いておく） */}
+        <div
+          aria-live="polite"
+          aria-atomic="true"
+          style={{ textAlign: 'center', minHeight: '20px', margin: '8px 0', fontSize: '14px', color: '#fca5a5' }}
+        >
+          {warning}
+        </div>
+
+        <OptionRow
+          label={t('editor.toMove')}
+          options={[BLACK, WHITE]}
+          value={currentPlayer}
+          format={(color) => t(`colors.${color}`)}
+          onSelect={(color) => update({ currentPlayer: color })}
+        />
+
+        <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', flexWrap: 'wrap', marginTop: '16px' }}>
+          <button onClick={() => update({ board: new Map() })} style={{ ...smallButtonStyle, background: '#475569' }}>
+            {t('editor.clear')}
+          </button>
+          {Object.keys(START_LAYOUTS).map(layout => (
+            <button key={layout} onClick={() => update({ board: createInitialBoard(layout, shape) })} style={smallButtonStyle}>
+              {t('editor.preset', { layout: t(`boardSettings.layouts.${layout}`) })}
+            </button>
+          ))}
+        </div>
+
+        <OptionRow
+          label={t('boardSettings.shape')}
+          options={Object.keys(BOARD_SHAPES)}
+          value={shape.name}
+          format={(name) => t(`boardSettings.shapes.${name}`)}
+          onSelect={(name) => changeShape(name, shape.radius)}
+        />
+        <OptionRow
+          label={t('boardSettings.size')}
+          options={radiusOptions}
+          value={shape.radius}
+          format={(radius) => radius}
+          onSelect={(radius) => changeShape(shape.name, radius)}
+        />
+
+        {/* 共有用の文字列 */}
+        <div style={{ marginTop: '24px', padding: '16px', background: 'rgba(255, 255, 255, 0.1)', borderRadius: '12px' }}>
+          <p style={{ color: '#94a3b8', margin: '0 0 8px', textAlign: 'center', fontSize: '14px' }}>
+            {t('editor.share')}
+          </p>
+          <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+            <code style={{
+              flex: 1,
+              overflowWrap: 'anywhere',
+              fontSize: '12px',
+              color: 'white',
+              background: '#1e293b',
+              borderRadius: '8px',
+              padding: '8px'
+            }}>
+              {text}
+            </code>
+            <button onClick={handleCopy} style={smallButtonStyle}>{copied ? t('editor.copied') : t('editor.copy')}</button>
+          </div>
+          <div style={{ display: 'flex', gap: '8px', marginTop: '8px' }}>
+            <input
+              value={shareText}
+              onChange={(e) => setShareText(e.target.value)}
+              placeholder={t('editor.placeholder')}
+              aria-label={t('editor.placeholder')}
+              style={{
+                flex: 1,
+                fontFamily: 'monospace',
+                fontSize: '12px',
+                background: '#1e293b',
+                color: 'white',
+                border: '1px solid #475569',
+                borderRadius: '8px',
+                padding: '8px'
+              }}
+            />
+            <button onClick={handleLoad} style={smallButtonStyle}>{t('editor.load')}</button>
+          </div>
+          {loadError && (
+            <p style={{ color: '#fca5a5', fontSize: '14px', margin: '8px 0 0' }}>
+              {t('editor.loadFailed', { error: describeError(t, loadError) })}
+            </p>
+          )}
+        </div>
+
+        <div style={{ display: 'flex', justifyContent: 'center', gap: '16px', flexWrap: 'wrap', marginTop: '24px' }}>
+          {['pvp', 'cpu', 'analysis'].map(mode => (
+            <button
+              key={mode}
+              onClick={() => onStart(position, mode)}
+              disabled={!playable}
+              style={{ ...buttonStyle, opacity: playable ? 1 : 0.5, cursor: playable ? 'pointer' : 'not-allowed' }}
+            >
+              {t(`editor.start.${mode}`)}
+            </button>
+          ))}
+          <button onClick={onBack} style={{ ...buttonStyle, background: '#475569' }}>{t('game.back')}</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PositionEditor;
@@ -0,0 +1,306 @@
+import React, { useState, useEffect, useEffectEvent, useRef } from 'react';
+import { toKey } from '../game/hex.js';
+import { calculateScores, legalMoves, isTerminal, opponentOf } from '../game/engine.js';
+import { goalSign } from '../game/rules.js';
+import { createHistory, currentState, pushMove, settle } from '../game/history.js';
+import { PuzzleError, readPuzzleSet, parsePuzzleSet, puzzleKey } from '../game/puzzles.js';
+import { createCpuClient } from '../workers/cpuClient.js';
+import { loadPuzzleProgress, savePuzzleResult } from '../storage.js';
+import { useI18n } from '../i18n/context.js';
+import { describeError } from '../i18n/errors.js';
+import Board from './Board.jsx';
+import { formatScore } from './formatScore.js';
+import basicPuzzles from '../puzzles/basic.json';
+
+// 同梱の問題集
+const BASIC_SET = readPuzzleSet(basicPuzzles);
+
+// CPUが応手を返すまでの最低限の時間（ミリ秒）
+const CPU_MIN_THINKING_TIME = 800;
+
+const buttonStyle = {
+  padding: '12px 24px',
+  background: '#0d9488',
+  color: 'white',
+  fontWeight: 'bold',
+  borderRadius: '8px',
+  border: 'none',
+  cursor: 'pointer',
+  fontSize: '16px'
+};
+
+const STATUS_COLORS = { solved: '#5eead4', failed: '#fca5a5', unsolved: '#94a3b8' };
+
+// 解く側から見た終局時の石差
+const finalDiff = (state, player) => {
+  const scores = calculateScores(state.board);
+  return goalSign(state.rules) * (scores[player] - scores[opponentOf(player)]);
+};
+
+// 詰めリバーシ（問題の一覧と、問題を解く画面）
+// 解く側の手は完全読みで確かめ、目標の石差に届かなくなる手を打ったらその場で不正解にする
+// 相手（CPU）は完全読みの最善手で応じる
+const PuzzleMode = ({ onBack }) => {
+  const { t } = useI18n();
+  const [puzzleSet, setPuzzleSet] = useState(BASIC_SET);
+  const [progress, setProgress] = useState(loadPuzzleProgress); // { 問題のキー: 'solved' | 'failed' }
+  const [loadError, setLoadError] = useState(null); // 問題集を読み込めなかった時の PuzzleError
+  const [index, setIndex] = useState(null); // 解いている問題（null なら一覧）
+  const [history, setHistory] = useState(null);
+  const [solution, setSolution] = useState(null); // 解く側の手番の読み切り結果 { game, scores, bestMove, bestScore }
+  const [mistake, setMistake] = useState(null); // 不正解の手 { move, score }
+  const [solveError, setSolveError] = useState(null); // 読み切りで起きたエラー { game, message }（その局面では読み直さない）
+
+  // 完全読み用の Worker
+  const clientRef = useRef(null);
+  useEffect(() => {
+    const client = createCpuClient();
+    clientRef.current = client;
+    return () => client.dispose();
+  }, []);
+
+  const puzzle = index === null ? null : puzzleSet.puzzles[index];
+  const game = history && currentState(history);
+  const playing = game !== null && !isTerminal(game) && !mistake && solveError?.game !== game;
+  const userTurn = playing && game.currentPlayer === puzzle.toMove;
+  const cpuTurn = playing && game.currentPlayer !== puzzle.toMove;
+  // 読み切るまでは打てない
+  const ready = userTurn && solution?.game === game;
+  const solved = game !== null && isTerminal(game) && !mistake;
+
+  // 結果を記録する
+  const recordResult = (result) => {
+    savePuzzleResult(puzzleKey(puzzleSet, puzzle), result);
+    setProgress(loadPuzzleProgress());
+  };
+
+  // 手を打つ（解く側・CPU共通）。打てない側のパスも記録し、終局したら正解
+  const playMove = (move) => {
+    const next = settle(pushMove(history, move));
+    setHistory(next);
+    if (isTerminal(currentState(next))) recordResult('solved');
+  };
+
+  // 解く側の手番では、先に全ての手を読み切っておく
+  const solving = userTurn && solution?.game !== game;
+  useEffect(() => {
+    if (!solving) return;
+    const client = clientRef.current;
+    const id = client.solve({ board: game.board, player: game.currentPlayer, shape: game.shape, rules: game.rules }, {
+      onResult: (result) => setSolution({ game, ...result }),
+      onError: (message) => setSolveError({ game, message })
+    });
+    return () => client.cancel(id);
+  }, [solving, game]);
+
+  // CPUの応手を打つ
+  const onCpuMove = useEffectEvent((move) => {
+    playMove(move);
+  });
+
+  // CPUの手番（一覧に戻った時などは読みを中断する）
+  useEffect(() => {
+    if (!cpuTurn) return;
+    const client = clientRef.current;
+    const startedAt = Date.now();
+    let timer = null;
+
+    const id = client.solve({ board: game.board, player: game.currentPlayer, shape: game.shape, rules: game.rules }, {
+      onResult: ({ bestMove }) => {
+        // すぐに打つと相手の手が分かりにくいので、最低限の時間は待つ
+        const wait = Math.max(0, CPU_MIN_THINKING_TIME - (Date.now() - startedAt));
+        timer = setTimeout(() => onCpuMove(bestMove), wait);
+      },
+      onError: (message) => setSolveError({ game, message })
+    });
+
+    return () => {
+      client.cancel(id);
+      clearTimeout(timer);
+    };
+  }, [cpuTurn, game]);
+
+  // 問題を始める（やり直しも同じ）
+  const openPuzzle = (i) => {
+    setIndex(i);
+    setHistory(createHistory(puzzleSet.puzzles[i].state));
+    setSolution(null);
+    setMistake(null);
+  };
+
+  const closePuzzle = () => {
+    setIndex(null);
+    setHistory(null);
+    setSolution(null);
+    setMistake(null);
+  };
+
+  // セルをクリック（目標の石差に届かなくなる手なら不正解）
+  const handleCellClick = (q, r, s) => {
+    if (!ready) return;
+    const key = toKey({ q, r, s });
+    const score = solution.scores.get(key);
+    if (score === undefined) return;
+
+    if (score < puzzle.winBy) {
+      setMistake({ move: key, score });
+      recordResult('failed');
+      return;
+    }
+    playMove(key);
+  };
+
+  // 問題集をファイルから読み込む
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const content = await file.text();
+    try {
+      setPuzzleSet(parsePuzzleSet(content));
+      setLoadError(null);
+    } catch (error) {
+      if (!(error instanceof PuzzleError)) throw error;
+      setLoadError(error);
+    }
+  };
+
+  const setName = puzzleSet === BASIC_SET ? t('puzzle.sets.basic') : puzzleSet.name;
+  const statusOf = (p) => progress[puzzleKey(puzzleSet, p)] ?? 'unsolved';
+  const solvedCount = puzzleSet.puzzles.filter(p => statusOf(p) === 'solved').length;
+  const titleOf = (p, i) => p.title || t('puzzle.number', { number: i + 1 });
+  const goalOf = (p) => t('puzzle.goal', { color: t(`colors.${p.toMove}`), winBy: p.winBy });
+
+  // 解いている問題の状況
+  const message = (() => {
+    if (!game) return '';
+    if (solveError?.game === game) return t('puzzle.solveFailed', { error: solveError.message });
+    if (mistake) {
+      return t('puzzle.wrong', {
+        move: mistake.move,
+        score: formatScore(t, mistake.score),
+        best: solution.bestMove,
+        bestScore: formatScore(t, solution.bestScore)
+      });
+    }
+    if (solved) return t('puzzle.solved', { diff: finalDiff(game, puzzle.toMove) });
+    if (cpuTurn) return t('game.thinking');
+    return ready ? t('puzzle.yourTurn') : t('puzzle.solving');
+  })();
+
+  return (
+    <div style={{
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      justifyContent: 'center',
+      minHeight: '100vh',
+      background: 'linear-gradient(to bottom right, #0f766e, #1e293b)',
+      fontFamily: 'system-ui, -apple-system, sans-serif'
+    }}>
+      <div style={{ maxWidth: '600px', width: '100%' }}>
+        <h1 style={{ fontSize: '36px', fontWeight: 'bold', textAlign: 'center', marginBottom: '8px', color: '#fff' }}>
+          {t('puzzle.title')}
+        </h1>
+        <p style={{ textAlign: 'center', color: '#94a3b8', marginBottom: '24px', fontSize: '14px' }}>
+          {setName} — {t('puzzle.progress', { solved: solvedCount, total: puzzleSet.puzzles.length })}
+        </p>
+
+        {puzzle ? (
+          <>
+            <p style={{ textAlign: 'center', color: 'white', fontSize: '20px', fontWeight: 'bold', margin: '0 0 8px' }}>
+              {titleOf(puzzle, index)}: {goalOf(puzzle)}
+            </p>
+
+            {/* 正解・不正解と手番の表示（読み上げられるよう常に置いておく） */}
+            <div
+              aria-live="polite"
+              aria-atomic="true"
+              style={{
+                textAlign: 'center',
+                minHeight: '24px',
+                marginBottom: '16px',
+                fontSize: '16px',
+                fontWeight: mistake || solved ? 'bold' : 'normal',
+                color: mistake || solveError?.game === game ? STATUS_COLORS.failed : '#5eead4'
+              }}
+            >
+              {message}
+            </div>
+
+            <div style={{ display: 'flex', justifyContent: 'center', marginBottom: '24px' }}>
+              <Board
+                shape={game.shape}
+                rules={game.rules}
+                board={game.board}
+                validMoves={ready ? legalMoves(game) : new Set()}
+                lastMove={game.lastMove}
+                onCellClick={handleCellClick}
+                moveScores={mistake ? solution.scores : null}
+              />
+            </div>
+
+            <div style={{ display: 'flex', justifyContent: 'center', gap: '16px', flexWrap: 'wrap' }}>
+              <button onClick={() => openPuzzle(index)} style={buttonStyle}>{t('puzzle.retry')}</button>
+              {index + 1 < puzzleSet.puzzles.length && (
+                <button onClick={() => openPuzzle(index + 1)} style={buttonStyle}>{t('puzzle.next')}</button>
+              )}
+              <button onClick={closePuzzle} style={{ ...buttonStyle, background: '#475569' }}>{t('puzzle.list')}</button>
+            </div>
+          </>
+        ) : (
+          <>
+            <ol style={{ listStyle: 'none', padding: 0, margin: '0 0 24px', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+              {puzzleSet.puzzles.map((p, i) => (
+                <li key={p.id}>
+                  <button
+                    onClick={() => openPuzzle(i)}
+                    style={{
+                      width: '100%',
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      gap: '12px',
+                      padding: '12px 16px',
+                      background: '#334155',
+                      color: 'white',
+                      borderRadius: '8px',
+                      border: 'none',
+                      cursor: 'pointer',
+                      fontSize: '14px',
+                      textAlign: 'left'
+                    }}
+                  >
+                    <span>
+                      <strong>{titleOf(p, i)}</strong> {goalOf(p)}
+                    </span>
+                    <span style={{ color: STATUS_COLORS[statusOf(p)], whiteSpace: 'nowrap' }}>
+                      {t(`puzzle.status.${statusOf(p)}`)}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ol>
+
+            <div style={{ display: 'flex', justifyContent: 'center', gap: '16px', flexWrap: 'wrap' }}>
+              <label style={{ ...buttonStyle, display: 'inline-block' }}>
+                {t('puzzle.loadFile')}
+                <input type="file" accept=".json" onChange={handleFile} style={{ display: 'none' }} />
+              </label>
+              {puzzleSet !== BASIC_SET && (
+                <button onClick={() => setPuzzleSet(BASIC_SET)} style={buttonStyle}>{t('puzzle.sets.basic')}</button>
+              )}
+              <button onClick={onBack} style={{ ...buttonStyle, background: '#475569' }}>{t('game.back')}</button>
+            </div>
+            {loadError && (
+              <p style={{ color: '#fca5a5', fontSize: '14px', margin: '12px 0 0', textAlign: 'center' }}>
+                {t('puzzle.loadFailed', { error: describeError(t, loadError) })}
+              </p>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PuzzleMode;
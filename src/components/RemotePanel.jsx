@@ -0,0 +1,66 @@
+import React from 'react';
+import { useI18n } from '../i18n/context.js';
+import { describeError } from '../i18n/errors.js';
+
+const buttonStyle = {
+  padding: '8px 16px',
+  background: '#0d9488',
+  color: 'white',
+  fontWeight: 'bold',
+  borderRadius: '8px',
+  border: 'none',
+  cursor: 'pointer',
+  fontSize: '14px'
+};
+
+// 通信対戦の状態表示と操作（投了・引き分けの提案）
+// notice: { key, error } 表示するお知らせ（error は ProtocolError）
+const RemotePanel = ({ remote, gameOver, onResign, onOfferDraw, onAnswerDraw }) => {
+  const { role, room, status, partner, drawOffer, notice } = remote;
+  const waiting = !partner && status !== 'closed';
+  const { t } = useI18n();
+
+  return (
+    <div style={{
+      marginTop: '16px',
+      padding: '16px',
+      background: 'rgba(255, 255, 255, 0.1)',
+      borderRadius: '12px',
+      color: 'white',
+      fontSize: '14px',
+      textAlign: 'center'
+    }}>
+      <p style={{ margin: '0 0 8px', color: '#94a3b8' }}>
+        {t('remote.roomStatus', { room, role: t(`remote.roles.${role}`), status: t(`remote.status.${status}`) })}
+        {waiting && t('remote.waiting')}
+      </p>
+
+      {partner && !gameOver && (
+        <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', flexWrap: 'wrap' }}>
+          <button onClick={onResign} style={{ ...buttonStyle, background: '#b91c1c' }}>{t('remote.resign')}</button>
+          {drawOffer === null && (
+            <button onClick={onOfferDraw} style={buttonStyle}>{t('remote.offerDraw')}</button>
+          )}
+          {drawOffer === 'sent' && (
+            <span style={{ alignSelf: 'center', color: '#5eead4' }}>{t('remote.drawSent')}</span>
+          )}
+          {drawOffer === 'received' && (
+            <>
+              <span style={{ alignSelf: 'center', color: '#5eead4' }}>{t('remote.drawReceived')}</span>
+              <button onClick={() => onAnswerDraw(true)} style={buttonStyle}>{t('remote.accept')}</button>
+              <button onClick={() => onAnswerDraw(false)} style={{ ...buttonStyle, background: '#475569' }}>{t('remote.decline')}</button>
+            </>
+          )}
+        </div>
+      )}
+
+      {notice && (
+        <p style={{ color: '#fca5a5', margin: '8px 0 0' }}>
+          {t(notice.key, { error: notice.error && describeError(t, notice.error) })}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default RemotePanel;
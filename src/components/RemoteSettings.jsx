@@ -0,0 +1,86 @@
+import React from 'react';
+import { TRANSPORT_KINDS } from '../net/transports.js';
+import { useI18n } from '../i18n/context.js';
+import OptionButton from './OptionButton.jsx';
+
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '8px',
+  background: '#1e293b',
+  color: 'white',
+  border: '1px solid #475569',
+  borderRadius: '8px',
+  fontSize: '14px'
+};
+
+const buttonStyle = {
+  flex: 1,
+  padding: '12px 16px',
+  background: '#0d9488',
+  color: 'white',
+  fontWeight: 'bold',
+  borderRadius: '8px',
+  border: 'none',
+  cursor: 'pointer',
+  fontSize: '16px'
+};
+
+// 通信対戦の設定（部屋を作る側の色は「あなたの色」を使う）
+// error は表示するメッセージのキー
+const RemoteSettings = ({ settings, onChange, error, onHost, onJoin }) => {
+  const { transport, relayUrl, room } = settings;
+  const { t } = useI18n();
+
+  return (
+    <div style={{
+      marginTop: '20px',
+      padding: '20px',
+      background: 'rgba(255, 255, 255, 0.1)',
+      borderRadius: '12px',
+      width: '300px'
+    }}>
+      <p style={{ color: '#94a3b8', marginBottom: '12px', textAlign: 'center' }}>
+        {t('remote.title')}
+      </p>
+      <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', flexWrap: 'wrap' }}>
+        {Object.values(TRANSPORT_KINDS).map(value => (
+          <OptionButton key={value} selected={transport === value} onClick={() => onChange({ ...settings, transport: value })}>
+            {t(`remote.transports.${value}`)}
+          </OptionButton>
+        ))}
+      </div>
+
+      {transport === TRANSPORT_KINDS.WEBSOCKET && (
+        <label style={{ display: 'block', color: '#94a3b8', fontSize: '14px', marginTop: '16px' }}>
+          {t('remote.relayUrl')}
+          <input
+            value={relayUrl}
+            onChange={(e) => onChange({ ...settings, relayUrl: e.target.value })}
+            style={{ ...inputStyle, marginTop: '4px' }}
+          />
+        </label>
+      )}
+
+      <label style={{ display: 'block', color: '#94a3b8', fontSize: '14px', marginTop: '16px' }}>
+        {t('remote.room')}
+        <input
+          value={room}
+          onChange={(e) => onChange({ ...settings, room: e.target.value })}
+          style={{ ...inputStyle, marginTop: '4px' }}
+        />
+      </label>
+
+      <div style={{ display: 'flex', gap: '8px', marginTop: '16px' }}>
+        <button onClick={onHost} disabled={!room} style={buttonStyle}>{t('remote.host')}</button>
+        <button onClick={onJoin} disabled={!room} style={buttonStyle}>{t('remote.join')}</button>
+      </div>
+
+      {error && (
+        <p style={{ color: '#fca5a5', fontSize: '14px', margin: '8px 0 0' }}>{t(error)}</p>
+      )}
+    </div>
+  );
+};
+
+export default RemoteSettings;
@@ -0,0 +1,60 @@
+import React from 'react';
+import { GOALS, FLIP_LINES, NO_MOVE_RULES, PASS_LIMITS } from '../game/rules.js';
+import { useI18n } from '../i18n/context.js';
+import OptionRow from './OptionRow.jsx';
+
+// ルールの設定（新しく始める対局と、ホストとして作る通信対戦で使う）
+const RuleSettings = ({ rules, onChange }) => {
+  const { t } = useI18n();
+
+  return (
+    <div style={{
+      marginTop: '20px',
+      padding: '20px',
+      background: 'rgba(255, 255, 255, 0.1)',
+      borderRadius: '12px',
+      width: '300px'
+    }}>
+      <p style={{ color: '#94a3b8', marginBottom: '4px', textAlign: 'center' }}>
+        {t('rules.title')}
+      </p>
+      <OptionRow
+        label={t('rules.goal')}
+        options={Object.values(GOALS)}
+        value={rules.goal}
+        format={(goal) => t(`rules.goals.${goal}`)}
+        onSelect={(goal) => onChange({ ...rules, goal })}
+      />
+      <OptionRow
+        label={t('rules.flipLines')}
+        options={Object.values(FLIP_LINES)}
+        value={rules.flipLines}
+        format={(flipLines) => t(`rules.flipLineChoices.${flipLines}`)}
+        onSelect={(flipLines) => onChange({ ...rules, flipLines })}
+      />
+      <OptionRow
+        label={t('rules.chain')}
+        options={[false, true]}
+        value={rules.chain}
+        format={(chain) => t(`rules.chainChoices.${chain ? 'on' : 'off'}`)}
+        onSelect={(chain) => onChange({ ...rules, chain })}
+      />
+      <OptionRow
+        label={t('rules.noMove')}
+        options={Object.values(NO_MOVE_RULES)}
+        value={rules.noMove}
+        format={(noMove) => t(`rules.noMoveChoices.${noMove}`)}
+        onSelect={(noMove) => onChange({ ...rules, noMove })}
+      />
+      <OptionRow
+        label={t('rules.passLimit')}
+        options={PASS_LIMITS}
+        value={rules.passLimit}
+        format={(passLimit) => (passLimit === null ? t('rules.passLimits.none') : t('rules.passLimits.count', { count: passLimit }))}
+        onSelect={(passLimit) => onChange({ ...rules, passLimit })}
+      />
+    </div>
+  );
+};
+
+export default RuleSettings;
@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { currentState } from '../game/history.js';
+import { gameFragment, positionFragment } from '../game/share.js';
+import { useI18n } from '../i18n/context.js';
+
+const buttonStyle = {
+  padding: '8px 16px',
+  background: '#0d9488',
+  color: 'white',
+  fontWeight: 'bold',
+  borderRadius: '8px',
+  border: 'none',
+  cursor: 'pointer',
+  fontSize: '14px'
+};
+
+// 今のページの URL にフラグメントを付ける
+const linkTo = (fragment) => `${window.location.origin}${window.location.pathname}${window.location.search}#${fragment}`;
+
+// 局面・対局を共有するリンク（2人対戦のみ）
+const SharePanel = ({ history }) => {
+  const [open, setOpen] = useState(false);
+  const [link, setLink] = useState('');
+  const [copied, setCopied] = useState(false);
+  const { t } = useI18n();
+
+  const show = (fragment) => {
+    setLink(linkTo(fragment));
+    setCopied(false);
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopied(true);
+    } catch {
+      // クリップボードが使えない場合は、表示しているリンクを手でコピーしてもらう
+    }
+  };
+
+  if (!open) {
+    return (
+      <div style={{ textAlign: 'center', marginTop: '16px' }}>
+        <button onClick={() => setOpen(true)} style={{ ...buttonStyle, background: '#475569' }}>
+          {t('share.open')}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{
+      marginTop: '16px',
+      padding: '16px',
+      background: 'rgba(255, 255, 255, 0.1)',
+      borderRadius: '12px'
+    }}>
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', justifyContent: 'center' }}>
+        <button onClick={() => show(gameFragment(history))} style={buttonStyle}>{t('share.game')}</button>
+        <button onClick={() => show(positionFragment(currentState(history)))} style={buttonStyle}>{t('share.position')}</button>
+        <button onClick={() => setOpen(false)} style={{ ...buttonStyle, background: '#475569' }}>{t('share.close')}</button>
+      </div>
+      {link && (
+        <div style={{ display: 'flex', gap: '8px', marginTop: '12px' }}>
+          <input
+            readOnly
+            value={link}
+            aria-label={t('share.link')}
+            onFocus={(e) => e.target.select()}
+            style={{
+              flex: 1,
+              fontFamily: 'monospace',
+              fontSize: '12px',
+              background: '#1e293b',
+              color: 'white',
+              border: '1px solid #475569',
+              borderRadius: '8px',
+              padding: '8px'
+            }}
+          />
+          <button onClick={handleCopy} style={buttonStyle}>{copied ? t('share.copied') : t('share.copy')}</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SharePanel;
@@ -0,0 +1,12 @@
+import React from 'react';
+import { BLACK, WHITE } from '../game/engine.js';
+import { STONE_COLORS } from './stoneColors.js';
+
+// 手の一覧などで手番を表す印（黒は ●、白は ○、多人数対戦の色はその色の ●）
+const StoneMark = ({ color }) => {
+  if (color === BLACK) return '●';
+  if (color === WHITE) return '○';
+  return <span style={{ color: STONE_COLORS[color] }}>●</span>;
+};
+
+export default StoneMark;
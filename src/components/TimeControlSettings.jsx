@@ -0,0 +1,79 @@
+import React from 'react';
+import { TIME_CONTROL_TYPES } from '../game/clock.js';
+import { useI18n } from '../i18n/context.js';
+import OptionButton from './OptionButton.jsx';
+import OptionRow from './OptionRow.jsx';
+
+const MINUTE = 60 * 1000;
+const SECOND = 1000;
+
+const MAIN_TIME_OPTIONS = [1, 3, 5, 10, 20].map(minutes => minutes * MINUTE);
+const INCREMENT_OPTIONS = [2, 5, 10, 30].map(seconds => seconds * SECOND);
+const BYOYOMI_OPTIONS = [10, 30, 60].map(seconds => seconds * SECOND);
+const PERIOD_OPTIONS = [1, 3, 5];
+
+// 持ち時間の設定（2人対戦・CPU対戦・CPU観戦で使う）
+const TimeControlSettings = ({ control, onChange }) => {
+  const { type } = control;
+  const { t } = useI18n();
+
+  return (
+    <div style={{
+      marginTop: '20px',
+      padding: '20px',
+      background: 'rgba(255, 255, 255, 0.1)',
+      borderRadius: '12px',
+      width: '300px'
+    }}>
+      <p style={{ color: '#94a3b8', marginBottom: '12px', textAlign: 'center' }}>
+        {t('timeControl.title')}
+      </p>
+      <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', flexWrap: 'wrap' }}>
+        {Object.values(TIME_CONTROL_TYPES).map(value => (
+          <OptionButton key={value} selected={type === value} onClick={() => onChange({ ...control, type: value })}>
+            {t(`timeControl.types.${value}`)}
+          </OptionButton>
+        ))}
+      </div>
+
+      {type !== TIME_CONTROL_TYPES.NONE && (
+        <OptionRow
+          label={t('timeControl.mainTime')}
+          options={MAIN_TIME_OPTIONS}
+          value={control.mainTime}
+          format={(time) => t('timeControl.minutes', { value: time / MINUTE })}
+          onSelect={(mainTime) => onChange({ ...control, mainTime })}
+        />
+      )}
+      {type === TIME_CONTROL_TYPES.FISCHER && (
+        <OptionRow
+          label={t('timeControl.increment')}
+          options={INCREMENT_OPTIONS}
+          value={control.increment}
+          format={(time) => t('timeControl.seconds', { value: time / SECOND })}
+          onSelect={(increment) => onChange({ ...control, increment })}
+        />
+      )}
+      {type === TIME_CONTROL_TYPES.BYOYOMI && (
+        <>
+          <OptionRow
+            label={t('timeControl.byoyomi')}
+            options={BYOYOMI_OPTIONS}
+            value={control.byoyomi}
+            format={(time) => t('timeControl.seconds', { value: time / SECOND })}
+            onSelect={(byoyomi) => onChange({ ...control, byoyomi })}
+          />
+          <OptionRow
+            label={t('timeControl.periods')}
+            options={PERIOD_OPTIONS}
+            value={control.periods}
+            format={(periods) => t('timeControl.times', { value: periods })}
+            onSelect={(periods) => onChange({ ...control, periods })}
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TimeControlSettings;
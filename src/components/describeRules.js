@@ -0,0 +1,13 @@
+// 標準と違うルールの説明（標準のルールなら null）
+import { GOALS, FLIP_LINES, NO_MOVE_RULES } from '../game/rules.js';
+
+export const describeRules = (t, rules) => {
+  const changes = [
+    rules.goal === GOALS.FEWEST && t('rules.changed.fewest'),
+    rules.flipLines === FLIP_LINES.SINGLE && t('rules.changed.single'),
+    rules.chain && t('rules.changed.chain'),
+    rules.noMove === NO_MOVE_RULES.FREE && t('rules.changed.free'),
+    rules.passLimit !== null && t('rules.changed.passLimit', { count: rules.passLimit })
+  ].filter(Boolean);
+  return changes.length > 0 ? t('rules.summary', { rules: changes.join(t('announce.listSeparator')) }) : null;
+};
@@ -0,0 +1,10 @@
+import { WIN_SCORE } from '../game/search.js';
+
+// 評価値を表示用の文字列にする（終局まで読み切った値は勝敗と石差）
+export const formatScore = (t, score) => {
+  if (score >= WIN_SCORE) return t('analysis.win', { diff: score - WIN_SCORE });
+  if (score <= -WIN_SCORE) return t('analysis.loss', { diff: score + WIN_SCORE });
+  if (score === 0) return '0';
+  const rounded = Math.round(score);
+  return rounded > 0 ? `+${rounded}` : `${rounded}`;
+};
@@ -0,0 +1,45 @@
+import { fromKey } from '../game/hex.js';
+import { getFlipLines, getChainFlips } from '../game/engine.js';
+
+// アニメーションの速さ（基準の時間に掛ける倍率、0 はアニメーションなし）
+export const ANIMATION_SPEEDS = { off: 0, slow: 1.6, normal: 1, fast: 0.5 };
+
+export const DEFAULT_ANIMATION_SPEED = 'normal';
+
+// 基準の時間（ミリ秒）: 石が落ちる時間、1つの石が裏返る時間、隣の石が裏返り始めるまでの間隔
+const DROP_TIME = 200;
+const FLIP_TIME = 250;
+const RIPPLE_DELAY = 90;
+
+// state の手番の側が move に打つアニメーション（速さが off なら null）
+// 裏返る石は置いた石から方向ごとに外へ向かって順に裏返り、連鎖で裏返る石はその後に段階ごとに裏返る
+// 戻り値: { id, move, player, flips: Map(キー -> { delay: 裏返り始める時刻, from: 裏返る前の色 }), drop, flip, duration }
+// （時間はミリ秒）
+export const createMoveAnimation = (state, move, speed) => {
+  const scale = ANIMATION_SPEEDS[speed];
+  if (!scale) return null;
+
+  const drop = DROP_TIME * scale;
+  const flip = FLIP_TIME * scale;
+  const flips = new Map();
+  let duration = drop;
+  const coord = fromKey(move);
+  const lines = getFlipLines(coord, state.currentPlayer, state.board, state.shape, state.rules);
+  for (const line of lines) {
+    line.forEach((key, i) => {
+      const delay = drop + i * RIPPLE_DELAY * scale;
+      flips.set(key, { delay, from: state.board.get(key) });
+      duration = Math.max(duration, delay + flip);
+    });
+  }
+
+  const waves = getChainFlips(coord, lines.flat(), state.currentPlayer, state.board, state.shape, state.rules);
+  const chainStart = duration;
+  waves.forEach((wave, i) => {
+    const delay = chainStart + i * flip;
+    wave.forEach(key => flips.set(key, { delay, from: state.board.get(key) }));
+    duration = delay + flip;
+  });
+
+  return { id: `${state.moveCount}:${move}`, move, player: state.currentPlayer, flips, drop, flip, duration };
+};
@@ -0,0 +1,18 @@
+// 石の色（塗りと、得点表示などで使う縁取り）
+export const STONE_COLORS = {
+  black: '#1f2937',
+  white: '#f3f4f6',
+  red: '#dc2626',
+  blue: '#2563eb',
+  green: '#16a34a',
+  yellow: '#facc15'
+};
+
+export const STONE_BORDERS = {
+  black: '#4b5563',
+  white: '#d1d5db',
+  red: '#fca5a5',
+  blue: '#93c5fd',
+  green: '#86efac',
+  yellow: '#fef08a'
+};
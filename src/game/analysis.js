@@ -0,0 +1,57 @@
+// 対局の振り返り（各手の評価値の低下から悪手を見つける）
+import { PASS } from './engine.js';
+import { evaluateMoves } from './search.js';
+
+// 最善手との評価値の差がこれ以上なら悪手・疑問手
+export const BLUNDER_LOSS = 30;
+export const MISTAKE_LOSS = 12;
+
+// 振り返りで1局面あたりに使う探索時間（ミリ秒）
+export const REVIEW_TIME_PER_MOVE = 300;
+
+// 手の評価
+export const MOVE_QUALITY = {
+  BEST: 'best',
+  GOOD: 'good',
+  MISTAKE: 'mistake',
+  BLUNDER: 'blunder'
+};
+
+const qualityOf = (loss) => {
+  if (loss <= 0) return MOVE_QUALITY.BEST;
+  if (loss >= BLUNDER_LOSS) return MOVE_QUALITY.BLUNDER;
+  if (loss >= MISTAKE_LOSS) return MOVE_QUALITY.MISTAKE;
+  return MOVE_QUALITY.GOOD;
+};
+
+// 振り返る局面の一覧（パス以外の手の直前の局面）
+// 戻り値: [{ index: 手を打つ前の局面の番号, board, player, move }]（Worker に送れる形）
+export const reviewPositions = (history) => {
+  const positions = [];
+  history.moves.forEach((move, index) => {
+    if (move === PASS) return;
+    const { board, currentPlayer } = history.states[index];
+    positions.push({ index, board, player: currentPlayer, move });
+  });
+  return positions;
+};
+
+// 各局面で打った手と最善手を比べる（rules はルールの設定）
+// 戻り値: [{ index, player, move, bestMove, bestScore, playedScore, loss, quality }]
+export const reviewGame = (positions, shape, { timePerMove = REVIEW_TIME_PER_MOVE, rules, onProgress } = {}) => {
+  const entries = [];
+  for (const { index, board, player, move } of positions) {
+    const { scores } = evaluateMoves(board, player, shape, { timeLimit: timePerMove, rules });
+    let bestMove = move;
+    for (const [candidate, score] of scores) {
+      if (score > scores.get(bestMove)) bestMove = candidate;
+    }
+    const bestScore = scores.get(bestMove);
+    const playedScore = scores.get(move);
+    const loss = bestScore - playedScore;
+    const entry = { index, player, move, bestMove, bestScore, playedScore, loss, quality: qualityOf(loss) };
+    entries.push(entry);
+    onProgress?.({ done: entries.length, total: positions.length, entry });
+  }
+  return entries;
+};
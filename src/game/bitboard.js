@@ -0,0 +1,358 @@
+// 探索用の盤面表現（ビットボード）
+//
+// UI とルールエンジン（engine.js）の盤面は "q,r,s" をキーにした Map だが、探索で局面ごとに
+// 文字列を作って Map を複製するのは遅いので、CPU の探索はこの表現で行う。
+//
+// セルは盤面の形を囲む (q, r) の格子に並べ、ビット番号 = (r - rMin) + (q - qMin) * height とする。
+// 各列の末尾に盤外の行を1つ余分に取るので、方向ごとのシフトが列をまたいで回り込むことはない。
+// 格子のうち石を置けるセル（壁・穴・盤外以外）は layout.valid のビット。
+//
+// 局面（position）は探索中に makeMove / unmakeMove で書き換える可変のオブジェクト:
+//   { layout, rules, players, player, stones, occupied, counts, cells, passCount, hash, undo }
+//   players: 手番順の色、player: 手番の色の番号（players の添字）
+//   stones:  色ごとの石のビットボード（BigInt）、occupied: 全ての石
+//   counts:  色ごとの石の数、cells: ビット番号 -> 色の番号 + 1（空きは 0）の配列
+//   passCount: 連続パス数
+//   hash:    Zobrist ハッシュ（石の配置と手番。連続パスの上限があるルールでは連続パス数も）
+//   undo:    unmakeMove 用の記録
+//
+// 合法手・裏返る石・終局の判定は engine.js と完全に一致させる（scripts/check-bitboard.js で確かめる）
+import { cubeAdd, directions, toKey } from './hex.js';
+import { DEFAULT_SHAPE } from './board.js';
+import { DEFAULT_RULES, FLIP_LINES, NO_MOVE_RULES } from './rules.js';
+
+const MASK_32 = 0xffffffffn;
+
+// 32ビットごとに立っているビットを数える
+const popcount32 = (x) => {
+  x -= (x >>> 1) & 0x55555555;
+  x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+  return (((x + (x >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+};
+
+// ビットボードの石の数
+export const popcount = (mask) => {
+  let count = 0;
+  while (mask) {
+    count += popcount32(Number(mask & MASK_32));
+    mask >>= 32n;
+  }
+  return count;
+};
+
+// 立っているビットの番号（小さい順）
+const bitsOf = (mask) => {
+  const bits = [];
+  let base = 0;
+  while (mask) {
+    let word = Number(mask & MASK_32);
+    while (word) {
+      const low = word & -word;
+      bits.push(base + 31 - Math.clz32(low));
+      word ^= low;
+    }
+    mask >>= 32n;
+    base += 32;
+  }
+  return bits;
+};
+
+// Zobrist ハッシュの乱数（盤面の形によらず同じ値になるよう、固定のシードから作る）
+const createRandom64 = (seed) => {
+  let state = BigInt(seed);
+  return () => {
+    // splitmix64
+    state = BigInt.asUintN(64, state + 0x9e3779b97f4a7c15n);
+    let z = state;
+    z = BigInt.asUintN(64, (z ^ (z >> 30n)) * 0xbf58476d1ce4e5b9n);
+    z = BigInt.asUintN(64, (z ^ (z >> 27n)) * 0x94d049bb133111ebn);
+    return z ^ (z >> 31n);
+  };
+};
+
+// 色の数の上限（engine.js の PLAYER_COLORS と同じ）
+const MAX_COLORS = 6;
+
+// 盤面の形ごとの格子の情報（形ごとにキャッシュ）
+const layouts = new WeakMap();
+
+export const layoutOf = (shape = DEFAULT_SHAPE) => {
+  let layout = layouts.get(shape);
+  if (layout) return layout;
+
+  const qs = shape.cells.map(({ q }) => q);
+  const rs = shape.cells.map(({ r }) => r);
+  const qMin = Math.min(...qs);
+  const rMin = Math.min(...rs);
+  const height = Math.max(...rs) - rMin + 2; // 盤外の行を1つ余分に取る
+  const size = (Math.max(...qs) - qMin + 1) * height;
+  const bitOf = ({ q, r }) => (r - rMin) + (q - qMin) * height;
+
+  const masks = Array.from({ length: size }, (_, bit) => 1n << BigInt(bit));
+  const keys = new Array(size).fill(null);
+  const indexOf = new Map();
+  const order = new Int32Array(size).fill(-1); // ビット番号 -> shape.cells の順番
+  let valid = 0n;
+
+  shape.cells.forEach((cell, i) => {
+    const bit = bitOf(cell);
+    const key = toKey(cell);
+    keys[bit] = key;
+    indexOf.set(key, bit);
+    order[bit] = i;
+    valid |= masks[bit];
+  });
+
+  // セルごと・方向ごとに、隣から盤外まで並んだセル（裏返しの判定で辿る）
+  const rays = shape.cells.map(cell => directions.map(dir => {
+    const ray = [];
+    for (let current = cubeAdd(cell, dir); shape.keys.has(toKey(current)); current = cubeAdd(current, dir)) {
+      ray.push(bitOf(current));
+    }
+    return Int16Array.from(ray);
+  }));
+  const raysOf = new Array(size).fill(null);
+  shape.cells.forEach((cell, i) => { raysOf[bitOf(cell)] = rays[i]; });
+
+  // 方向ごとのシフト量（正なら左シフト）
+  const shifts = directions.map(({ q, r }) => r + q * height);
+
+  const random = createRandom64(0x5eed);
+  const zobrist = Array.from({ length: MAX_COLORS }, () => Array.from({ length: size }, () => random()));
+  const sideKeys = Array.from({ length: MAX_COLORS }, () => random());
+  // 連続パス数ごと（0 回は 0n にしてパスのない局面のハッシュを変えない）
+  const passKeys = [0n, ...Array.from({ length: MAX_COLORS }, () => random())];
+
+  // 手の並びを shape.cells の順にそろえる必要があるか
+  const bitsInOrder = shape.cells.every((cell, i) => i === 0 || bitOf(cell) > bitOf(shape.cells[i - 1]));
+
+  layout = Object.freeze({
+    shape, size, valid, masks, keys, indexOf, order, rays: raysOf,
+    shifts: shifts.map(amount => ({ amount: BigInt(Math.abs(amount)), left: amount > 0 })),
+    zobrist, sideKeys, passKeys, bitsInOrder
+  });
+  layouts.set(shape, layout);
+  return layout;
+};
+
+// 盤面の石を1方向にずらす
+// 盤外・壁に出たビットも残るが、石や空きマスのビットボードと & を取れば消える
+const shift = (mask, { amount, left }) => (left ? mask << amount : mask >> amount);
+
+// 連続パス数のハッシュ（連続パスで終局するルールでは、石の配置と手番が同じでも終局かどうかが変わる）
+const passKeyOf = (layout, rules, passCount) => (
+  rules.passLimit === null ? 0n : layout.passKeys[Math.min(passCount, MAX_COLORS)]
+);
+
+// 局面のハッシュを一から計算する（makeMove では差分で更新する）
+export const hashPosition = (position) => {
+  const { layout, rules, cells, player, passCount } = position;
+  let hash = layout.sideKeys[player] ^ passKeyOf(layout, rules, passCount);
+  cells.forEach((piece, bit) => {
+    if (piece) hash ^= layout.zobrist[piece - 1][bit];
+  });
+  return hash;
+};
+
+// Map の盤面から局面を作る
+// players は手番順の色、player は手番の色（rules を省略すると標準のルール、passCount はそれまでの連続パス数）
+export const createPosition = (board, players, player, shape = DEFAULT_SHAPE, rules = DEFAULT_RULES, passCount = 0) => {
+  const layout = layoutOf(shape);
+  const cells = new Int8Array(layout.size);
+  const stones = players.map(() => 0n);
+  const counts = players.map(() => 0);
+
+  board.forEach((color, key) => {
+    const bit = layout.indexOf.get(key);
+    const index = players.indexOf(color);
+    if (bit === undefined || index < 0) return;
+    cells[bit] = index + 1;
+    stones[index] |= layout.masks[bit];
+    counts[index]++;
+  });
+
+  const position = {
+    layout,
+    rules,
+    players,
+    player: players.indexOf(player),
+    stones,
+    occupied: stones.reduce((all, mask) => all | mask, 0n),
+    counts,
+    cells,
+    passCount,
+    hash: 0n,
+    undo: []
+  };
+  position.hash = hashPosition(position);
+  return position;
+};
+
+// 局面を Map の盤面に戻す
+export const positionToBoard = (position) => {
+  const { layout, cells, players } = position;
+  const board = new Map();
+  cells.forEach((piece, bit) => {
+    if (piece) board.set(layout.keys[bit], players[piece - 1]);
+  });
+  return board;
+};
+
+// 石を挟める空きマスのビットボード（打てる手がなく自由に置けるルールなら全ての空きマス）
+export const moveMask = (position, player = position.player) => {
+  const { layout, stones, occupied, rules } = position;
+  const own = stones[player];
+  const others = occupied & ~own;
+  const empty = layout.valid & ~occupied;
+
+  let moves = 0n;
+  for (const direction of layout.shifts) {
+    // 自分の石から相手の石が続く先の空きマス
+    let run = shift(own, direction) & others;
+    while (run) {
+      run = shift(run, direction);
+      moves |= run & empty;
+      run &= others;
+    }
+  }
+  if (moves === 0n && rules.noMove === NO_MOVE_RULES.FREE) return empty;
+  return moves;
+};
+
+// 合法手の数
+export const countMoves = (position, player = position.player) => popcount(moveMask(position, player));
+
+// 合法手のビット番号（engine.js の calculateValidMoves と同じく shape.cells の順）
+export const generateMoves = (position, player = position.player) => {
+  const bits = bitsOf(moveMask(position, player));
+  const { order, bitsInOrder } = position.layout;
+  return bitsInOrder ? bits : bits.sort((a, b) => order[a] - order[b]);
+};
+
+// bit の石から挟める列（engine.js の linesFrom と同じ規則・同じ順）
+const linesFrom = (layout, cells, bit, color, rules) => {
+  const lines = [];
+  for (const ray of layout.rays[bit]) {
+    const line = [];
+    for (const next of ray) {
+      const piece = cells[next];
+      if (piece === 0) break;
+      if (piece === color) {
+        if (line.length > 0) lines.push(line);
+        break;
+      }
+      line.push(next);
+    }
+  }
+  if (rules.flipLines === FLIP_LINES.SINGLE && lines.length > 1) {
+    return [lines.reduce((best, line) => (line.length > best.length ? line : best))];
+  }
+  return lines;
+};
+
+// bit に color（色の番号 + 1）の石を置いて cells を書き換え、裏返った石を返す
+// 戻り値: { flipped: ビット番号の配列（engine.js の getFlips と同じ順）, previous: 裏返る前の石 }
+const applyFlips = (layout, cells, bit, color, rules) => {
+  const flipped = [];
+  const previous = [];
+  const flip = (next) => {
+    flipped.push(next);
+    previous.push(cells[next]);
+    cells[next] = color;
+  };
+
+  const direct = linesFrom(layout, cells, bit, color, rules).flat();
+  cells[bit] = color;
+  direct.forEach(flip);
+
+  // 連鎖（裏返った石を置いた石とみなし、段階ごとに挟んだ石を裏返す）
+  if (rules.chain) {
+    let sources = direct;
+    while (sources.length > 0) {
+      const wave = [];
+      for (const source of sources) {
+        for (const line of linesFrom(layout, cells, source, color, rules)) {
+          line.forEach(next => {
+            flip(next);
+            wave.push(next);
+          });
+        }
+      }
+      sources = wave;
+    }
+  }
+  return { flipped, previous };
+};
+
+// bit に打った時に裏返る石のビット番号（局面は変更しない）
+export const flipsOf = (position, bit, player = position.player) => {
+  const { layout, cells, rules } = position;
+  return applyFlips(layout, cells.slice(), bit, player + 1, rules).flipped;
+};
+
+// 手番の色が bit に打ち、手番を次の色に回す（unmakeMove で戻せる）
+// 戻り値: 裏返した石の数
+export const makeMove = (position, bit) => {
+  const { layout, cells, stones, counts, players, player } = position;
+  const { masks, zobrist, sideKeys } = layout;
+  const next = (player + 1) % players.length;
+
+  const undo = {
+    bit, player, stones: stones.slice(), occupied: position.occupied, counts: counts.slice(),
+    passCount: position.passCount, hash: position.hash, flipped: null, previous: null
+  };
+  const { flipped, previous } = applyFlips(layout, cells, bit, player + 1, position.rules);
+  undo.flipped = flipped;
+  undo.previous = previous;
+
+  let own = stones[player] | masks[bit];
+  let hash = position.hash ^ zobrist[player][bit] ^ sideKeys[player] ^ sideKeys[next]
+    ^ passKeyOf(layout, position.rules, position.passCount);
+  flipped.forEach((flippedBit, i) => {
+    const from = previous[i] - 1;
+    stones[from] &= ~masks[flippedBit];
+    counts[from]--;
+    own |= masks[flippedBit];
+    hash ^= zobrist[from][flippedBit] ^ zobrist[player][flippedBit];
+  });
+  stones[player] = own;
+  counts[player] += flipped.length + 1;
+  position.occupied |= masks[bit];
+  position.passCount = 0;
+  position.hash = hash;
+  position.player = next;
+  position.undo.push(undo);
+  return flipped.length;
+};
+
+// 手番の色がパスし、手番を次の色に回す（unmakeMove で戻せる）
+export const makePass = (position) => {
+  const { player, players, layout, rules, passCount } = position;
+  const next = (player + 1) % players.length;
+  position.undo.push({ bit: null, player, passCount, hash: position.hash });
+  position.hash ^= layout.sideKeys[player] ^ layout.sideKeys[next]
+    ^ passKeyOf(layout, rules, passCount) ^ passKeyOf(layout, rules, passCount + 1);
+  position.player = next;
+  position.passCount = passCount + 1;
+};
+
+// 直前の makeMove / makePass を取り消す
+export const unmakeMove = (position) => {
+  const undo = position.undo.pop();
+  position.player = undo.player;
+  position.passCount = undo.passCount;
+  position.hash = undo.hash;
+  if (undo.bit === null) return;
+
+  const { cells } = position;
+  cells[undo.bit] = 0;
+  undo.flipped.forEach((bit, i) => { cells[bit] = undo.previous[i]; });
+  position.stones = undo.stones;
+  position.occupied = undo.occupied;
+  position.counts = undo.counts;
+};
+
+// ビット番号 <-> 手のキー（"q,r,s"）
+export const keyOfBit = (position, bit) => position.layout.keys[bit];
+
+export const bitOfKey = (position, key) => position.layout.indexOf.get(key);
@@ -0,0 +1,197 @@
+// 盤面の形と初期配置
+import { cubeAdd, cubeDistance, directions, toKey } from './hex.js';
+
+// 選択できる盤面の半径（形ごとの大きさ）
+export const MIN_BOARD_RADIUS = 3;
+export const MAX_BOARD_RADIUS = 8;
+
+// ボードの範囲を定義（デフォルト）
+export const BOARD_RADIUS = 4;
+
+// 外周からの距離（外周 = 0）を幅優先探索で求める
+// 盤外・壁に隣接するセルを外周とする
+const calculateEdgeDepth = (cells, keys) => {
+  const depth = new Map();
+  let frontier = [];
+  for (const cell of cells) {
+    if (directions.some(dir => !keys.has(toKey(cubeAdd(cell, dir))))) {
+      depth.set(toKey(cell), 0);
+      frontier.push(cell);
+    }
+  }
+  while (frontier.length > 0) {
+    const next = [];
+    for (const cell of frontier) {
+      const d = depth.get(toKey(cell));
+      for (const dir of directions) {
+        const neighbor = cubeAdd(cell, dir);
+        const key = toKey(neighbor);
+        if (keys.has(key) && !depth.has(key)) {
+          depth.set(key, d + 1);
+          next.push(neighbor);
+        }
+      }
+    }
+    frontier = next;
+  }
+  return depth;
+};
+
+// 座標の集合から盤面を生成
+// { name, radius, cells: 石を置けるセル, keys: cells のキーの Set, walls: 壁セル,
+//   edgeDepth: キー -> 外周からの距離, maxEdgeDepth }
+// 壁セルは描画されるが石を置けず、裏返しの判定もそこで止まる
+export const createShape = ({ name, radius, cells, walls = [] }) => {
+  const wallKeys = new Set(walls.map(toKey));
+  const playable = cells.filter(cell => !wallKeys.has(toKey(cell)));
+  const keys = new Set(playable.map(toKey));
+  const edgeDepth = calculateEdgeDepth(playable, keys);
+  return Object.freeze({
+    name,
+    radius,
+    cells: playable,
+    keys,
+    walls,
+    edgeDepth,
+    maxEdgeDepth: Math.max(0, ...edgeDepth.values())
+  });
+};
+
+// 半径 radius の六角形内のセル
+const hexCells = (radius) => {
+  const cells = [];
+  for (let q = -radius; q <= radius; q++) {
+    for (let r = -radius; r <= radius; r++) {
+      const s = -q - r;
+      if (Math.abs(s) > radius) continue;
+      cells.push({ q, r, s });
+    }
+  }
+  return cells;
+};
+
+// 半径から六角形の盤面を生成
+export const createHexShape = (radius = BOARD_RADIUS) => {
+  return createShape({ name: 'hexagon', radius, cells: hexCells(radius) });
+};
+
+// 盤面の形のプリセット（radius から各形のセルを生成する）
+// 初期配置が置けるよう、どの形も原点付近にセルがある
+export const BOARD_SHAPES = {
+  // 六角形（標準）
+  hexagon: (radius) => hexCells(radius),
+  // 三角形（重心が原点、一辺 3 * (radius - 1) + 1 マス）
+  triangle: (radius) => hexCells(2 * (radius - 1))
+    .filter(({ q, r, s }) => Math.max(q, r, s) <= radius - 1),
+  // 菱形（一辺 2 * radius + 1 マス）
+  rhombus: (radius) => {
+    const cells = [];
+    for (let q = -radius; q <= radius; q++) {
+      for (let r = -radius; r <= radius; r++) {
+        cells.push({ q, r, s: -q - r });
+      }
+    }
+    return cells;
+  },
+  // 中心に穴の空いたリング
+  ring: (radius) => hexCells(radius).filter(cell => cubeDistance(cell) >= 1),
+  // 六角形の中に壁のある砦
+  fortress: (radius) => hexCells(radius)
+};
+
+// 形ごとの壁セル
+const SHAPE_WALLS = {
+  // 中心から2マスの六方向に壁を置き、軸方向の列を分断する
+  fortress: () => directions.map(({ q, r, s }) => ({ q: q * 2, r: r * 2, s: s * 2 }))
+};
+
+export const DEFAULT_SHAPE_NAME = 'hexagon';
+
+// 形の名前と半径から盤面を生成
+export const createNamedShape = (name = DEFAULT_SHAPE_NAME, radius = BOARD_RADIUS) => {
+  const buildCells = BOARD_SHAPES[name];
+  if (!buildCells) throw new Error(`Unknown board shape: ${name}`);
+  const walls = SHAPE_WALLS[name] ? SHAPE_WALLS[name](radius) : [];
+  return createShape({ name, radius, cells: buildCells(radius), walls });
+};
+
+export const DEFAULT_SHAPE = createHexShape(BOARD_RADIUS);
+
+// 座標がボード内かチェック
+export const isInBounds = (coord, shape = DEFAULT_SHAPE) => shape.keys.has(toKey(coord));
+
+// ボード内の全セルの座標
+export const boardCells = (shape = DEFAULT_SHAPE) => shape.cells;
+
+// 初期配置のプリセット（中心付近のみなので半径3以上ならどれでも置ける）
+// 形によって盤外・壁になるセルの石は置かれない
+export const START_LAYOUTS = {
+  standard: [
+    ['0,0,0', 'white'],
+    ['1,-1,0', 'black'],
+    ['0,1,-1', 'black'],
+    ['-1,0,1', 'black'],
+    ['-1,1,0', 'white'],
+    ['1,0,-1', 'white'],
+    ['0,-1,1', 'white'],
+  ],
+  compact: [
+    ['0,0,0', 'white'],
+    ['1,-1,0', 'black'],
+    ['1,0,-1', 'white'],
+    ['0,1,-1', 'black'],
+  ],
+  ring: [
+    ['1,-1,0', 'black'],
+    ['1,0,-1', 'white'],
+    ['0,1,-1', 'black'],
+    ['-1,1,0', 'white'],
+    ['-1,0,1', 'black'],
+    ['0,-1,1', 'white'],
+  ],
+  triangle: [
+    ['0,0,0', 'white'],
+    ['1,-1,0', 'black'],
+    ['1,0,-1', 'white'],
+    ['0,-1,1', 'white'],
+    ['2,-1,-1', 'black'],
+    ['1,-2,1', 'black'],
+  ],
+};
+
+export const DEFAULT_LAYOUT = 'standard';
+
+// 多人数対戦の初期配置（人数ごと、中心を囲む6マスに手番順で並べる）
+// 中心を空けることで、どの色も回転対称な位置から打ち始められる
+export const MULTIPLAYER_LAYOUTS = {
+  3: [
+    ['1,-1,0', 'black'],
+    ['1,0,-1', 'white'],
+    ['0,1,-1', 'red'],
+    ['-1,1,0', 'black'],
+    ['-1,0,1', 'white'],
+    ['0,-1,1', 'red'],
+  ],
+  6: [
+    ['1,-1,0', 'black'],
+    ['1,0,-1', 'white'],
+    ['0,1,-1', 'red'],
+    ['-1,1,0', 'blue'],
+    ['-1,0,1', 'green'],
+    ['0,-1,1', 'yellow'],
+  ],
+};
+
+// 初期配置を生成
+// layout はプリセット名、または [キー, 色] の配列（カスタム配置）
+export const createInitialBoard = (layout = DEFAULT_LAYOUT, shape = DEFAULT_SHAPE) => {
+  const stones = typeof layout === 'string' ? START_LAYOUTS[layout] : layout;
+  if (!stones) throw new Error(`Unknown start layout: ${layout}`);
+
+  const board = new Map();
+  for (const [key, color] of stones) {
+    // 盤外になる石は置かない（小さい盤面でカスタム配置を使った場合など）
+    if (shape.keys.has(key)) board.set(key, color);
+  }
+  return board;
+};
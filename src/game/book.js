@@ -0,0 +1,122 @@
+// 定石（序盤の局面ごとのおすすめの手と重み）
+//
+// 定石の形式（JSON）:
+//   {
+//     "format": "honeycomb-reversi-book",
+//     "version": 1,
+//     "shape": { "name": "hexagon", "radius": 4 },
+//     "rules": { ... },                 省略可（棋譜と同じく標準と違うルールのみ）
+//     "plies": 10,                      何手目までの局面を収めたか
+//     "positions": {
+//       "<局面の正規形>": { "2,-1,-1": 12, "1,1,-2": 3 }   正規形の盤面での手 -> 重み（正の整数）
+//     }
+//   }
+//
+// 局面は symmetry.js の正規形で引くので、1つの項目で対称な局面（回転・鏡映）を全て扱える。
+// 定石は scripts/build-book.js で棋譜や CPU 同士の対局から作る
+import { createNamedShape } from './board.js';
+import { DEFAULT_RULES, createRules, changedRules, sameRules } from './rules.js';
+import { canonicalPosition } from './symmetry.js';
+
+export const BOOK_FORMAT = 'honeycomb-reversi-book';
+export const BOOK_VERSION = 1;
+
+// 空の定石
+// 戻り値: { shape, rules, plies, positions: 正規形 -> (手 -> 重み) の Map }
+export const createBook = (shape, rules = DEFAULT_RULES, plies = 0) => ({ shape, rules, plies, positions: new Map() });
+
+// 定石が盤面の形とルールに合うか
+const fitsGame = (book, shape, rules) => {
+  return book.shape.name === shape.name && book.shape.radius === shape.radius && sameRules(book.rules, rules);
+};
+
+// 正規形に移した手（局面自体が対称なら、対称な手のうち最小のキーにまとめる）
+const canonicalMove = (move, symmetries) => {
+  return symmetries.map(({ forward }) => forward.get(move)).sort()[0];
+};
+
+// 局面で打った手の重みを足す
+export const addBookMove = (book, board, player, move, weight) => {
+  const { key, symmetries } = canonicalPosition(board, player, book.shape);
+  const moves = book.positions.get(key) ?? new Map();
+  const canonical = canonicalMove(move, symmetries);
+  moves.set(canonical, (moves.get(canonical) ?? 0) + weight);
+  book.positions.set(key, moves);
+};
+
+// 局面で定石にある手と重み（実際の盤面での手 -> 重みの Map。定石にない局面や形・ルールが違えば空）
+export const bookMoves = (book, board, player, shape, rules = DEFAULT_RULES) => {
+  if (!fitsGame(book, shape, rules)) return new Map();
+  const { key, symmetries } = canonicalPosition(board, player, shape);
+  const moves = book.positions.get(key);
+  if (!moves) return new Map();
+
+  // 正規形から実際の盤面に戻す（対称な局面では、どの対称性で戻しても同じ価値の手になる）
+  const [{ backward }] = symmetries;
+  return new Map([...moves].map(([move, weight]) => [backward.get(move), weight]));
+};
+
+// 重みに応じて定石の手を選ぶ（合法手にない手は使わない。定石にない局面なら null）
+// random は 0 以上 1 未満の乱数を返す関数
+export const pickBookMove = (book, board, player, shape, rules, validMoves, random = Math.random) => {
+  const candidates = [...bookMoves(book, board, player, shape, rules)].filter(([move]) => validMoves.has(move));
+  const total = candidates.reduce((sum, [, weight]) => sum + weight, 0);
+  if (total === 0) return null;
+
+  let target = random() * total;
+  for (const [move, weight] of candidates) {
+    target -= weight;
+    if (target < 0) return move;
+  }
+  return candidates[candidates.length - 1][0];
+};
+
+// moveCount 手目の局面で使う定石（最初の plies 手までの局面だけで使い、それ以降は null）
+export const bookFor = (book, moveCount, plies = Infinity) => (book && moveCount < plies ? book : null);
+
+// 重みが minWeight 未満の手を除く（手が残らない局面も除く）
+export const pruneBook = (book, minWeight) => {
+  for (const [key, moves] of book.positions) {
+    for (const [move, weight] of moves) {
+      if (weight < minWeight) moves.delete(move);
+    }
+    if (moves.size === 0) book.positions.delete(key);
+  }
+  return book;
+};
+
+// ---- JSON 形式 ----
+
+// 定石のオブジェクトを読み込む（不正な形式なら例外）
+export const readBook = (data) => {
+  if (data?.format !== BOOK_FORMAT) throw new Error('Not an opening book');
+  if (data.version !== BOOK_VERSION) throw new Error(`Unsupported opening book version: ${data.version}`);
+
+  const book = createBook(createNamedShape(data.shape?.name, data.shape?.radius), createRules(data.rules ?? {}), data.plies ?? 0);
+  for (const [key, moves] of Object.entries(data.positions ?? {})) {
+    const entries = Object.entries(moves);
+    if (!entries.every(([move, weight]) => book.shape.keys.has(move) && Number.isInteger(weight) && weight > 0)) {
+      throw new Error(`Invalid opening book entry: ${key}`);
+    }
+    book.positions.set(key, new Map(entries));
+  }
+  return book;
+};
+
+// 定石を JSON にする（局面は正規形の順、手は重みの大きい順）
+export const bookToJSON = (book) => {
+  const positions = [...book.positions]
+    .sort(([a], [b]) => (a < b ? -1 : 1))
+    .map(([key, moves]) => [key, Object.fromEntries([...moves].sort((a, b) => b[1] - a[1]))]);
+
+  const data = {
+    format: BOOK_FORMAT,
+    version: BOOK_VERSION,
+    shape: { name: book.shape.name, radius: book.shape.radius }
+  };
+  const rules = changedRules(book.rules);
+  if (Object.keys(rules).length > 0) data.rules = rules;
+  data.plies = book.plies;
+  data.positions = Object.fromEntries(positions);
+  return JSON.stringify(data, null, 2);
+};
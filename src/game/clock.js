@@ -0,0 +1,140 @@
+// 対局時計（切れ負け・フィッシャー・秒読み）
+//
+// 持ち時間の設定 control:
+//   { type: 'sudden-death', mainTime }                  持ち時間を使い切ったら負け
+//   { type: 'fischer', mainTime, increment }            一手打つごとに increment を加算
+//   { type: 'byoyomi', mainTime, byoyomi, periods }     持ち時間を使い切った後は一手 byoyomi 以内。
+//                                                       超えるたびに回数（periods）を一つ使い、なくなったら負け
+// 時間はすべてミリ秒
+//
+// 時計 clock: { control, black: Side, white: Side, running: 色 | null, since: 動き始めた時刻 | null }
+//   Side: { main: 残りの持ち時間, periods: 残りの秒読みの回数, periodLeft: 今の秒読みの残り, flagged: 時間切れか }
+// 現在時刻は引数 now で受け取り、時計自体は時刻を持たない（表示や判定の時に経過時間を差し引く）
+
+export const TIME_CONTROL_TYPES = {
+  NONE: 'none',
+  SUDDEN_DEATH: 'sudden-death',
+  FISCHER: 'fischer',
+  BYOYOMI: 'byoyomi'
+};
+
+export const DEFAULT_TIME_CONTROL = {
+  type: TIME_CONTROL_TYPES.NONE,
+  mainTime: 5 * 60 * 1000,
+  increment: 5 * 1000,
+  byoyomi: 30 * 1000,
+  periods: 3
+};
+
+// CPUの思考時間を決める時に、通信や描画の遅れとして残しておく時間
+const SAFETY_MARGIN = 200;
+
+const createSide = (control) => ({
+  main: control.mainTime,
+  periods: control.type === TIME_CONTROL_TYPES.BYOYOMI ? control.periods : 0,
+  periodLeft: control.type === TIME_CONTROL_TYPES.BYOYOMI ? control.byoyomi : 0,
+  flagged: false
+});
+
+// 時計を作成（持ち時間なしなら null）
+export const createClock = (control) => {
+  if (!control || control.type === TIME_CONTROL_TYPES.NONE) return null;
+  return Object.freeze({
+    control,
+    black: createSide(control),
+    white: createSide(control),
+    running: null,
+    since: null
+  });
+};
+
+// 経過時間を差し引く（持ち時間 → 秒読みの順に使う）
+const consume = (side, elapsed, control) => {
+  if (elapsed < side.main) return { ...side, main: side.main - elapsed };
+
+  let over = elapsed - side.main;
+  if (control.type !== TIME_CONTROL_TYPES.BYOYOMI) return { ...side, main: 0, flagged: true };
+
+  let { periods, periodLeft } = side;
+  while (periods > 0 && over >= periodLeft) {
+    over -= periodLeft;
+    periods--;
+    periodLeft = control.byoyomi;
+  }
+  if (periods === 0) return { ...side, main: 0, periods: 0, periodLeft: 0, flagged: true };
+  return { ...side, main: 0, periods, periodLeft: periodLeft - over };
+};
+
+// 動いている側の経過時間を反映して止める
+const stop = (clock, now, bonus) => {
+  if (!clock.running) return clock;
+  const color = clock.running;
+  let side = consume(clock[color], now - clock.since, clock.control);
+  if (!side.flagged) side = bonus(side, clock.control);
+  return Object.freeze({ ...clock, [color]: side, running: null, since: null });
+};
+
+// 一手打った時の加算（フィッシャーは increment を足し、秒読み中は秒読みを戻す）
+const moveBonus = (side, control) => {
+  if (control.type === TIME_CONTROL_TYPES.FISCHER) return { ...side, main: side.main + control.increment };
+  if (control.type === TIME_CONTROL_TYPES.BYOYOMI && side.main === 0) return { ...side, periodLeft: control.byoyomi };
+  return side;
+};
+
+// color の時計を動かす（すでに動いていればそのまま）
+export const startClock = (clock, color, now) => {
+  if (clock.running === color) return clock;
+  const stopped = stop(clock, now, side => side);
+  if (stopped[color].flagged) return stopped;
+  return Object.freeze({ ...stopped, running: color, since: now });
+};
+
+// 手を打って時計を止める
+export const pressClock = (clock, now) => stop(clock, now, moveBonus);
+
+// 手を打たずに時計を止める（待った、終局など）
+export const pauseClock = (clock, now) => stop(clock, now, side => side);
+
+// 現在時刻での color の残り時間
+export const readClock = (clock, color, now) => {
+  const side = clock[color];
+  return clock.running === color ? consume(side, now - clock.since, clock.control) : side;
+};
+
+// 動いている側が時間切れになるまでの時間（止まっていれば null）
+export const timeUntilFlag = (clock, now) => {
+  if (!clock.running) return null;
+  const side = clock[clock.running];
+  let total = side.main;
+  if (clock.control.type === TIME_CONTROL_TYPES.BYOYOMI && side.periods > 0) {
+    total += side.periodLeft + (side.periods - 1) * clock.control.byoyomi;
+  }
+  return Math.max(0, total - (now - clock.since));
+};
+
+// 時間切れになった色（なければ null）
+export const flaggedColor = (clock, now) => {
+  for (const color of ['black', 'white']) {
+    if (readClock(clock, color, now).flagged) return color;
+  }
+  return null;
+};
+
+// CPUが一手に使える時間の目安
+// movesLeft は終局までに自分が打つ手数の見込み
+export const thinkingTimeFor = (clock, color, now, movesLeft) => {
+  const side = readClock(clock, color, now);
+  const { control } = clock;
+  const share = side.main / Math.max(1, movesLeft);
+
+  let budget;
+  if (control.type === TIME_CONTROL_TYPES.FISCHER) {
+    budget = Math.min(share + control.increment * 0.8, side.main / 2);
+  } else if (control.type === TIME_CONTROL_TYPES.BYOYOMI && side.periods > 0) {
+    // 持ち時間を使い切っても秒読みの間は考えられる
+    budget = share + side.periodLeft * 0.8;
+  } else {
+    budget = share;
+  }
+  return Math.max(0, budget - SAFETY_MARGIN);
+};
@@ -0,0 +1,103 @@
+// CPUの思考ルーチン
+import { DEFAULT_SHAPE } from './board.js';
+import { DEFAULT_PLAYERS } from './engine.js';
+import { bitValueTable } from './evaluate.js';
+import { searchBestMove } from './search.js';
+import { searchMultiplayerMove } from './maxn.js';
+import { searchMCTSMove } from './mcts.js';
+import { pickBookMove } from './book.js';
+import { DEFAULT_RULES, NO_MOVE_RULES, goalSign } from './rules.js';
+import { createPosition, countMoves, flipsOf, makeMove, unmakeMove, bitOfKey } from './bitboard.js';
+
+// CPU難易度設定
+export const CPU_DIFFICULTY = {
+  EASY: 'easy',
+  NORMAL: 'normal',
+  HARD: 'hard',
+  EXPERT: 'expert',
+  // モンテカルロ木探索（強さはプレイアウト数で決まる）
+  MCTS: 'mcts'
+};
+
+// 将来の状態を評価（次の手番の相手の手を制限できるか）
+const evaluateFutureState = (position, move) => {
+  makeMove(position, move);
+
+  // 相手の有効な手の数を計算
+  const opponentMoves = countMoves(position);
+  unmakeMove(position);
+
+  // 相手の手が少ないほど良い
+  return -opponentMoves * 0.5;
+};
+
+// CPUの手を評価（position はビットボードの局面、move は手番の色が打つ手のビット番号）
+// アンチリバーシでは裏返す数と位置の価値を反転する（石を増やさない手ほど良い）
+// random は 0 以上 1 未満の乱数を返す関数（シードつきの乱数を渡すと結果を再現できる）
+export const evaluateMove = (position, move, difficulty, random = Math.random) => {
+  const { rules } = position;
+  const flips = flipsOf(position, move);
+  // 自由に置ける時は裏返さない手も打てる
+  if (flips.length === 0 && rules.noMove !== NO_MOVE_RULES.FREE) return -Infinity;
+
+  const sign = goalSign(rules);
+  const positionValue = sign * bitValueTable(position.layout.shape)[move];
+  const flipCount = sign * flips.length;
+
+  switch (difficulty) {
+    case CPU_DIFFICULTY.EASY:
+      // ランダム要素を強く
+      return flipCount + random() * 10;
+    case CPU_DIFFICULTY.NORMAL:
+      // バランス型
+      return flipCount * 2 + positionValue + random() * 3;
+    case CPU_DIFFICULTY.HARD:
+      // 戦略的
+      return flipCount * 3 + positionValue * 2 + evaluateFutureState(position, move);
+    default:
+      return flipCount;
+  }
+};
+
+// CPUの最善手を選択
+// options.players は手番順の色（省略すると2人対戦）、options.rules はルールの設定
+// options.random は評価に使う乱数（省略すると Math.random）
+// options.book は定石（book.js）。定石にある局面では、どの難易度でも重みに応じて定石の手を打つ
+// options は探索（EXPERT・MCTS）にもそのまま渡す（timeLimit, maxDepth, playouts, onProgress, rules など）
+export const selectCPUMove = (validMoves, player, currentBoard, difficulty, shape = DEFAULT_SHAPE, options = {}) => {
+  const movesArray = Array.from(validMoves);
+  if (movesArray.length === 0) return null;
+
+  const { players = DEFAULT_PLAYERS, random = Math.random, book = null, ...searchOptions } = options;
+  const { rules = DEFAULT_RULES } = searchOptions;
+
+  const bookMove = book && pickBookMove(book, currentBoard, player, shape, rules, validMoves, random);
+  if (bookMove) return bookMove;
+
+  // モンテカルロ木探索（人数によらず同じ探索）
+  if (difficulty === CPU_DIFFICULTY.MCTS) {
+    return searchMCTSMove(currentBoard, player, shape, { ...searchOptions, players, random }).move;
+  }
+
+  // 最上位の難易度は探索に任せる（3人以上は max-n）
+  if (difficulty === CPU_DIFFICULTY.EXPERT) {
+    return players.length > 2
+      ? searchMultiplayerMove(currentBoard, player, players, shape, searchOptions).move
+      : searchBestMove(currentBoard, player, shape, searchOptions).move;
+  }
+
+  const position = createPosition(currentBoard, players, player, shape, rules);
+  let bestMove = null;
+  let bestScore = -Infinity;
+
+  for (const moveKey of movesArray) {
+    const score = evaluateMove(position, bitOfKey(position, moveKey), difficulty, random);
+
+    if (score > bestScore) {
+      bestScore = score;
+      bestMove = moveKey;
+    }
+  }
+
+  return bestMove;
+};
@@ -0,0 +1,242 @@
+// リバーシのルールエンジン（UIに依存しない純粋関数のみ）
+import { cubeAdd, directions, toKey, fromKey } from './hex.js';
+import { DEFAULT_SHAPE, isInBounds, boardCells, createInitialBoard } from './board.js';
+import { DEFAULT_RULES, FLIP_LINES, NO_MOVE_RULES, goalSign } from './rules.js';
+
+export const BLACK = 'black';
+export const WHITE = 'white';
+export const RED = 'red';
+export const BLUE = 'blue';
+export const GREEN = 'green';
+export const YELLOW = 'yellow';
+
+// 石の色（多人数対戦では先頭から人数分を使う）
+export const PLAYER_COLORS = [BLACK, WHITE, RED, BLUE, GREEN, YELLOW];
+
+// 対局できる人数
+export const PLAYER_COUNTS = [2, 3, 6];
+
+// 通常の2人対戦の手番順
+export const DEFAULT_PLAYERS = [BLACK, WHITE];
+
+// 人数に応じた手番順の色
+export const playersFor = (count) => PLAYER_COLORS.slice(0, count);
+
+// パスを表す手
+export const PASS = 'pass';
+
+// 相手の色（2人対戦用）
+export const opponentOf = (player) => (player === BLACK ? WHITE : BLACK);
+
+// 手番順で次の色
+export const nextPlayer = (players, player) => players[(players.indexOf(player) + 1) % players.length];
+
+// 指定方向に裏返せる石を探す
+export const findFlipsInDirection = (coord, direction, player, currentBoard, shape = DEFAULT_SHAPE) => {
+  const flips = [];
+  let current = cubeAdd(coord, direction);
+
+  while (isInBounds(current, shape)) {
+    const key = toKey(current);
+    const piece = currentBoard.get(key);
+    if (!piece) break;
+    if (piece === player) return flips;
+    flips.push(key);
+    current = cubeAdd(current, direction);
+  }
+  return [];
+};
+
+// coord の石から挟める列（ルールが1列だけなら最も長い列、同じ長さなら方向の順で先の列）
+const linesFrom = (coord, player, currentBoard, shape, rules) => {
+  const lines = directions
+    .map(dir => findFlipsInDirection(coord, dir, player, currentBoard, shape))
+    .filter(flips => flips.length > 0);
+  if (rules.flipLines === FLIP_LINES.SINGLE && lines.length > 1) {
+    return [lines.reduce((best, line) => (line.length > best.length ? line : best))];
+  }
+  return lines;
+};
+
+// 指定位置に置いた時に裏返せる石を方向ごとに取得（各方向は置いた石に近い順、連鎖は含まない）
+export const getFlipLines = (coord, player, currentBoard, shape = DEFAULT_SHAPE, rules = DEFAULT_RULES) => {
+  if (currentBoard.has(toKey(coord))) return [];
+  return linesFrom(coord, player, currentBoard, shape, rules);
+};
+
+// 連鎖で裏返る石（ルールで連鎖がある時のみ）
+// flips は置いた石が直接裏返す石。裏返った石を置いた石とみなして挟める石を裏返し、これを繰り返す
+// 戻り値: 段階ごとの配列（各段階は直前の段階で裏返った石が挟んだ石）
+export const getChainFlips = (coord, flips, player, currentBoard, shape = DEFAULT_SHAPE, rules = DEFAULT_RULES) => {
+  if (!rules.chain || flips.length === 0) return [];
+
+  const board = new Map(currentBoard);
+  board.set(toKey(coord), player);
+  flips.forEach(key => board.set(key, player));
+
+  const waves = [];
+  let sources = flips;
+  while (sources.length > 0) {
+    const wave = [];
+    for (const source of sources) {
+      for (const line of linesFrom(fromKey(source), player, board, shape, rules)) {
+        line.forEach(key => {
+          board.set(key, player);
+          wave.push(key);
+        });
+      }
+    }
+    if (wave.length > 0) waves.push(wave);
+    sources = wave;
+  }
+  return waves;
+};
+
+// 指定位置に置いた時に裏返せる石をすべて取得（連鎖で裏返る石も含む）
+export const getFlips = (coord, player, currentBoard, shape = DEFAULT_SHAPE, rules = DEFAULT_RULES) => {
+  const flips = getFlipLines(coord, player, currentBoard, shape, rules).flat();
+  return [...flips, ...getChainFlips(coord, flips, player, currentBoard, shape, rules).flat()];
+};
+
+// 有効な手を計算
+// 石を裏返せる手がなく、ルールで自由に置ける時は全ての空きマスが有効な手になる
+export const calculateValidMoves = (player, currentBoard, shape = DEFAULT_SHAPE, rules = DEFAULT_RULES) => {
+  const moves = new Set();
+  for (const coord of boardCells(shape)) {
+    const flips = getFlipLines(coord, player, currentBoard, shape, rules);
+    if (flips.length > 0) {
+      moves.add(toKey(coord));
+    }
+  }
+  if (moves.size === 0 && rules.noMove === NO_MOVE_RULES.FREE) {
+    for (const coord of boardCells(shape)) {
+      const key = toKey(coord);
+      if (!currentBoard.has(key)) moves.add(key);
+    }
+  }
+  return moves;
+};
+
+// スコア（色ごとの石の数）を計算
+export const calculateScores = (currentBoard, players = DEFAULT_PLAYERS) => {
+  const scores = Object.fromEntries(players.map(player => [player, 0]));
+  currentBoard.forEach(piece => {
+    if (piece in scores) scores[piece]++;
+  });
+  return scores;
+};
+
+// 石を置いて裏返した後の盤面を返す（元の盤面は変更しない）
+export const placeStone = (currentBoard, key, player, shape = DEFAULT_SHAPE, rules = DEFAULT_RULES) => {
+  const flips = getFlips(fromKey(key), player, currentBoard, shape, rules);
+  const newBoard = new Map(currentBoard);
+  newBoard.set(key, player);
+  flips.forEach(flipKey => newBoard.set(flipKey, player));
+  return newBoard;
+};
+
+// ---- GameState ----
+// { shape, rules, board, players, currentPlayer, moveCount, passCount, lastMove, result }
+// rules はルールの設定（rules.js）、players は手番順の色、passCount は連続パス数
+// result は終局時のみ { winner, scores }（winner: ルールの目的で一番の色、同数で並んだら null）
+
+// 終局判定（誰も打てる手がない）
+const isBoardTerminal = (board, shape, players, rules) => {
+  return players.every(player => calculateValidMoves(player, board, shape, rules).size === 0);
+};
+
+// 盤面から勝敗を決める（アンチリバーシでは石が最も少ない色の勝ち）
+const resultOf = (board, players, rules) => {
+  const scores = calculateScores(board, players);
+  const sign = goalSign(rules);
+  const best = Math.max(...players.map(player => sign * scores[player]));
+  const leaders = players.filter(player => sign * scores[player] === best);
+  return { winner: leaders.length === 1 ? leaders[0] : null, scores };
+};
+
+// 連続パスの上限に達したか
+const reachedPassLimit = (passCount, rules) => rules.passLimit !== null && passCount >= rules.passLimit;
+
+const makeState = ({ shape, rules, board, players, currentPlayer, moveCount, passCount, lastMove }) => {
+  const terminal = reachedPassLimit(passCount, rules) || isBoardTerminal(board, shape, players, rules);
+  return Object.freeze({
+    shape,
+    rules,
+    board,
+    players,
+    currentPlayer,
+    moveCount,
+    passCount,
+    lastMove,
+    result: terminal ? resultOf(board, players, rules) : null
+  });
+};
+
+// 新しいゲームを作成
+// shape を省略すると標準の盤面、board を省略すると shape に合わせた標準の初期配置になる
+// players は手番順の色（省略すると黒と白の2人）、rules は省略すると標準のルール
+export const createGame = ({
+  shape = DEFAULT_SHAPE, rules = DEFAULT_RULES, board, players = DEFAULT_PLAYERS, currentPlayer = players[0]
+} = {}) => {
+  return makeState({
+    shape,
+    rules,
+    board: board ?? createInitialBoard(undefined, shape),
+    players,
+    currentPlayer,
+    moveCount: 0,
+    passCount: 0,
+    lastMove: null
+  });
+};
+
+// 手番のプレイヤーの有効な手
+export const legalMoves = (state) => {
+  if (state.result) return new Set();
+  return calculateValidMoves(state.currentPlayer, state.board, state.shape, state.rules);
+};
+
+// パスしかできない状態か
+export const mustPass = (state) => !state.result && legalMoves(state).size === 0;
+
+// 手を打つ
+export const applyMove = (state, key) => {
+  if (state.result) throw new Error('Game is already over');
+  if (!legalMoves(state).has(key)) throw new Error(`Illegal move: ${key}`);
+
+  return makeState({
+    shape: state.shape,
+    rules: state.rules,
+    board: placeStone(state.board, key, state.currentPlayer, state.shape, state.rules),
+    players: state.players,
+    currentPlayer: nextPlayer(state.players, state.currentPlayer),
+    moveCount: state.moveCount + 1,
+    passCount: 0,
+    lastMove: key
+  });
+};
+
+// パスする（打てる手がない時のみ）
+export const pass = (state) => {
+  if (!mustPass(state)) throw new Error('Pass is only allowed when there are no legal moves');
+
+  return makeState({
+    shape: state.shape,
+    rules: state.rules,
+    board: state.board,
+    players: state.players,
+    currentPlayer: nextPlayer(state.players, state.currentPlayer),
+    moveCount: state.moveCount + 1,
+    passCount: state.passCount + 1,
+    lastMove: state.lastMove
+  });
+};
+
+// 打てる手がなければ、打てる色の番になるまでパスを適用した状態を返す
+export const autoPass = (state) => (mustPass(state) ? autoPass(pass(state)) : state);
+
+// 終局しているか
+export const isTerminal = (state) => state.result !== null;
+
+// 勝者の色、引き分けまたは対局中は null
+export const winner = (state) => (state.result ? state.result.winner : null);
@@ -0,0 +1,11 @@
+// 読み込みエラーの英語の文（error.message 用）
+//
+// エラーは code と params を持ち、画面では i18n/errors.js で選択中の言語に翻訳する。
+// error.message の文は en のカタログの同じキーの文を使う（文はカタログにだけ書く）
+import { createTranslator } from '../i18n/translate.js';
+import en from '../i18n/locales/en.js';
+
+const english = createTranslator(en);
+
+// messageKey の英語の文（{reason} には原因のエラーの message を入れる。カタログになければキーのまま）
+export const errorMessage = (messageKey, params = {}, cause) => english(messageKey, { ...params, reason: cause?.message });
@@ -0,0 +1,71 @@
+// 盤面の静的評価
+import { toKey } from './hex.js';
+import { DEFAULT_SHAPE } from './board.js';
+import { calculateValidMoves, opponentOf } from './engine.js';
+import { DEFAULT_RULES, goalSign } from './rules.js';
+import { layoutOf, countMoves } from './bitboard.js';
+
+// 位置の価値を評価（端や外周は価値が高い）
+// 外周は中心からの距離ではなく、盤面の形（穴・壁を含む）の実際の外周で判定する
+export const evaluatePosition = (q, r, s, shape = DEFAULT_SHAPE) => {
+  const depth = shape.edgeDepth.get(toKey({ q, r, s }));
+  // 外周に近いほど価値が高い
+  if (depth === 0) return 10; // 最外周
+  if (depth === 1) return 5; // 外周の内側
+  if (depth === shape.maxEdgeDepth) return 3; // 中心
+  return 1;
+};
+
+// キーから位置の価値を引く表（盤面の形ごとにキャッシュ）
+const positionTables = new WeakMap();
+
+export const positionTable = (shape = DEFAULT_SHAPE) => {
+  let table = positionTables.get(shape);
+  if (!table) {
+    table = new Map(shape.cells.map(({ q, r, s }) => [toKey({ q, r, s }), evaluatePosition(q, r, s, shape)]));
+    positionTables.set(shape, table);
+  }
+  return table;
+};
+
+// ビット番号から位置の価値を引く表（探索用。盤面の形ごとにキャッシュ）
+const bitValueTables = new WeakMap();
+
+export const bitValueTable = (shape = DEFAULT_SHAPE) => {
+  let values = bitValueTables.get(shape);
+  if (!values) {
+    const { size, keys } = layoutOf(shape);
+    const table = positionTable(shape);
+    values = Int32Array.from({ length: size }, (_, bit) => (keys[bit] ? table.get(keys[bit]) : 0));
+    bitValueTables.set(shape, values);
+  }
+  return values;
+};
+
+// 盤面全体を player から見て評価（位置の価値の差 + 打てる手の数の差）
+// アンチリバーシでは位置の価値の差を反転する（石を持たない方が良い）
+export const evaluateBoard = (board, player, shape = DEFAULT_SHAPE, rules = DEFAULT_RULES) => {
+  const table = positionTable(shape);
+  let score = 0;
+  board.forEach((piece, key) => {
+    const value = table.get(key) ?? 0;
+    score += piece === player ? value : -value;
+  });
+
+  const mobility = calculateValidMoves(player, board, shape, rules).size -
+                   calculateValidMoves(opponentOf(player), board, shape, rules).size;
+  return goalSign(rules) * score + mobility * 2;
+};
+
+// evaluateBoard のビットボード版（局面の手番によらず player から見た値。2人対戦のみ）
+export const evaluateBitboard = (position, player) => {
+  const values = bitValueTable(position.layout.shape);
+  const own = player + 1;
+  let score = 0;
+  position.cells.forEach((piece, bit) => {
+    if (piece) score += piece === own ? values[bit] : -values[bit];
+  });
+
+  const mobility = countMoves(position, player) - countMoves(position, 1 - player);
+  return goalSign(position.rules) * score + mobility * 2;
+};
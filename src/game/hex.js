@@ -0,0 +1,32 @@
+// Cube座標系のヘルパー関数
+export const cubeAdd = (a, b) => ({ q: a.q + b.q, r: a.r + b.r, s: a.s + b.s });
+
+// 座標の距離（中心からの距離）
+export const cubeDistance = (coord) => {
+  return Math.max(Math.abs(coord.q), Math.abs(coord.r), Math.abs(coord.s));
+};
+
+// 6方向の隣接セル
+export const directions = [
+  { q: 1, r: -1, s: 0 },  // 右上
+  { q: 1, r: 0, s: -1 },  // 右
+  { q: 0, r: 1, s: -1 },  // 右下
+  { q: -1, r: 1, s: 0 },  // 左下
+  { q: -1, r: 0, s: 1 },  // 左
+  { q: 0, r: -1, s: 1 },  // 左上
+];
+
+// 座標 <-> 盤面キー（"q,r,s"）の変換
+export const toKey = (coord) => `${coord.q},${coord.r},${coord.s}`;
+
+export const fromKey = (key) => {
+  const [q, r, s] = key.split(',').map(Number);
+  return { q, r, s };
+};
+
+// Cube座標から画面座標への変換
+export const cubeToPixel = (q, r, size) => {
+  const x = size * (3/2 * q);
+  const y = size * (Math.sqrt(3)/2 * q + Math.sqrt(3) * r);
+  return { x, y };
+};
@@ -0,0 +1,64 @@
+// 棋譜（手の履歴）と undo / redo
+import { PASS, applyMove, pass, mustPass } from './engine.js';
+
+// { states: GameState の配列, moves: 手の配列（キーまたは PASS）, index: 現在の局面 }
+// moves[i] は states[i] から states[i + 1] への手
+// index より先の局面は redo 用に残しておき、新しい手を打った時に捨てる
+
+const makeHistory = (states, moves, index) => Object.freeze({ states, moves, index });
+
+// 現在の局面
+export const currentState = (history) => history.states[history.index];
+
+// 最新の局面を表示しているか
+export const isAtLatest = (history) => history.index === history.states.length - 1;
+
+// 手を打つ（PASS も可）。index より先の履歴は捨てる
+export const pushMove = (history, move) => {
+  const state = currentState(history);
+  const next = move === PASS ? pass(state) : applyMove(state, move);
+  return makeHistory(
+    [...history.states.slice(0, history.index + 1), next],
+    [...history.moves.slice(0, history.index), move],
+    history.index + 1
+  );
+};
+
+// 打てる手がなければパスを記録する（多人数対戦では打てる色の番になるまで続ける）
+export const settle = (history) => {
+  return mustPass(currentState(history)) ? settle(pushMove(history, PASS)) : history;
+};
+
+// 新しい履歴を作成（autoPass が true なら初期局面の強制パスも記録する）
+export const createHistory = (initialState, { autoPass = true } = {}) => {
+  const history = makeHistory([initialState], [], 0);
+  return autoPass ? settle(history) : history;
+};
+
+// 指定した局面へ移動
+export const goTo = (history, index) => {
+  const clamped = Math.max(0, Math.min(index, history.states.length - 1));
+  return clamped === history.index ? history : makeHistory(history.states, history.moves, clamped);
+};
+
+// 止まる局面の判定（デフォルトはパスするしかない局面を飛ばす）
+const defaultStop = (state) => !mustPass(state);
+
+// 一つ前の止まる局面へ戻る
+export const undo = (history, isStop = defaultStop) => {
+  let index = history.index - 1;
+  while (index > 0 && !isStop(history.states[index])) index--;
+  return goTo(history, index);
+};
+
+// 一つ先の止まる局面へ進む
+export const redo = (history, isStop = defaultStop) => {
+  const last = history.states.length - 1;
+  let index = history.index + 1;
+  while (index < last && !isStop(history.states[index])) index++;
+  return goTo(history, index);
+};
+
+export const canUndo = (history) => history.index > 0;
+
+export const canRedo = (history) => !isAtLatest(history);
@@ -0,0 +1,126 @@
+// 多人数対戦の探索によるCPU（max-n + 反復深化）
+// 3人以上では相手が一人に決まらないため、ネガマックスではなく各色の評価値の組を比べる
+// 各手番の色は、自分の評価値が最大になる手を選ぶものとして読む
+import { DEFAULT_SHAPE } from './board.js';
+import { bitValueTable } from './evaluate.js';
+import { SEARCH_TIME_LIMIT, WIN_SCORE } from './search.js';
+import { DEFAULT_RULES, goalSign } from './rules.js';
+import { createPosition, generateMoves, makeMove, makePass, unmakeMove, keyOfBit } from './bitboard.js';
+
+// 反復深化の最大深さ
+const MAX_SEARCH_DEPTH = 12;
+
+// 時間切れで探索を打ち切る時に投げる値
+const TIMEOUT = Symbol('timeout');
+
+// 盤面の静的評価（色の番号ごとの位置の価値の合計。アンチリバーシでは反転する）
+const evaluateAll = (position, values) => {
+  const sign = goalSign(position.rules);
+  const totals = position.players.map(() => 0);
+  position.cells.forEach((piece, bit) => {
+    if (piece) totals[piece - 1] += sign * values[bit];
+  });
+  return totals;
+};
+
+// 終局時の評価（ルールの目的に沿った石の数で、勝った色は WIN_SCORE を足す）
+const finalValues = (position) => {
+  const sign = goalSign(position.rules);
+  const signed = position.counts.map(count => sign * count);
+  const best = Math.max(...signed);
+  const leaders = signed.filter(value => value === best).length;
+  return signed.map(value => (leaders === 1 && value === best ? WIN_SCORE : 0) + value);
+};
+
+// 自分の評価値と、他の色で最も高い評価値の差（大きいほど良い）
+const marginOf = (totals, player) => {
+  const others = totals.filter((_, i) => i !== player);
+  return totals[player] - Math.max(...others);
+};
+
+// 手の並び替え（前回の最善手 → 位置の価値が高い順）
+const orderMoves = (moves, firstMove, values) => {
+  return moves.sort((a, b) => {
+    if (a === firstMove) return -1;
+    if (b === firstMove) return 1;
+    return values[b] - values[a];
+  });
+};
+
+// max-n（色の番号ごとの評価値の配列を返す）
+// passes は連続パス数で、全員がパスするか連続パスの上限に達したら終局
+const maxn = (context, position, depth, passes) => {
+  context.nodes++;
+  if (context.nodes % 64 === 0 && Date.now() > context.deadline) throw TIMEOUT;
+
+  const { rules, values } = context;
+  const { player, players } = position;
+  const moves = generateMoves(position);
+
+  if (moves.length === 0) {
+    if (passes + 1 >= Math.min(players.length, rules.passLimit ?? Infinity)) return finalValues(position);
+    makePass(position);
+    const result = maxn(context, position, depth, passes + 1);
+    unmakeMove(position);
+    return result;
+  }
+
+  if (depth === 0) return evaluateAll(position, values);
+
+  let best = null;
+  for (const move of orderMoves(moves, null, values)) {
+    makeMove(position, move);
+    const totals = maxn(context, position, depth - 1, 0);
+    unmakeMove(position);
+    if (!best || marginOf(totals, player) > marginOf(best, player)) best = totals;
+  }
+  return best;
+};
+
+// ルート局面の探索（最善手のビット番号と評価値を返す）
+// 時間切れの時は局面が途中のまま残るが、探索ごとに局面を作り直すので戻さない
+const searchRoot = (context, position, moves, depth, previousBest) => {
+  const { player } = position;
+  let best = { move: null, score: -Infinity };
+
+  for (const move of orderMoves([...moves], previousBest, context.values)) {
+    makeMove(position, move);
+    const score = marginOf(maxn(context, position, depth - 1, 0), player);
+    unmakeMove(position);
+    if (score > best.score) best = { move, score };
+  }
+  return best;
+};
+
+// 多人数対戦の最善手を探索する
+// 戻り値と onProgress は searchBestMove と同じ形（exact は終局まで読み切ったか）
+export const searchMultiplayerMove = (board, player, players, shape = DEFAULT_SHAPE, {
+  timeLimit = SEARCH_TIME_LIMIT,
+  maxDepth = MAX_SEARCH_DEPTH,
+  rules = DEFAULT_RULES,
+  onProgress
+} = {}) => {
+  const position = createPosition(board, players, player, shape, rules);
+  const moves = generateMoves(position);
+  if (moves.length === 0) return { move: null, score: 0, depth: 0, exact: false, nodes: 0 };
+
+  const values = bitValueTable(shape);
+  const context = { rules, values, deadline: Date.now() + timeLimit, nodes: 0 };
+  const empties = shape.cells.length - board.size;
+
+  // 時間切れに備えて、探索前の最善手は並び替えの先頭にしておく
+  let best = { move: orderMoves([...moves], null, values)[0], score: 0, depth: 0, exact: false };
+
+  for (let depth = 1; depth <= Math.min(maxDepth, empties); depth++) {
+    try {
+      const result = searchRoot(context, position, moves, depth, best.move);
+      best = { ...result, depth, exact: depth >= empties };
+      onProgress?.({ ...best, move: keyOfBit(position, best.move), nodes: context.nodes });
+    } catch (error) {
+      if (error !== TIMEOUT) throw error;
+      break;
+    }
+  }
+
+  return { ...best, move: keyOfBit(position, best.move), nodes: context.nodes };
+};
@@ -0,0 +1,164 @@
+// モンテカルロ木探索（UCT）によるCPU
+// 局面から終局までランダムに打つ（プレイアウト）のを繰り返し、よく勝てた手を選ぶ
+// 評価関数を使わないので、強さはプレイアウト数（または思考時間）でなめらかに変えられる
+// 各ノードは「そのノードへ打った色」から見た勝ち数を持つので、3人以上でもそのまま使える
+import { DEFAULT_SHAPE } from './board.js';
+import { DEFAULT_PLAYERS } from './engine.js';
+import { DEFAULT_RULES, goalSign } from './rules.js';
+import { createPosition, generateMoves, makeMove, makePass, unmakeMove, keyOfBit } from './bitboard.js';
+
+// 1手あたりのプレイアウト数（既定値）
+export const MCTS_PLAYOUTS = 1000;
+
+// UCT の探索の重み（大きいほど試した回数の少ない手を試す）
+const EXPLORATION = Math.SQRT2;
+
+// 途中経過を知らせる間隔（プレイアウト数）
+const PROGRESS_INTERVAL = 200;
+
+// 時間切れを確かめる間隔（プレイアウト数）
+const TIME_CHECK_INTERVAL = 16;
+
+// ノード: { move: 打った手のビット番号（パスは null）, player: 打った色の番号, passes: 連続パス数,
+//          visits, wins, children: 展開済みの子（未展開なら null）, untried: まだ子にしていない手 }
+const createNode = (move, player, passes) => ({ move, player, passes, visits: 0, wins: 0, children: null, untried: null });
+
+// 手番の色が打てない時に終局するか（全員がパスするか、連続パスの上限に達する）
+const endsOnPass = (position, passes) => {
+  return passes + 1 >= Math.min(position.players.length, position.rules.passLimit ?? Infinity);
+};
+
+// 終局した局面の色ごとの得点（勝ちは 1、同点で並んだら等分、負けは 0）
+const rewardsOf = (position) => {
+  const sign = goalSign(position.rules);
+  const signed = position.counts.map(count => sign * count);
+  const best = Math.max(...signed);
+  const leaders = signed.filter(value => value === best).length;
+  return signed.map(value => (value === best ? 1 / leaders : 0));
+};
+
+// ノードの子を作る手の一覧（打てなければパス、終局なら空）
+const expandableMoves = (position, passes) => {
+  const moves = generateMoves(position);
+  if (moves.length > 0) return moves;
+  return endsOnPass(position, passes) ? [] : [null];
+};
+
+// 手（null はパス）を打つ
+const play = (position, move) => {
+  if (move === null) makePass(position);
+  else makeMove(position, move);
+};
+
+// 打った後の連続パス数
+const passesAfter = (move, passes) => (move === null ? passes + 1 : 0);
+
+// UCT の値が最も大きい子
+const selectChild = (node) => {
+  const logVisits = Math.log(node.visits);
+  let best = null;
+  let bestValue = -Infinity;
+  for (const child of node.children) {
+    const value = child.wins / child.visits + EXPLORATION * Math.sqrt(logVisits / child.visits);
+    if (value > bestValue) {
+      bestValue = value;
+      best = child;
+    }
+  }
+  return best;
+};
+
+// 終局までランダムに打つ
+const playout = (position, passes, random) => {
+  for (;;) {
+    const moves = expandableMoves(position, passes);
+    if (moves.length === 0) return;
+    const move = moves[Math.floor(random() * moves.length)];
+    play(position, move);
+    passes = passesAfter(move, passes);
+  }
+};
+
+// 選択 → 展開 → プレイアウト → 逆伝播 を1回行う（局面は最後に元に戻す）
+const iterate = (root, position, random) => {
+  const depth = position.undo.length;
+  const path = [root];
+  let node = root;
+
+  // 全ての子を展開済みのノードは UCT で下りる
+  while (node.children && node.untried.length === 0 && node.children.length > 0) {
+    node = selectChild(node);
+    play(position, node.move);
+    path.push(node);
+  }
+
+  // まだ試していない手を1つ展開する
+  if (!node.children) {
+    node.children = [];
+    node.untried = expandableMoves(position, node.passes);
+  }
+  if (node.untried.length > 0) {
+    const index = Math.floor(random() * node.untried.length);
+    const move = node.untried[index];
+    node.untried[index] = node.untried[node.untried.length - 1];
+    node.untried.pop();
+
+    const child = createNode(move, position.player, passesAfter(move, node.passes));
+    play(position, move);
+    node.children.push(child);
+    node = child;
+    path.push(node);
+  }
+
+  playout(position, node.passes, random);
+  const rewards = rewardsOf(position);
+  for (const visited of path) {
+    visited.visits++;
+    if (visited.player !== null) visited.wins += rewards[visited.player];
+  }
+
+  while (position.undo.length > depth) unmakeMove(position);
+};
+
+// ルートの子ごとの試した回数と勝率（回数の多い順）
+const summarizeRoot = (root, position) => {
+  return root.children
+    .map(child => ({ move: keyOfBit(position, child.move), visits: child.visits, winRate: child.wins / child.visits }))
+    .sort((a, b) => b.visits - a.visits || b.winRate - a.winRate);
+};
+
+// 最善手を探索する（プレイアウト数か思考時間のどちらかに達したら打ち切る）
+// 最も多く試した手を選ぶ
+// 戻り値: { move, playouts, moves: [{ move, visits, winRate }] }（moves は試した回数の多い順）
+// onProgress を渡すと、一定のプレイアウト数ごとに途中経過（戻り値と同じ形）で呼ばれる
+// players は手番順の色（省略すると2人対戦）、random は 0 以上 1 未満の乱数を返す関数
+export const searchMCTSMove = (board, player, shape = DEFAULT_SHAPE, {
+  playouts = MCTS_PLAYOUTS,
+  timeLimit = Infinity,
+  players = DEFAULT_PLAYERS,
+  rules = DEFAULT_RULES,
+  random = Math.random,
+  onProgress
+} = {}) => {
+  const position = createPosition(board, players, player, shape, rules);
+  if (generateMoves(position).length === 0) return { move: null, playouts: 0, moves: [] };
+
+  const deadline = Date.now() + timeLimit;
+  const root = createNode(null, null, 0);
+  const result = (count) => {
+    const moves = summarizeRoot(root, position);
+    return { move: moves[0].move, playouts: count, moves };
+  };
+
+  // 手を選べるよう、プレイアウト数が 0 以下でも1回は試す
+  const budget = Math.max(1, playouts);
+  let count = 0;
+  while (count < budget) {
+    iterate(root, position, random);
+    count++;
+    if (count % TIME_CHECK_INTERVAL === 0 && Date.now() > deadline) break;
+    if (count % PROGRESS_INTERVAL === 0 && count < budget) onProgress?.(result(count));
+  }
+
+  return result(count);
+};
@@ -0,0 +1,82 @@
+// 局面の共有用の短い文字列（局面の編集で作った局面を貼り付けて渡す）
+//
+// 形式: <形>-<半径>-<セル>-<手番>   例: hexagon-4-27WB5BW...-B
+//   セル   盤面のセル（shape.cells の順）を、石は棋譜のカスタム配置と同じ1文字（B / W）、
+//          続く空きマスはその数で表す
+//   手番   B / W
+//
+// 2人対戦（黒と白）の局面のみ。ルールは含めないので、開始する時の設定のルールで打つ
+// URL にそのまま入れられるよう、英数字と - だけを使う
+import { BOARD_SHAPES, MIN_BOARD_RADIUS, MAX_BOARD_RADIUS, createNamedShape } from './board.js';
+import { BLACK, WHITE } from './engine.js';
+import { toKey } from './hex.js';
+import { STONE_CODES } from './record.js';
+import { errorMessage } from './errors.js';
+
+const CODE_COLORS = { [STONE_CODES[BLACK]]: BLACK, [STONE_CODES[WHITE]]: WHITE };
+
+// 局面の文字列の読み込みエラー（code は errors.position のメッセージ）
+export class PositionError extends Error {
+  constructor(code, params = {}) {
+    const messageKey = `errors.position.${code}`;
+    super(errorMessage(messageKey, params));
+    this.name = 'PositionError';
+    this.code = code;
+    this.messageKey = messageKey;
+    this.params = params;
+  }
+}
+
+// 局面を文字列にする（shape, board, currentPlayer があれば GameState でもよい）
+export const positionToText = ({ shape, board, currentPlayer }) => {
+  let cells = '';
+  let empties = 0;
+  for (const cell of shape.cells) {
+    const stone = board.get(toKey(cell));
+    if (stone === undefined) {
+      empties++;
+      continue;
+    }
+    cells += `${empties || ''}${STONE_CODES[stone]}`;
+    empties = 0;
+  }
+  cells += empties || '';
+  return [shape.name, shape.radius, cells, STONE_CODES[currentPlayer]].join('-');
+};
+
+// 文字列を局面にする（不正なら PositionError）
+// 戻り値: { shape, board, currentPlayer }
+export const textToPosition = (text) => {
+  const parts = text.trim().split('-');
+  if (parts.length !== 4) throw new PositionError('invalidFormat');
+  const [name, radiusText, cells, toMove] = parts;
+
+  if (!Object.hasOwn(BOARD_SHAPES, name)) throw new PositionError('invalidShape', { shape: name });
+  const radius = Number(radiusText);
+  if (!/^\d+$/.test(radiusText) || radius < MIN_BOARD_RADIUS || radius > MAX_BOARD_RADIUS) {
+    throw new PositionError('invalidRadius', { radius: radiusText });
+  }
+  const shape = createNamedShape(name, radius);
+
+  // セルを先頭から順に埋める
+  const board = new Map();
+  let index = 0;
+  const tokens = cells.match(/\d+|[A-Z]/g) ?? [];
+  if (tokens.join('') !== cells) throw new PositionError('invalidCells');
+  for (const token of tokens) {
+    if (/^\d+$/.test(token)) {
+      index += Number(token);
+      continue;
+    }
+    const color = CODE_COLORS[token];
+    if (!color || index >= shape.cells.length) throw new PositionError('invalidCells');
+    board.set(toKey(shape.cells[index]), color);
+    index++;
+  }
+  if (index !== shape.cells.length) throw new PositionError('invalidCells');
+
+  const currentPlayer = CODE_COLORS[toMove];
+  if (!currentPlayer) throw new PositionError('invalidToMove', { toMove });
+
+  return { shape, board, currentPlayer };
+};
@@ -0,0 +1,113 @@
+// 詰めリバーシの問題集（「黒番で N 石差以上の勝ち」など）
+//
+// 問題集の形式（JSON）:
+//   {
+//     "format": "honeycomb-reversi-puzzles",
+//     "version": 1,
+//     "id": "basic",                       進み具合を保存する時の問題集の識別子
+//     "name": "基本問題",
+//     "puzzles": [
+//       {
+//         "id": "1",                       問題集の中で一意な識別子
+//         "title": "...",                  省略可
+//         "shape": { "name": "hexagon", "radius": 4 },
+//         "layout": [["0,0,0", "white"], ...], 棋譜のカスタム配置と同じ
+//         "rules": { ... },                省略可（棋譜と同じく標準と違うルールのみ）
+//         "toMove": "black",               手番（解く側の色）
+//         "winBy": 4                       目標の石差（終局時にこの石差以上で勝てば正解）
+//       }
+//     ]
+//   }
+//
+// 問題は2人対戦（黒と白）のみ。正解の判定は solver.js の完全読みで行う
+import { BLACK, WHITE, legalMoves } from './engine.js';
+import { currentState } from './history.js';
+import { RecordError, replayRecord } from './record.js';
+import { errorMessage } from './errors.js';
+
+export const PUZZLE_FORMAT = 'honeycomb-reversi-puzzles';
+export const PUZZLE_VERSION = 1;
+
+// 問題集の読み込みエラー（code は errors.puzzle のメッセージ。局面の不正は原因の RecordError を持つ）
+export class PuzzleError extends Error {
+  constructor(code, params = {}, { cause } = {}) {
+    const messageKey = `errors.puzzle.${code}`;
+    super(errorMessage(messageKey, params, cause), { cause });
+    this.name = 'PuzzleError';
+    this.code = code;
+    this.messageKey = messageKey;
+    this.params = params;
+  }
+}
+
+// 問題を読み込む
+// 戻り値: { id, title, toMove, winBy, state }（state は出題局面の GameState）
+const readPuzzle = (puzzle, index) => {
+  const id = typeof puzzle?.id === 'string' && puzzle.id ? puzzle.id : null;
+  const label = id ?? String(index + 1);
+  if (!id) throw new PuzzleError('missingId', { puzzle: label });
+
+  if (puzzle.toMove !== BLACK && puzzle.toMove !== WHITE) {
+    throw new PuzzleError('invalidToMove', { puzzle: label, toMove: puzzle.toMove });
+  }
+  if (!Number.isInteger(puzzle.winBy) || puzzle.winBy < 1) {
+    throw new PuzzleError('invalidGoal', { puzzle: label, winBy: puzzle.winBy });
+  }
+
+  // 局面の検証は棋譜の読み込みに任せる（手のない棋譜として再生する）
+  let state;
+  try {
+    state = currentState(replayRecord({
+      shape: puzzle.shape,
+      layout: puzzle.layout,
+      rules: puzzle.rules,
+      first: puzzle.toMove,
+      moves: []
+    }));
+  } catch (error) {
+    if (!(error instanceof RecordError)) throw error;
+    throw new PuzzleError('invalidPosition', { puzzle: label }, { cause: error });
+  }
+  if (legalMoves(state).size === 0) {
+    throw new PuzzleError('noMoves', { puzzle: label, color: puzzle.toMove });
+  }
+
+  return { id, title: puzzle.title ?? '', toMove: puzzle.toMove, winBy: puzzle.winBy, state };
+};
+
+// 問題集のオブジェクトを読み込む（不正な問題があれば PuzzleError）
+// 戻り値: { id, name, puzzles }
+export const readPuzzleSet = (data) => {
+  if (data?.format !== PUZZLE_FORMAT) {
+    throw new PuzzleError('notAPuzzleSet');
+  }
+  if (data.version > PUZZLE_VERSION) {
+    throw new PuzzleError('unsupportedVersion', { version: data.version });
+  }
+  if (typeof data.id !== 'string' || !data.id || !Array.isArray(data.puzzles) || data.puzzles.length === 0) {
+    throw new PuzzleError('notAPuzzleSet');
+  }
+
+  const puzzles = data.puzzles.map(readPuzzle);
+  const ids = new Set();
+  for (const { id } of puzzles) {
+    if (ids.has(id)) throw new PuzzleError('duplicateId', { puzzle: id });
+    ids.add(id);
+  }
+
+  return { id: data.id, name: data.name ?? data.id, puzzles };
+};
+
+// JSON のテキストから問題集を読み込む
+export const parsePuzzleSet = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new PuzzleError('invalidJson', { detail: error.message });
+  }
+  return readPuzzleSet(data);
+};
+
+// 問題の進み具合を保存する時のキー（問題集ごとに分ける）
+export const puzzleKey = (set, puzzle) => `${set.id}/${puzzle.id}`;
@@ -0,0 +1,13 @@
+// シードつきの乱数（mulberry32）
+// CPU の対局や差分チェックを再現できるよう、Math.random の代わりに渡す
+// 戻り値: 0 以上 1 未満の数を返す関数（同じシードなら同じ列になる）
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
@@ -0,0 +1,292 @@
+// 棋譜の書き出し・読み込み（テキスト形式と JSON 形式）
+//
+// 手の表記は Cube 座標の "q,r,s"、パスは "pass"
+//
+// テキスト形式:
+//   [Game "Honeycomb Reversi"]
+//   [Shape "hexagon"]
+//   [Radius "4"]
+//   [Layout "standard"]            プリセット名、またはカスタム配置 "0,0,0:W 1,-1,0:B ..."
+//   [Rules "goal=fewest chain=true"] 標準と違うルールのみ（rules.js の項目=値、省略すると標準のルール）
+//   [Colors "black white red"]     多人数対戦のみ、手番順の色（省略すると黒と白の2人）
+//   [First "black"]
+//   [Black "あなた"]                色ごとの対局者名（Red, Blue, Green, Yellow も同様）
+//   [White "CPU"]
+//   [Result "black"]               勝った色 / draw / *（対局中）
+//
+//   1. 2,-1,-1 2. 2,-2,0 3. pass ...
+import {
+  MIN_BOARD_RADIUS, MAX_BOARD_RADIUS, START_LAYOUTS, createNamedShape, createInitialBoard
+} from './board.js';
+import {
+  PASS, BLACK, WHITE, RED, BLUE, GREEN, YELLOW, PLAYER_COLORS, PLAYER_COUNTS, DEFAULT_PLAYERS,
+  createGame, legalMoves, mustPass, isTerminal
+} from './engine.js';
+import { createRules, changedRules, isDefaultRules } from './rules.js';
+import { createHistory, pushMove } from './history.js';
+import { errorMessage } from './errors.js';
+
+export const RECORD_FORMAT = 'honeycomb-reversi';
+export const RECORD_VERSION = 1;
+
+// 棋譜の読み込みエラー（code は errors.record のメッセージ。不正な手の場合は何手目かを持つ）
+export class RecordError extends Error {
+  constructor(code, params = {}) {
+    const messageKey = `errors.record.${code}`;
+    super(errorMessage(messageKey, params));
+    this.name = 'RecordError';
+    this.code = code;
+    this.messageKey = messageKey;
+    this.params = params;
+    this.moveNumber = params.moveNumber ?? null;
+    this.move = params.move ?? null;
+  }
+}
+
+// カスタム配置で色を表す1文字
+export const STONE_CODES = { [BLACK]: 'B', [WHITE]: 'W', [RED]: 'R', [BLUE]: 'U', [GREEN]: 'G', [YELLOW]: 'Y' };
+const CODE_STONES = Object.fromEntries(Object.entries(STONE_CODES).map(([color, code]) => [code, color]));
+
+// テキスト形式で対局者名を書くヘッダ名（"black" → "Black"）
+const headerOf = (color) => color[0].toUpperCase() + color.slice(1);
+
+// 2人対戦（黒と白）か
+const isDefaultPlayers = (players) => {
+  return players.length === DEFAULT_PLAYERS.length && players.every((color, i) => color === DEFAULT_PLAYERS[i]);
+};
+
+const MOVE_PATTERN = /^-?\d+,-?\d+,-?\d+$/;
+
+// 盤面と同じ配置になるプリセット名を探す（なければカスタム配置として石を並べる）
+const describeLayout = (board, shape) => {
+  for (const name of Object.keys(START_LAYOUTS)) {
+    const preset = createInitialBoard(name, shape);
+    if (preset.size === board.size && [...preset].every(([key, color]) => board.get(key) === color)) {
+      return name;
+    }
+  }
+  return Array.from(board.entries());
+};
+
+// 最終局面の結果
+const describeResult = (state) => {
+  if (!isTerminal(state)) return null;
+  return state.result.winner ?? 'draw';
+};
+
+// 履歴から棋譜オブジェクトを作成
+// players: { 色: 対局者名 }
+// result を渡すと、投了など盤面以外で決まった結果として記録する
+// 多人数対戦では手番順の色を colors に記録する
+export const createRecord = (history, players = {}, result = null) => {
+  const initial = history.states[0];
+  const last = history.states[history.states.length - 1];
+  return {
+    format: RECORD_FORMAT,
+    version: RECORD_VERSION,
+    shape: { name: initial.shape.name, radius: initial.shape.radius },
+    layout: describeLayout(initial.board, initial.shape),
+    ...(isDefaultRules(initial.rules) ? {} : { rules: changedRules(initial.rules) }),
+    ...(isDefaultPlayers(initial.players) ? {} : { colors: [...initial.players] }),
+    first: initial.currentPlayer,
+    players: Object.fromEntries(initial.players.map(color => [color, players[color] ?? ''])),
+    result: result ?? describeResult(last),
+    moves: [...history.moves]
+  };
+};
+
+// 棋譜オブジェクトを再生して履歴を作る（不正な手があれば RecordError）
+export const replayRecord = (record) => {
+  const radius = Number(record.shape?.radius);
+  if (!Number.isInteger(radius) || radius < MIN_BOARD_RADIUS || radius > MAX_BOARD_RADIUS) {
+    throw new RecordError('invalidRadius', { radius: record.shape?.radius });
+  }
+
+  let shape;
+  try {
+    shape = createNamedShape(record.shape?.name, radius);
+  } catch {
+    throw new RecordError('invalidShape', { shape: record.shape?.name });
+  }
+
+  let rules;
+  try {
+    rules = createRules(record.rules ?? {});
+  } catch {
+    throw new RecordError('invalidRules', { rules: JSON.stringify(record.rules) });
+  }
+
+  const colors = record.colors ?? DEFAULT_PLAYERS;
+  const validColors = Array.isArray(colors) && PLAYER_COUNTS.includes(colors.length) &&
+    colors.every(color => PLAYER_COLORS.includes(color)) && new Set(colors).size === colors.length;
+  if (!validColors) {
+    throw new RecordError('invalidColors', { colors: String(colors) });
+  }
+
+  const validStone = (stone) => Array.isArray(stone) && MOVE_PATTERN.test(stone[0]) && colors.includes(stone[1]);
+  if (Array.isArray(record.layout) && !record.layout.every(validStone)) {
+    throw new RecordError('invalidLayout');
+  }
+
+  let board;
+  try {
+    board = createInitialBoard(record.layout, shape);
+  } catch {
+    throw new RecordError('invalidLayoutToken', { token: record.layout });
+  }
+  if (!colors.includes(record.first)) {
+    throw new RecordError('invalidFirst', { first: record.first });
+  }
+  if (!Array.isArray(record.moves)) {
+    throw new RecordError('missingMoves');
+  }
+
+  // 強制パスも棋譜に含まれているはずなので、自動では補わない
+  let history = createHistory(createGame({ shape, rules, board, players: colors, currentPlayer: record.first }), { autoPass: false });
+
+  record.moves.forEach((move, i) => {
+    const moveNumber = i + 1;
+    const state = history.states[history.states.length - 1];
+    const params = { moveNumber, move, color: state.currentPlayer };
+
+    if (isTerminal(state)) {
+      throw new RecordError('gameOver', params);
+    }
+    if (move === PASS) {
+      if (!mustPass(state)) {
+        throw new RecordError('cannotPass', params);
+      }
+    } else {
+      if (typeof move !== 'string' || !MOVE_PATTERN.test(move)) {
+        throw new RecordError('invalidNotation', params);
+      }
+      if (mustPass(state)) {
+        throw new RecordError('mustPass', params);
+      }
+      if (!legalMoves(state).has(move)) {
+        throw new RecordError('illegalMove', params);
+      }
+    }
+    history = pushMove(history, move);
+  });
+
+  const last = history.states[history.states.length - 1];
+  const result = describeResult(last);
+  if (result && record.result && record.result !== result) {
+    throw new RecordError('resultMismatch', { recorded: record.result, replayed: result });
+  }
+
+  return history;
+};
+
+// ---- テキスト形式 ----
+
+// カスタム配置をテキストにする（"0,0,0:W 1,-1,0:B"）
+const layoutToText = (layout) => {
+  if (typeof layout === 'string') return layout;
+  return layout.map(([key, color]) => `${key}:${STONE_CODES[color]}`).join(' ');
+};
+
+// テキストのカスタム配置を読む（プリセット名ならそのまま返す）
+export const textToLayout = (text) => {
+  if (!text.includes(':')) return text;
+  return text.split(/\s+/).filter(Boolean).map(token => {
+    const [key, code] = token.split(':');
+    if (!MOVE_PATTERN.test(key) || !CODE_STONES[code]) {
+      throw new RecordError('invalidLayoutToken', { token });
+    }
+    return [key, CODE_STONES[code]];
+  });
+};
+
+// 標準と違うルールをテキストにする（"goal=fewest chain=true"）
+export const rulesToText = (rules) => Object.entries(rules).map(([name, value]) => `${name}=${value}`).join(' ');
+
+// テキストのルールを読む（値の検証は createRules で行う）
+export const textToRules = (text) => {
+  return Object.fromEntries(text.split(/\s+/).filter(Boolean).map(token => {
+    const [name, value] = token.split('=');
+    if (value === 'true' || value === 'false') return [name, value === 'true'];
+    return [name, /^\d+$/.test(value) ? Number(value) : value];
+  }));
+};
+
+// 棋譜オブジェクトをテキストにする
+export const recordToText = (record) => {
+  const colors = record.colors ?? DEFAULT_PLAYERS;
+  const headers = [
+    ['Game', 'Honeycomb Reversi'],
+    ['Shape', record.shape.name],
+    ['Radius', String(record.shape.radius)],
+    ['Layout', layoutToText(record.layout)],
+    ...(record.rules ? [['Rules', rulesToText(record.rules)]] : []),
+    ...(record.colors ? [['Colors', record.colors.join(' ')]] : []),
+    ['First', record.first],
+    ...colors.map(color => [headerOf(color), record.players[color] ?? '']),
+    ['Result', record.result ?? '*']
+  ];
+  const headerText = headers.map(([name, value]) => `[${name} "${value.replace(/"/g, "'")}"]`).join('\n');
+  const moveText = record.moves.map((move, i) => `${i + 1}. ${move}`).join(' ');
+  return `${headerText}\n\n${moveText}\n`;
+};
+
+// テキストを棋譜オブジェクトにする
+export const textToRecord = (text) => {
+  const headers = {};
+  const moveTokens = [];
+
+  for (const line of text.split(/\r?\n/)) {
+    const header = line.trim().match(/^\[(\w+)\s+"(.*)"\]$/);
+    if (header) {
+      headers[header[1]] = header[2];
+      continue;
+    }
+    for (const token of line.trim().split(/\s+/)) {
+      if (token && !/^\d+\.$/.test(token)) moveTokens.push(token);
+    }
+  }
+
+  if (!headers.Shape || !headers.Radius || !headers.Layout) {
+    throw new RecordError('missingHeaders');
+  }
+
+  const colors = headers.Colors ? headers.Colors.split(/\s+/).filter(Boolean) : DEFAULT_PLAYERS;
+  return {
+    format: RECORD_FORMAT,
+    version: RECORD_VERSION,
+    shape: { name: headers.Shape, radius: Number(headers.Radius) },
+    layout: textToLayout(headers.Layout),
+    ...(headers.Rules ? { rules: textToRules(headers.Rules) } : {}),
+    ...(headers.Colors ? { colors } : {}),
+    first: headers.First ?? colors[0],
+    players: Object.fromEntries(colors.map(color => [color, headers[headerOf(color)] ?? ''])),
+    result: !headers.Result || headers.Result === '*' ? null : headers.Result,
+    moves: moveTokens
+  };
+};
+
+// ---- JSON 形式 ----
+
+export const recordToJSON = (record) => JSON.stringify(record, null, 2);
+
+export const jsonToRecord = (text) => {
+  let record;
+  try {
+    record = JSON.parse(text);
+  } catch (error) {
+    throw new RecordError('invalidJson', { detail: error.message });
+  }
+  if (record?.format !== RECORD_FORMAT) {
+    throw new RecordError('notARecord');
+  }
+  if (record.version > RECORD_VERSION) {
+    throw new RecordError('unsupportedVersion', { version: record.version });
+  }
+  return record;
+};
+
+// テキスト・JSON のどちらかを判定して読み込み、再生済みの履歴と棋譜を返す
+export const importRecord = (text) => {
+  const record = text.trim().startsWith('{') ? jsonToRecord(text) : textToRecord(text);
+  return { record, history: replayRecord(record) };
+};
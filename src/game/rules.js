@@ -0,0 +1,72 @@
+// ルールの設定（標準のルールとその変種）
+//
+// rules: { goal, flipLines, chain, noMove, passLimit }
+//   goal:      'most'（石が多い方が勝ち）| 'fewest'（アンチリバーシ: 石が少ない方が勝ち）
+//   flipLines: 'all'（挟んだ全ての列を裏返す）| 'single'（最も多く裏返せる1列だけを裏返す）
+//   chain:     裏返った石も置いた石とみなして、さらに挟んだ石を裏返すか
+//   noMove:    'pass'（打てる手がなければパス）| 'free'（打てる手がなければ好きな空きマスに置ける）
+//   passLimit: 連続パスがこの数になったら終局（null なら誰も打てなくなるまで続ける）
+
+export const GOALS = {
+  MOST: 'most',
+  FEWEST: 'fewest'
+};
+
+export const FLIP_LINES = {
+  ALL: 'all',
+  SINGLE: 'single'
+};
+
+export const NO_MOVE_RULES = {
+  PASS: 'pass',
+  FREE: 'free'
+};
+
+// 連続パスの上限の選択肢
+export const PASS_LIMITS = [null, 1, 2];
+
+export const DEFAULT_RULES = Object.freeze({
+  goal: GOALS.MOST,
+  flipLines: FLIP_LINES.ALL,
+  chain: false,
+  noMove: NO_MOVE_RULES.PASS,
+  passLimit: null
+});
+
+// 項目ごとに取りうる値
+const RULE_VALUES = {
+  goal: Object.values(GOALS),
+  flipLines: Object.values(FLIP_LINES),
+  chain: [false, true],
+  noMove: Object.values(NO_MOVE_RULES),
+  passLimit: PASS_LIMITS
+};
+
+// 省略した項目を標準のルールで補ったルールを作る（不正な項目・値があれば例外）
+export const createRules = (overrides = {}) => {
+  for (const [name, value] of Object.entries(overrides)) {
+    if (!RULE_VALUES[name]?.includes(value)) throw new Error(`Invalid rule: ${name}=${value}`);
+  }
+  return Object.freeze({ ...DEFAULT_RULES, ...overrides });
+};
+
+// 標準のルールと違う項目だけを取り出す（棋譜に書く時などに使う）
+export const changedRules = (rules) => {
+  return Object.fromEntries(Object.entries(rules).filter(([name, value]) => DEFAULT_RULES[name] !== value));
+};
+
+// 標準のルールか
+export const isDefaultRules = (rules) => Object.keys(changedRules(rules)).length === 0;
+
+// 同じルールか
+export const sameRules = (a, b) => Object.keys(DEFAULT_RULES).every(name => a[name] === b[name]);
+
+// 保存されていたルールを復元（不正な項目は標準のルールに戻す）
+export const restoreRules = (saved = {}) => {
+  const valid = Object.entries(saved ?? {}).filter(([name, value]) => RULE_VALUES[name]?.includes(value));
+  return createRules(Object.fromEntries(valid));
+};
+
+// 石が増えることの良し悪し（多い方が勝ちなら 1、少ない方が勝ちなら -1）
+// CPUの評価では、石や位置の価値にこれを掛けて目的を反転する
+export const goalSign = (rules) => (rules.goal === GOALS.FEWEST ? -1 : 1);
@@ -0,0 +1,207 @@
+// 探索によるCPU（ネガマックス + αβ枝刈り + 置換表 + 反復深化）
+// 探索中の局面はビットボード（bitboard.js）で持つ
+import { DEFAULT_SHAPE } from './board.js';
+import { DEFAULT_PLAYERS } from './engine.js';
+import { evaluateBitboard, bitValueTable } from './evaluate.js';
+import { DEFAULT_RULES, goalSign } from './rules.js';
+import {
+  createPosition, generateMoves, countMoves, makeMove, makePass, unmakeMove, keyOfBit
+} from './bitboard.js';
+
+// 1手あたりの思考時間（ミリ秒）
+export const SEARCH_TIME_LIMIT = 1000;
+
+// 空きマスがこの数以下なら終盤の完全読みに切り替える
+export const ENDGAME_EMPTIES = 10;
+
+// 反復深化の最大深さ
+const MAX_SEARCH_DEPTH = 64;
+
+// 終局時の評価値の基準（どの静的評価値よりも大きくする）
+export const WIN_SCORE = 100000;
+
+// 時間切れで探索を打ち切る時に投げる値
+const TIMEOUT = Symbol('timeout');
+
+// 置換表のエントリの種類
+const EXACT = 0;
+const LOWER_BOUND = 1;
+const UPPER_BOUND = 2;
+
+// 終局時の評価値（石差が大きいほど良い。アンチリバーシでは石差を反転する）
+const finalScore = (position) => {
+  const { counts, player, rules } = position;
+  const diff = goalSign(rules) * (counts[player] - counts[1 - player]);
+  if (diff > 0) return WIN_SCORE + diff;
+  if (diff < 0) return -WIN_SCORE + diff;
+  return 0;
+};
+
+// 手の並び替え（前回の最善手 → 位置の価値が高い順。同じ価値なら合法手の順）
+const orderMoves = (moves, firstMove, values) => {
+  return moves.sort((a, b) => {
+    if (a === firstMove) return -1;
+    if (b === firstMove) return 1;
+    return values[b] - values[a];
+  });
+};
+
+// ネガマックス（αβ枝刈り）
+// 局面は makeMove で進めて unmakeMove で戻し、置換表のキーには Zobrist ハッシュを使う
+// 時間切れの時は局面が途中のまま残るが、探索ごとに局面を作り直すので戻さない
+// パスは深さを消費しないので、深さが空きマス数以上なら必ず終局まで読み切る
+// 2人対戦では2回目の連続パスは両者とも打てない局面なので、連続パスの上限が効くのは 1 の時だけ
+const negamax = (context, position, depth, alpha, beta) => {
+  context.nodes++;
+  if (context.nodes % 64 === 0 && Date.now() > context.deadline) throw TIMEOUT;
+
+  const { rules, table, values } = context;
+  const moves = generateMoves(position);
+
+  if (moves.length === 0) {
+    if (rules.passLimit === 1 || countMoves(position, 1 - position.player) === 0) {
+      return finalScore(position);
+    }
+    makePass(position);
+    const score = -negamax(context, position, depth, -beta, -alpha);
+    unmakeMove(position);
+    return score;
+  }
+
+  if (depth === 0) return evaluateBitboard(position, position.player);
+
+  const key = position.hash;
+  const entry = table.get(key);
+  if (entry && entry.depth >= depth) {
+    if (entry.flag === EXACT) return entry.score;
+    if (entry.flag === LOWER_BOUND) alpha = Math.max(alpha, entry.score);
+    if (entry.flag === UPPER_BOUND) beta = Math.min(beta, entry.score);
+    if (alpha >= beta) return entry.score;
+  }
+
+  const originalAlpha = alpha;
+  let bestScore = -Infinity;
+  let bestMove = null;
+
+  for (const move of orderMoves(moves, entry?.move, values)) {
+    makeMove(position, move);
+    const score = -negamax(context, position, depth - 1, -beta, -alpha);
+    unmakeMove(position);
+    if (score > bestScore) {
+      bestScore = score;
+      bestMove = move;
+    }
+    if (bestScore > alpha) alpha = bestScore;
+    if (alpha >= beta) break;
+  }
+
+  const flag = bestScore <= originalAlpha ? UPPER_BOUND : bestScore >= beta ? LOWER_BOUND : EXACT;
+  table.set(key, { depth, score: bestScore, flag, move: bestMove });
+  return bestScore;
+};
+
+// 手を打った後の局面を読む
+const searchChild = (context, position, move, depth, alpha, beta) => {
+  makeMove(position, move);
+  const score = -negamax(context, position, depth - 1, alpha, beta);
+  unmakeMove(position);
+  return score;
+};
+
+// ルート局面の探索（最善手のビット番号と評価値を返す）
+const searchRoot = (context, position, moves, depth, previousBest) => {
+  let alpha = -Infinity;
+  let bestMove = null;
+
+  for (const move of orderMoves([...moves], previousBest, context.values)) {
+    const score = searchChild(context, position, move, depth, -Infinity, -alpha);
+    if (score > alpha) {
+      alpha = score;
+      bestMove = move;
+    }
+  }
+  return { move: bestMove, score: alpha };
+};
+
+// 反復深化で読む深さの一覧
+// 終盤は浅い探索で手を確保してから、いきなり完全読みを行う
+const searchDepths = (empties, maxDepth) => {
+  if (empties <= ENDGAME_EMPTIES) return [Math.min(2, empties), empties];
+  const depths = [];
+  for (let depth = 1; depth <= Math.min(maxDepth, empties); depth++) depths.push(depth);
+  return depths;
+};
+
+// 最善手を探索する
+// 反復深化で時間内に読み切れた最も深い結果を返す
+// 戻り値: { move, score, depth, exact, nodes }（exact は終局まで読み切ったか）
+// onProgress を渡すと、各深さの探索が終わるたびに途中経過（戻り値と同じ形）で呼ばれる
+// rules はルールの設定（省略すると標準のルール）
+export const searchBestMove = (board, player, shape = DEFAULT_SHAPE, {
+  timeLimit = SEARCH_TIME_LIMIT,
+  maxDepth = MAX_SEARCH_DEPTH,
+  rules = DEFAULT_RULES,
+  onProgress
+} = {}) => {
+  const position = createPosition(board, DEFAULT_PLAYERS, player, shape, rules);
+  const moves = generateMoves(position);
+  if (moves.length === 0) return { move: null, score: 0, depth: 0, exact: false, nodes: 0 };
+
+  const values = bitValueTable(shape);
+  const context = { rules, values, deadline: Date.now() + timeLimit, nodes: 0, table: new Map() };
+  const empties = shape.cells.length - board.size;
+
+  // 時間切れに備えて、探索前の最善手は並び替えの先頭にしておく
+  let best = { move: orderMoves([...moves], null, values)[0], score: 0, depth: 0, exact: false };
+
+  for (const depth of searchDepths(empties, maxDepth)) {
+    try {
+      const result = searchRoot(context, position, moves, depth, best.move);
+      best = { ...result, depth, exact: depth >= empties };
+      onProgress?.({ ...best, move: keyOfBit(position, best.move), nodes: context.nodes });
+    } catch (error) {
+      if (error !== TIMEOUT) throw error;
+      break;
+    }
+    if (best.exact) break;
+  }
+
+  return { ...best, move: keyOfBit(position, best.move), nodes: context.nodes };
+};
+
+// 全ての合法手の評価値を求める（手番側から見た値で、大きいほど良い）
+// 最善手だけでなく各手の正確な値が必要なので、ルートでは枝刈りせずに全ての手を読む
+// 最初の深さは時間に関係なく読み切るので、必ず全ての手の値が返る
+// 戻り値: { scores: 手 -> 評価値の Map, depth, exact }
+export const evaluateMoves = (board, player, shape = DEFAULT_SHAPE, {
+  timeLimit = SEARCH_TIME_LIMIT,
+  maxDepth = MAX_SEARCH_DEPTH,
+  rules = DEFAULT_RULES
+} = {}) => {
+  const position = createPosition(board, DEFAULT_PLAYERS, player, shape, rules);
+  const values = bitValueTable(shape);
+  const moves = orderMoves(generateMoves(position), null, values);
+  if (moves.length === 0) return { scores: new Map(), depth: 0, exact: false };
+
+  const empties = shape.cells.length - board.size;
+  const deadline = Date.now() + timeLimit;
+  const context = { rules, values, deadline: Infinity, nodes: 0, table: new Map() };
+  let result = null;
+
+  for (const depth of searchDepths(empties, maxDepth)) {
+    try {
+      const scores = new Map();
+      for (const move of moves) {
+        scores.set(keyOfBit(position, move), searchChild(context, position, move, depth, -Infinity, Infinity));
+      }
+      result = { scores, depth, exact: depth >= empties };
+    } catch (error) {
+      if (error !== TIMEOUT) throw error;
+      break;
+    }
+    if (result.exact) break;
+    context.deadline = deadline;
+  }
+
+  return result;
+};
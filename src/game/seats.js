@@ -0,0 +1,49 @@
+// 各色の担当（人間・CPU・通信相手）
+// seats: { 色: HUMAN | REMOTE | CPU難易度 }（対局する全ての色について）
+import { BLACK, WHITE, DEFAULT_PLAYERS } from './engine.js';
+
+export const HUMAN = 'human';
+
+// 通信対戦の相手
+export const REMOTE = 'remote';
+
+// プレイヤーの色の選択肢（RANDOM は開始時に決める）
+export const RANDOM_COLOR = 'random';
+
+// ゲームモードと設定から担当を決める
+//   pvp:   両方とも人間
+//   cpu:   humanColor 側が人間、もう一方が cpuDifficulty のCPU
+//   watch: 両方ともCPU（watchDifficulties の難易度）
+//   remote: humanColor 側が人間、もう一方が通信相手
+//   multi: players の各色が multiSeats の担当（指定がなければ人間）
+// pvp では players の全ての色が人間になる（多人数の棋譜を読み込んだ時など）
+export const createSeats = (mode, { cpuDifficulty, humanColor = BLACK, watchDifficulties, players = DEFAULT_PLAYERS, multiSeats = {} } = {}, random = Math.random) => {
+  if (mode === 'cpu' || mode === 'remote') {
+    const color = humanColor === RANDOM_COLOR ? (random() < 0.5 ? BLACK : WHITE) : humanColor;
+    const opponent = mode === 'cpu' ? cpuDifficulty : REMOTE;
+    return color === BLACK
+      ? { [BLACK]: HUMAN, [WHITE]: opponent }
+      : { [BLACK]: opponent, [WHITE]: HUMAN };
+  }
+  if (mode === 'watch') {
+    return { [BLACK]: watchDifficulties[BLACK], [WHITE]: watchDifficulties[WHITE] };
+  }
+  if (mode === 'multi') {
+    return Object.fromEntries(players.map(color => [color, multiSeats[color] ?? HUMAN]));
+  }
+  return Object.fromEntries(players.map(color => [color, HUMAN]));
+};
+
+// CPUが担当する色か
+export const isCpuSeat = (seats, color) => seats[color] !== HUMAN && seats[color] !== REMOTE;
+
+// この画面の人間が担当する色か
+export const isHumanSeat = (seats, color) => seats[color] === HUMAN;
+
+// 人間が一人もいないか（CPU同士の観戦）
+export const isCpuOnly = (seats) => Object.values(seats).every(seat => seat !== HUMAN && seat !== REMOTE);
+
+// この画面の人間の色（いなければ null）
+export const humanColorOf = (seats) => {
+  return Object.keys(seats).find(color => seats[color] === HUMAN) ?? null;
+};
@@ -0,0 +1,114 @@
+// 局面・対局を共有するリンク（URL のフラグメント # 以降に入れるので、サーバーなしで開ける）
+//
+// 形式: #p=<局面>&m=<手>&i=<手数>&r=<ルール>
+//   p  開始局面（position.js の局面の文字列）
+//   m  手の並び（省略すると手なし）。1手を base64url の2文字で、開始局面の shape.cells の番号、パスは PASS_INDEX
+//   i  表示する局面（何手目か、省略すると最後の局面）
+//   r  標準と違うルール（棋譜の Rules と同じ "goal=fewest chain=true"、省略すると標準のルール）
+//
+// 局面の文字列と同じく2人対戦（黒と白）のみ。読み込む時は棋譜の再生で全ての手を検証する
+import { PASS } from './engine.js';
+import { toKey } from './hex.js';
+import { goTo } from './history.js';
+import { isDefaultRules, changedRules } from './rules.js';
+import { RecordError, replayRecord, rulesToText, textToRules } from './record.js';
+import { PositionError, positionToText, textToPosition } from './position.js';
+import { errorMessage } from './errors.js';
+
+const DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+// 1手の文字数と、パスを表す番号（どの盤面のセル数よりも大きい）
+const MOVE_LENGTH = 2;
+const PASS_INDEX = DIGITS.length ** MOVE_LENGTH - 1;
+
+// リンクの読み込みエラー（code は errors.share のメッセージ。局面・手の不正は原因のエラーを持つ）
+export class ShareError extends Error {
+  constructor(code, params = {}, { cause } = {}) {
+    const messageKey = `errors.share.${code}`;
+    super(errorMessage(messageKey, params, cause), { cause });
+    this.name = 'ShareError';
+    this.code = code;
+    this.messageKey = messageKey;
+    this.params = params;
+  }
+}
+
+const encodeMove = (move, shape) => {
+  const index = move === PASS ? PASS_INDEX : shape.cells.findIndex(cell => toKey(cell) === move);
+  return DIGITS[Math.floor(index / DIGITS.length)] + DIGITS[index % DIGITS.length];
+};
+
+// 手の並びを読む（盤面にないセルなら ShareError）
+const decodeMoves = (text, shape) => {
+  if (text.length % MOVE_LENGTH !== 0 || ![...text].every(c => DIGITS.includes(c))) {
+    throw new ShareError('invalidMoves');
+  }
+  const moves = [];
+  for (let i = 0; i < text.length; i += MOVE_LENGTH) {
+    const index = DIGITS.indexOf(text[i]) * DIGITS.length + DIGITS.indexOf(text[i + 1]);
+    if (index === PASS_INDEX) {
+      moves.push(PASS);
+      continue;
+    }
+    if (index >= shape.cells.length) throw new ShareError('invalidMoves');
+    moves.push(toKey(shape.cells[index]));
+  }
+  return moves;
+};
+
+// フラグメント（# を除いた部分）を作る
+const toFragment = (state, moves, index) => {
+  const params = new URLSearchParams({ p: positionToText(state) });
+  if (moves.length > 0) {
+    params.set('m', moves.map(move => encodeMove(move, state.shape)).join(''));
+    if (index !== moves.length) params.set('i', String(index));
+  }
+  if (!isDefaultRules(state.rules)) params.set('r', rulesToText(changedRules(state.rules)));
+  return params.toString();
+};
+
+// 対局全体のリンクのフラグメント（開くと今表示している局面から見られる）
+export const gameFragment = (history) => toFragment(history.states[0], history.moves, history.index);
+
+// 局面だけのリンクのフラグメント
+export const positionFragment = (state) => toFragment(state, [], 0);
+
+// フラグメントを読み込んで履歴にする（共有のリンクでなければ null、不正なら ShareError）
+// 戻り値の履歴は i の局面を表示している
+export const readFragment = (hash) => {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const positionText = params.get('p');
+  if (positionText === null) return null;
+
+  let position;
+  try {
+    position = textToPosition(positionText);
+  } catch (error) {
+    if (!(error instanceof PositionError)) throw error;
+    throw new ShareError('invalidPosition', {}, { cause: error });
+  }
+  const { shape, board, currentPlayer } = position;
+  const moves = decodeMoves(params.get('m') ?? '', shape);
+
+  // 手の検証は棋譜の再生に任せる
+  let history;
+  try {
+    history = replayRecord({
+      shape: { name: shape.name, radius: shape.radius },
+      layout: [...board],
+      rules: textToRules(params.get('r') ?? ''),
+      first: currentPlayer,
+      moves
+    });
+  } catch (error) {
+    if (!(error instanceof RecordError)) throw error;
+    throw new ShareError('invalidGame', {}, { cause: error });
+  }
+
+  const indexText = params.get('i');
+  const index = indexText === null ? moves.length : Number(indexText);
+  if (indexText !== null && (!/^\d+$/.test(indexText) || index > moves.length)) {
+    throw new ShareError('invalidIndex', { index: indexText });
+  }
+  return goTo(history, index);
+};
@@ -0,0 +1,66 @@
+// 完全読み（終局まで読み切って、石差を正確に求める）
+// 詰めリバーシの正解判定と、問題でCPUが最善の応手を選ぶのに使う
+// 静的評価を使わないので、空きマスが少ない局面向け
+import { DEFAULT_SHAPE } from './board.js';
+import { DEFAULT_PLAYERS } from './engine.js';
+import { DEFAULT_RULES, goalSign } from './rules.js';
+import { createPosition, generateMoves, countMoves, makeMove, makePass, unmakeMove, keyOfBit } from './bitboard.js';
+
+// 終局時の石差（手番側から見た値。アンチリバーシでは反転する）
+const finalDiff = (position) => {
+  const { counts, player, rules } = position;
+  return goalSign(rules) * (counts[player] - counts[1 - player]);
+};
+
+// ネガマックス（αβ枝刈り）で終局まで読む
+// 2人対戦では2回目の連続パスは両者とも打てない局面なので、連続パスの上限が効くのは 1 の時だけ
+const solve = (context, position, alpha, beta) => {
+  context.nodes++;
+  const moves = generateMoves(position);
+
+  if (moves.length === 0) {
+    if (position.rules.passLimit === 1 || countMoves(position, 1 - position.player) === 0) {
+      return finalDiff(position);
+    }
+    makePass(position);
+    const score = -solve(context, position, -beta, -alpha);
+    unmakeMove(position);
+    return score;
+  }
+
+  let best = -Infinity;
+  for (const move of moves) {
+    makeMove(position, move);
+    const score = -solve(context, position, -beta, -alpha);
+    unmakeMove(position);
+    if (score > best) best = score;
+    if (best > alpha) alpha = best;
+    if (alpha >= beta) break;
+  }
+  return best;
+};
+
+// 全ての合法手を読み切った石差（手番側から見た値で、大きいほど良い）
+// 戻り値: { scores: 手 -> 石差の Map, bestMove, bestScore, nodes }（合法手がなければ bestMove は null）
+export const solveMoves = (board, player, shape = DEFAULT_SHAPE, rules = DEFAULT_RULES) => {
+  const position = createPosition(board, DEFAULT_PLAYERS, player, shape, rules);
+  const context = { nodes: 0 };
+  const scores = new Map();
+  let bestMove = null;
+  let bestScore = -Infinity;
+
+  for (const move of generateMoves(position)) {
+    makeMove(position, move);
+    const score = -solve(context, position, -Infinity, Infinity);
+    unmakeMove(position);
+
+    const key = keyOfBit(position, move);
+    scores.set(key, score);
+    if (score > bestScore) {
+      bestScore = score;
+      bestMove = key;
+    }
+  }
+
+  return { scores, bestMove, bestScore: bestMove === null ? null : bestScore, nodes: context.nodes };
+};
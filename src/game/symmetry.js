@@ -0,0 +1,78 @@
+// 盤面の対称性（原点まわりの 60 度ごとの回転 6 通り × 鏡映の有無 = 12 通り）
+//
+// Cube 座標では、60 度の回転は (q, r, s) -> (-r, -s, -q)、鏡映は r と s の入れ替えになる。
+// 盤面の形によって使える対称性は異なる（六角形は 12 通り、三角形は 6 通り、菱形は 4 通りなど）ので、
+// 形ごとに、セルと壁をそれぞれ自分自身に移すものだけを使う。
+//
+// 局面の正規形: 使える対称性で盤面を移した文字列のうち、辞書順で最小のもの。
+// 対称な局面は同じ正規形になるので、定石（book.js）は正規形をキーにして1つの項目で全ての対称形を扱える。
+import { DEFAULT_SHAPE } from './board.js';
+import { PLAYER_COLORS } from './engine.js';
+import { toKey, fromKey } from './hex.js';
+
+const rotate = ({ q, r, s }) => ({ q: -r, r: -s, s: -q });
+const reflect = ({ q, r, s }) => ({ q, r: s, s: r });
+
+// 12 通りの変換（回転 rotation 回のあと、mirror なら鏡映）
+const TRANSFORMS = [false, true].flatMap(mirror => [0, 1, 2, 3, 4, 5].map(rotation => (coord) => {
+  let result = coord;
+  for (let i = 0; i < rotation; i++) result = rotate(result);
+  return mirror ? reflect(result) : result;
+}));
+
+// 正規形の文字列で色を表す1文字（空きマスは '.'）
+const COLOR_CODES = Object.fromEntries(PLAYER_COLORS.map((color, i) => [color, String(i + 1)]));
+const EMPTY_CODE = '.';
+
+// 盤面の形ごとに使える対称性（形ごとにキャッシュ）
+// 各対称性は { forward: キー -> 移した先のキー, backward: 移した先のキー -> 元のキー }
+const symmetriesByShape = new WeakMap();
+
+export const symmetriesOf = (shape = DEFAULT_SHAPE) => {
+  if (symmetriesByShape.has(shape)) return symmetriesByShape.get(shape);
+
+  const wallKeys = new Set(shape.walls.map(toKey));
+  const keepsAll = (keys, transform) => [...keys].every(key => keys.has(toKey(transform(fromKey(key)))));
+
+  const symmetries = TRANSFORMS
+    .filter(transform => keepsAll(shape.keys, transform) && keepsAll(wallKeys, transform))
+    .map(transform => {
+      const forward = new Map();
+      const backward = new Map();
+      for (const key of shape.keys) {
+        const moved = toKey(transform(fromKey(key)));
+        forward.set(key, moved);
+        backward.set(moved, key);
+      }
+      return { forward, backward };
+    });
+
+  symmetriesByShape.set(shape, symmetries);
+  return symmetries;
+};
+
+// 対称性で移した局面の文字列（shape.cells の順に各セルの色、最後に手番の色）
+const encode = (board, player, shape, { backward }) => {
+  const cells = shape.cells.map(cell => {
+    const color = board.get(backward.get(toKey(cell)));
+    return color ? COLOR_CODES[color] : EMPTY_CODE;
+  });
+  return `${cells.join('')}:${COLOR_CODES[player]}`;
+};
+
+// 局面の正規形
+// 戻り値: { key: 正規形の文字列, symmetries: 局面を正規形に移す対称性（局面自体が対称なら複数）}
+export const canonicalPosition = (board, player, shape = DEFAULT_SHAPE) => {
+  let key = null;
+  let symmetries = [];
+  for (const symmetry of symmetriesOf(shape)) {
+    const encoded = encode(board, player, shape, symmetry);
+    if (key === null || encoded < key) {
+      key = encoded;
+      symmetries = [symmetry];
+    } else if (encoded === key) {
+      symmetries.push(symmetry);
+    }
+  }
+  return { key, symmetries };
+};
@@ -0,0 +1,26 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { resolveLanguage, translatorFor } from './index.js';
+import { I18nContext } from './context.js';
+import { loadSettings, saveSettings } from '../storage.js';
+
+// 最初の言語（保存されていた言語 → ブラウザの言語）
+const initialLanguage = () => resolveLanguage([
+  loadSettings().language,
+  ...(navigator.languages ?? [navigator.language])
+]);
+
+// 言語の選択を保存し、<html lang> に反映する
+const I18nProvider = ({ children }) => {
+  const [language, setLanguage] = useState(initialLanguage);
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+    saveSettings({ language });
+  }, [language]);
+
+  const value = useMemo(() => ({ language, setLanguage, t: translatorFor(language) }), [language]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+export default I18nProvider;
@@ -0,0 +1,12 @@
+// 選択中の言語と翻訳関数（I18nProvider の外では基準の言語）
+import { createContext, useContext } from 'react';
+import { BASE_LANGUAGE, translatorFor } from './index.js';
+
+export const I18nContext = createContext({
+  language: BASE_LANGUAGE,
+  setLanguage: () => {},
+  t: translatorFor(BASE_LANGUAGE)
+});
+
+// { language, setLanguage, t } を返す
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,13 @@
+// 翻訳できるエラー（RecordError・ProtocolError・PuzzleError・PositionError・ShareError）
+//
+// エラーは messageKey と params を持ち、画面では選択中の言語で describeError する。
+// error.message は game/errors.js が en のカタログの文で作る
+
+// エラーを文にする（色は色名に、原因のエラーは reason として埋め込む）
+export const describeError = (t, { messageKey, params = {}, cause }) => {
+  if (!messageKey) return cause?.message ?? '';
+  const values = { ...params };
+  if (params.color) values.color = t(`colors.${params.color}`);
+  if (cause?.messageKey) values.reason = describeError(t, cause);
+  return t(messageKey, values);
+};
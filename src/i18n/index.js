@@ -0,0 +1,32 @@
+// 対応言語（locales/ にカタログのファイルを置くだけで言語が増える。ファイル名が言語コード）
+import { createTranslator } from './translate.js';
+
+const modules = import.meta.glob('./locales/*.js', { eager: true });
+
+// 言語コード -> カタログ
+export const LANGUAGES = Object.fromEntries(
+  Object.entries(modules).map(([path, module]) => [path.match(/([\w-]+)\.js$/)[1], module.default])
+);
+
+// 翻訳が見つからない時に使う言語
+export const BASE_LANGUAGE = 'ja';
+
+// ブラウザの言語に対応するカタログがない時の言語
+export const FALLBACK_LANGUAGE = 'en';
+
+// 希望する言語の一覧（"en-US" など）から対応している言語を選ぶ
+export const resolveLanguage = (preferred) => {
+  for (const tag of preferred) {
+    if (typeof tag !== 'string') continue;
+    const code = tag.toLowerCase();
+    if (LANGUAGES[code]) return code;
+    const base = code.split('-')[0];
+    if (LANGUAGES[base]) return base;
+  }
+  return LANGUAGES[FALLBACK_LANGUAGE] ? FALLBACK_LANGUAGE : BASE_LANGUAGE;
+};
+
+// 言語の翻訳関数（足りないメッセージは基準の言語で補う）
+export const translatorFor = (language) => (
+  createTranslator(LANGUAGES[language] ?? LANGUAGES[BASE_LANGUAGE], LANGUAGES[BASE_LANGUAGE])
+);
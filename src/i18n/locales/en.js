@@ -0,0 +1,280 @@
+// English
+export default {
+  name: 'English',
+  messages: {
+    language: 'Language',
+    colors: { black: 'Black', white: 'White', red: 'Red', blue: 'Blue', green: 'Green', yellow: 'Yellow' },
+    modes: { pvp: 'Two players', cpu: 'vs CPU', watch: 'Watch CPUs', remote: 'Online', multi: 'Multiplayer', puzzle: 'Puzzles', editor: 'Position editor', replay: 'Replay' },
+    difficulties: { easy: 'Easy', normal: 'Normal', hard: 'Hard', expert: 'Expert', mcts: 'Monte Carlo' },
+    players: { you: 'You', opponent: 'Opponent', cpu: 'CPU ({difficulty})' },
+
+    menu: {
+      resume: 'Continue ({mode})',
+      cpuDifficulty: 'CPU difficulty',
+      yourColor: 'Your color',
+      colorChoices: { black: 'Black (first)', white: 'White (second)', random: 'Random' },
+      watchCpu: 'Watch: {color} CPU',
+      multiTitle: 'Multiplayer',
+      playerCount: 'Players',
+      playerCounts: '{count} players',
+      human: 'Human',
+      animationSpeed: 'Animation',
+      animationSpeeds: { off: 'Off', slow: 'Slow', normal: 'Normal', fast: 'Fast' },
+      mctsPlayouts: 'Games tried per move by the CPU ({difficulty})',
+      playoutCount: '{count}',
+      openingBook: 'Use the opening book (standard board and rules)',
+      bookOn: 'On',
+      bookOff: 'Off'
+    },
+
+    game: {
+      mode: '{mode} mode',
+      scorePanel: '{name} ({color}) {score} stones{toMove}',
+      toMove: ', to move',
+      thinking: 'Thinking...',
+      thinkingPlayer: '{name}: ',
+      cpuFailed: 'The CPU failed: {error}',
+      depth: 'depth {depth}',
+      playouts: '{playouts} playouts',
+      candidate: '{move} {winRate}% wins',
+      reset: 'Reset',
+      back: 'Back'
+    },
+
+    outcome: {
+      win: '{winner} wins!',
+      draw: 'Draw',
+      resign: '{loser} resigned. {winner} wins!',
+      timeout: '{loser} ran out of time. {winner} wins!',
+      agreedDraw: 'Draw by agreement'
+    },
+
+    announce: {
+      move: '{player} played {move} and flipped {count}: {flips}',
+      start: 'Game start',
+      pass: '{player} has no legal move and passed',
+      score: '{color} {score}',
+      listSeparator: ', ',
+      turn: '{player} to move',
+      player: '{name} ({color})',
+      separator: '. '
+    },
+
+    board: {
+      label: 'Board',
+      help: 'Move between cells with the arrow keys or Q, W, E, A, S, D, and place a stone with Enter or Space',
+      stone: '{color} stone',
+      empty: 'empty',
+      playable: 'playable',
+      score: 'score {score}',
+      lastMove: 'last move',
+      separator: ', '
+    },
+
+    boardSettings: {
+      shape: 'Board shape',
+      size: 'Board size',
+      layout: 'Starting layout',
+      shapes: { hexagon: 'Hexagon', triangle: 'Triangle', rhombus: 'Rhombus', ring: 'Ring', fortress: 'Fortress' },
+      layouts: { standard: 'Standard', compact: 'Compact', ring: 'Ring', triangle: 'Triangle', custom: 'Custom' },
+      customHelp: 'Click a cell to cycle empty → black → white',
+      unplayable: 'Neither side can move in this layout'
+    },
+
+    rules: {
+      title: 'Rules',
+      goal: 'Winner',
+      goals: { most: 'Most stones', fewest: 'Fewest stones' },
+      flipLines: 'Lines to flip',
+      flipLineChoices: { all: 'Every line', single: 'Longest line only' },
+      chain: 'Chain reaction (flipped stones flip more)',
+      chainChoices: { off: 'Off', on: 'On' },
+      noMove: 'With no legal move',
+      noMoveChoices: { pass: 'Pass', free: 'Place on any empty cell' },
+      passLimit: 'End after consecutive passes',
+      passLimits: { none: 'Only when nobody can move', count: '{count}' },
+      summary: 'Rules: {rules}',
+      changed: {
+        fewest: 'anti-reversi (fewest stones wins)',
+        single: 'flip the longest line only',
+        chain: 'chain reaction',
+        free: 'place anywhere with no legal move',
+        passLimit: 'game ends after {count} consecutive passes'
+      }
+    },
+
+    timeControl: {
+      title: 'Time control',
+      types: { none: 'None', 'sudden-death': 'Sudden death', fischer: 'Fischer', byoyomi: 'Byo-yomi' },
+      mainTime: 'Main time',
+      increment: 'Increment per move',
+      byoyomi: 'Byo-yomi',
+      periods: 'Byo-yomi periods',
+      minutes: '{value} min',
+      seconds: '{value} s',
+      times: '× {value}'
+    },
+
+    clock: {
+      flagged: 'Time out',
+      periods: 'byo-yomi ×{periods}'
+    },
+
+    history: {
+      undo: '↶ Undo',
+      redo: 'Redo ↷',
+      start: 'Start',
+      pass: 'Pass'
+    },
+
+    record: {
+      open: 'Export / import record',
+      saveText: 'Save as text',
+      saveJson: 'Save as JSON',
+      importPasted: 'Import pasted record',
+      importFile: 'Import file',
+      close: 'Close',
+      placeholder: 'Paste a game record here',
+      importFailed: 'Could not import: {error}'
+    },
+
+    share: {
+      open: 'Share a link',
+      game: 'Link to this game',
+      position: 'Link to this position',
+      close: 'Close',
+      link: 'Link',
+      copy: 'Copy',
+      copied: 'Copied',
+      openFailed: 'Could not open the shared link: {error}',
+      playOn: 'Play on from here'
+    },
+
+    analysis: {
+      showFlips: 'Show flips',
+      showScores: 'Score every move',
+      depth: 'depth {depth}',
+      review: 'Review game',
+      reviewing: 'Analyzing... {done} / {total}',
+      cancel: 'Cancel',
+      noBlunders: 'No major mistakes found',
+      quality: { mistake: 'Mistake', blunder: 'Blunder' },
+      comparison: ' ({played}) → best {best} ({bestScore})',
+      win: 'W+{diff}',
+      loss: 'L{diff}'
+    },
+
+    remote: {
+      title: 'Online play',
+      transports: { broadcast: 'Another tab in this browser', websocket: 'Relay server' },
+      relayUrl: 'Relay server URL',
+      room: 'Room name (use the same name as your opponent)',
+      host: 'Create room',
+      join: 'Join',
+      invalidRelayUrl: 'The relay server URL must start with ws:// or wss://',
+      roomStatus: 'Room "{room}" ({role}): {status}',
+      roles: { host: 'host', guest: 'guest' },
+      status: { connecting: 'Connecting...', open: 'Connected', closed: 'Disconnected' },
+      waiting: ' — waiting for an opponent',
+      resign: 'Resign',
+      offerDraw: 'Offer a draw',
+      drawSent: 'Draw offered...',
+      drawReceived: 'Your opponent offers a draw',
+      accept: 'Accept',
+      decline: 'Decline',
+      drawDeclined: 'Your draw offer was declined',
+      resyncing: '{error}. Resynchronizing the position',
+      syncFailed: '{error}'
+    },
+
+    puzzle: {
+      title: 'Puzzles',
+      sets: { basic: 'Basic puzzles' },
+      progress: '{solved} of {total} solved',
+      number: 'Puzzle {number}',
+      goal: '{color} to play and win by {winBy} or more',
+      status: { solved: 'Solved', failed: 'Failed', unsolved: 'Not tried' },
+      loadFile: 'Load a puzzle set',
+      loadFailed: 'Could not load: {error}',
+      solving: 'Solving...',
+      solveFailed: 'Could not solve the position: {error}',
+      yourTurn: 'Your move',
+      wrong: 'Wrong: {move} ends at {score}. The best move is {best} ({bestScore})',
+      solved: 'Solved! You won by {diff}',
+      retry: 'Retry',
+      next: 'Next puzzle',
+      list: 'Puzzle list'
+    },
+
+    editor: {
+      title: 'Position editor',
+      count: 'Black {black} / White {white}',
+      toMove: 'Side to move',
+      clear: 'Clear the board',
+      preset: 'Load: {layout}',
+      noMoves: 'Neither side can move in this position',
+      mustPass: '{color} has no legal move and will pass',
+      share: 'Position string (for sharing)',
+      copy: 'Copy',
+      copied: 'Copied',
+      placeholder: 'Paste a position string',
+      load: 'Load',
+      loadFailed: 'Cannot load: {error}',
+      start: { pvp: 'Two players from here', cpu: 'vs CPU from here', analysis: 'Analyze' }
+    },
+
+    errors: {
+      record: {
+        invalidRadius: 'Invalid board size: {radius}',
+        invalidShape: 'Invalid board shape: {shape}',
+        invalidLayout: 'Invalid starting layout',
+        invalidLayoutToken: 'Invalid starting layout: {token}',
+        invalidRules: 'Invalid rules: {rules}',
+        invalidColors: 'Invalid player colors: {colors}',
+        invalidFirst: 'Invalid first player: {first}',
+        missingMoves: 'The move list is missing',
+        gameOver: 'Move {moveNumber} {move}: the game is already over',
+        cannotPass: 'Move {moveNumber} {move}: {color} has a legal move and cannot pass',
+        invalidNotation: 'Move {moveNumber} {move}: invalid move notation',
+        mustPass: 'Move {moveNumber} {move}: {color} has no legal move and must pass',
+        illegalMove: 'Move {moveNumber} {move}: {color} cannot play there',
+        resultMismatch: 'Result mismatch: the record says {recorded}, replaying gives {replayed}',
+        missingHeaders: 'Missing headers (Shape, Radius, Layout)',
+        invalidJson: 'Cannot parse JSON: {detail}',
+        notARecord: 'Not a Honeycomb Reversi record',
+        unsupportedVersion: 'Records of this newer format are not supported (version {version})'
+      },
+      protocol: {
+        moveNumberMismatch: 'Move numbers do not match (received move {received}, expected move {expected})',
+        gameOver: 'Move {moveNumber} {move}: the game is already over',
+        notTheirTurn: 'Move {moveNumber} {move}: it is not your opponent\'s turn',
+        illegalMove: 'Move {moveNumber} {move}: that move is not legal',
+        badRecord: 'Cannot replay the opponent\'s record: {reason}'
+      },
+      puzzle: {
+        invalidJson: 'Cannot parse JSON: {detail}',
+        notAPuzzleSet: 'Not a Honeycomb Reversi puzzle set',
+        unsupportedVersion: 'Puzzle sets of this newer format are not supported (version {version})',
+        missingId: 'Puzzle {puzzle}: the id is missing',
+        duplicateId: 'Puzzle {puzzle}: duplicate id',
+        invalidToMove: 'Puzzle {puzzle}: invalid side to move: {toMove}',
+        invalidGoal: 'Puzzle {puzzle}: invalid target margin: {winBy}',
+        invalidPosition: 'Puzzle {puzzle}: {reason}',
+        noMoves: 'Puzzle {puzzle}: {color} has no legal move'
+      },
+      position: {
+        invalidFormat: 'Not a position string (shape-radius-cells-side to move)',
+        invalidShape: 'Invalid board shape: {shape}',
+        invalidRadius: 'Invalid board size: {radius}',
+        invalidCells: 'The cells do not match the board',
+        invalidToMove: 'Invalid side to move: {toMove}'
+      },
+      share: {
+        invalidPosition: 'Invalid position: {reason}',
+        invalidMoves: 'Invalid move list',
+        invalidGame: 'Cannot replay the game: {reason}',
+        invalidIndex: 'Invalid move number: {index}'
+      }
+    }
+  }
+};
@@ -0,0 +1,280 @@
+// 日本語（翻訳が見つからない時の基準になるカタログ）
+export default {
+  name: '日本語',
+  messages: {
+    language: '言語',
+    colors: { black: '黒', white: '白', red: '赤', blue: '青', green: '緑', yellow: '黄' },
+    modes: { pvp: '2人対戦', cpu: 'CPU対戦', watch: 'CPU観戦', remote: '通信対戦', multi: '多人数対戦', puzzle: '詰めリバーシ', editor: '局面の編集', replay: '再生' },
+    difficulties: { easy: '簡単', normal: '普通', hard: '難しい', expert: '最強', mcts: 'モンテカルロ' },
+    players: { you: 'あなた', opponent: '相手', cpu: 'CPU ({difficulty})' },
+
+    menu: {
+      resume: '続きから（{mode}）',
+      cpuDifficulty: 'CPU難易度',
+      yourColor: 'あなたの色',
+      colorChoices: { black: '黒（先手）', white: '白（後手）', random: 'ランダム' },
+      watchCpu: '観戦: {color}のCPU',
+      multiTitle: '多人数対戦',
+      playerCount: '人数',
+      playerCounts: '{count}人',
+      human: '人間',
+      animationSpeed: 'アニメーション',
+      animationSpeeds: { off: 'なし', slow: 'ゆっくり', normal: '普通', fast: '速い' },
+      mctsPlayouts: 'CPU（{difficulty}）が1手ごとに試す対局の数',
+      playoutCount: '{count}回',
+      openingBook: '序盤は定石を使う（標準の盤面とルール）',
+      bookOn: '使う',
+      bookOff: '使わない'
+    },
+
+    game: {
+      mode: '{mode}モード',
+      scorePanel: '{name}（{color}）{score}個{toMove}',
+      toMove: '、手番',
+      thinking: '考え中...',
+      thinkingPlayer: '{name}が',
+      cpuFailed: 'CPU の処理に失敗しました: {error}',
+      depth: '深さ {depth}',
+      playouts: '{playouts}回試行',
+      candidate: '{move} 勝率{winRate}%',
+      reset: 'リセット',
+      back: '戻る'
+    },
+
+    outcome: {
+      win: '{winner}の勝ち！',
+      draw: '引き分け',
+      resign: '{loser}の投了で{winner}の勝ち！',
+      timeout: '{loser}の時間切れで{winner}の勝ち！',
+      agreedDraw: '合意により引き分け'
+    },
+
+    announce: {
+      move: '{player}が {move} に打ち、{count}個裏返しました: {flips}',
+      start: '対局開始',
+      pass: '{player}は打てる手がないのでパスしました',
+      score: '{color} {score}',
+      listSeparator: '、',
+      turn: '{player}の番です',
+      player: '{name}（{color}）',
+      separator: '。'
+    },
+
+    board: {
+      label: '盤面',
+      help: '矢印キーまたは Q・W・E・A・S・D でマスを移動し、Enter かスペースで石を打ちます',
+      stone: '{color}の石',
+      empty: '空き',
+      playable: '打てます',
+      score: '評価値 {score}',
+      lastMove: '直前の手',
+      separator: '、'
+    },
+
+    boardSettings: {
+      shape: '盤面の形',
+      size: '盤面サイズ',
+      layout: '初期配置',
+      shapes: { hexagon: '六角形', triangle: '三角形', rhombus: '菱形', ring: 'リング', fortress: '砦' },
+      layouts: { standard: '標準', compact: 'コンパクト', ring: 'リング', triangle: '三角', custom: 'カスタム' },
+      customHelp: 'マスをクリックすると 空 → 黒 → 白 の順に切り替わります',
+      unplayable: 'この配置ではどちらも石を置けません'
+    },
+
+    rules: {
+      title: 'ルール',
+      goal: '勝ち',
+      goals: { most: '石が多い方', fewest: '石が少ない方' },
+      flipLines: '裏返す列',
+      flipLineChoices: { all: '挟んだ全ての列', single: '最も長い1列' },
+      chain: '連鎖（裏返った石がさらに挟む）',
+      chainChoices: { off: 'なし', on: 'あり' },
+      noMove: '打てる手がない時',
+      noMoveChoices: { pass: 'パス', free: '好きな空きマスに置く' },
+      passLimit: '連続パスで終局',
+      passLimits: { none: '誰も打てなくなるまで', count: '{count}回' },
+      summary: 'ルール: {rules}',
+      changed: {
+        fewest: 'アンチリバーシ（石が少ない方の勝ち）',
+        single: '1列だけ裏返す',
+        chain: '連鎖あり',
+        free: '打てない時は好きな空きマスに置く',
+        passLimit: '{count}回の連続パスで終局'
+      }
+    },
+
+    timeControl: {
+      title: '持ち時間',
+      types: { none: 'なし', 'sudden-death': '切れ負け', fischer: 'フィッシャー', byoyomi: '秒読み' },
+      mainTime: '持ち時間',
+      increment: '一手ごとの加算',
+      byoyomi: '秒読み',
+      periods: '秒読みの回数',
+      minutes: '{value}分',
+      seconds: '{value}秒',
+      times: '{value}回'
+    },
+
+    clock: {
+      flagged: '時間切れ',
+      periods: '秒読み×{periods}'
+    },
+
+    history: {
+      undo: '↶ 戻す',
+      redo: '進む ↷',
+      start: '開始',
+      pass: 'パス'
+    },
+
+    record: {
+      open: '棋譜の書き出し・読み込み',
+      saveText: 'テキストで保存',
+      saveJson: 'JSONで保存',
+      importPasted: '貼り付けた棋譜を読み込む',
+      importFile: 'ファイルを読み込む',
+      close: '閉じる',
+      placeholder: 'ここに棋譜を貼り付け',
+      importFailed: '読み込めませんでした: {error}'
+    },
+
+    share: {
+      open: 'リンクで共有',
+      game: 'この対局のリンク',
+      position: 'この局面のリンク',
+      close: '閉じる',
+      link: 'リンク',
+      copy: 'コピー',
+      copied: 'コピーしました',
+      openFailed: '共有されたリンクを開けませんでした: {error}',
+      playOn: 'この局面から打つ'
+    },
+
+    analysis: {
+      showFlips: '裏返る石を表示',
+      showScores: '全ての手の評価値',
+      depth: '深さ {depth}',
+      review: '対局を振り返る',
+      reviewing: '解析中... {done} / {total}',
+      cancel: '中止',
+      noBlunders: '大きな悪手はありませんでした',
+      quality: { mistake: '疑問手', blunder: '悪手' },
+      comparison: '（{played}）→ 最善 {best}（{bestScore}）',
+      win: '勝+{diff}',
+      loss: '負{diff}'
+    },
+
+    remote: {
+      title: '通信対戦',
+      transports: { broadcast: '同じブラウザの別タブ', websocket: '中継サーバー' },
+      relayUrl: '中継サーバーの URL',
+      room: '部屋の名前（相手と同じ名前にする）',
+      host: '部屋を作る',
+      join: '参加する',
+      invalidRelayUrl: '中継サーバーの URL は ws:// または wss:// で始めてください',
+      roomStatus: '部屋「{room}」（{role}）: {status}',
+      roles: { host: '作成', guest: '参加' },
+      status: { connecting: '接続中...', open: '接続済み', closed: '切断されました' },
+      waiting: ' — 相手を待っています',
+      resign: '投了',
+      offerDraw: '引き分けを提案',
+      drawSent: '引き分けを提案中...',
+      drawReceived: '相手から引き分けの提案',
+      accept: '受ける',
+      decline: '断る',
+      drawDeclined: '引き分けの提案は断られました',
+      resyncing: '{error}。局面を合わせ直します',
+      syncFailed: '{error}'
+    },
+
+    puzzle: {
+      title: '詰めリバーシ',
+      sets: { basic: '基本問題' },
+      progress: '{solved} / {total} 問正解',
+      number: '問題 {number}',
+      goal: '{color}番: {winBy}石差以上で勝つ',
+      status: { solved: '正解', failed: '不正解', unsolved: '未挑戦' },
+      loadFile: '問題集を読み込む',
+      loadFailed: '読み込めませんでした: {error}',
+      solving: '読み切り中...',
+      solveFailed: '読み切りに失敗しました: {error}',
+      yourTurn: 'あなたの番です',
+      wrong: '不正解: {move} は石差 {score}、最善手は {best}（石差 {bestScore}）',
+      solved: '正解！ {diff}石差で勝ちました',
+      retry: 'やり直す',
+      next: '次の問題',
+      list: '問題一覧'
+    },
+
+    editor: {
+      title: '局面の編集',
+      count: '黒 {black} / 白 {white}',
+      toMove: '手番',
+      clear: '盤面を空にする',
+      preset: '{layout}の配置にする',
+      noMoves: 'どちらも打てない局面です',
+      mustPass: '{color}は打てる手がないのでパスになります',
+      share: '局面の文字列（共有用）',
+      copy: 'コピー',
+      copied: 'コピーしました',
+      placeholder: '局面の文字列を貼り付け',
+      load: '読み込む',
+      loadFailed: '読み込めませんでした: {error}',
+      start: { pvp: 'この局面から2人対戦', cpu: 'この局面からCPU対戦', analysis: '検討する' }
+    },
+
+    errors: {
+      record: {
+        invalidRadius: '盤面の大きさが不正です: {radius}',
+        invalidShape: '盤面の形が不正です: {shape}',
+        invalidLayout: '初期配置が不正です',
+        invalidLayoutToken: '初期配置が不正です: {token}',
+        invalidRules: 'ルールの指定が不正です: {rules}',
+        invalidColors: '対局する色の指定が不正です: {colors}',
+        invalidFirst: '先手の色が不正です: {first}',
+        missingMoves: '手の一覧がありません',
+        gameOver: '第{moveNumber}手 {move}: 対局はすでに終わっています',
+        cannotPass: '第{moveNumber}手 {move}: {color}には打てる手があるためパスできません',
+        invalidNotation: '第{moveNumber}手 {move}: 手の表記が不正です',
+        mustPass: '第{moveNumber}手 {move}: {color}は打てる手がないためパスが必要です',
+        illegalMove: '第{moveNumber}手 {move}: {color}はそこに打てません',
+        resultMismatch: '結果が一致しません: 棋譜は {recorded}、再生結果は {replayed}',
+        missingHeaders: 'ヘッダ（Shape, Radius, Layout）がありません',
+        invalidJson: 'JSON を読み込めません: {detail}',
+        notARecord: 'Honeycomb Reversi の棋譜ではありません',
+        unsupportedVersion: '新しい形式の棋譜には対応していません（バージョン {version}）'
+      },
+      protocol: {
+        moveNumberMismatch: '手数が一致しません（受信 {received}手目、こちらは {expected}手目）',
+        gameOver: '第{moveNumber}手 {move}: 対局はすでに終わっています',
+        notTheirTurn: '第{moveNumber}手 {move}: 相手の手番ではありません',
+        illegalMove: '第{moveNumber}手 {move}: そこには打てません',
+        badRecord: '相手の棋譜を再生できません: {reason}'
+      },
+      puzzle: {
+        invalidJson: 'JSON を読み込めません: {detail}',
+        notAPuzzleSet: 'Honeycomb Reversi の問題集ではありません',
+        unsupportedVersion: '新しい形式の問題集には対応していません（バージョン {version}）',
+        missingId: '問題 {puzzle}: id がありません',
+        duplicateId: '問題 {puzzle}: id が重複しています',
+        invalidToMove: '問題 {puzzle}: 手番の色が不正です: {toMove}',
+        invalidGoal: '問題 {puzzle}: 目標の石差が不正です: {winBy}',
+        invalidPosition: '問題 {puzzle}: {reason}',
+        noMoves: '問題 {puzzle}: {color}に打てる手がありません'
+      },
+      position: {
+        invalidFormat: '局面の文字列ではありません（形-半径-セル-手番）',
+        invalidShape: '盤面の形が不正です: {shape}',
+        invalidRadius: '盤面の大きさが不正です: {radius}',
+        invalidCells: 'セルの並びが盤面と合いません',
+        invalidToMove: '手番が不正です: {toMove}'
+      },
+      share: {
+        invalidPosition: '局面が不正です: {reason}',
+        invalidMoves: '手の並びが不正です',
+        invalidGame: '対局を再生できません: {reason}',
+        invalidIndex: '表示する手数が不正です: {index}'
+      }
+    }
+  }
+};
@@ -0,0 +1,21 @@
+// メッセージカタログの翻訳
+//
+// カタログは { name: 言語の表示名, messages: { ... } }。キーは "menu.resume" のようにドットで区切り、
+// 文中の {name} は params の同じ名前の値に置き換える
+
+// ネストしたメッセージからキーの文を探す
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages);
+
+// {name} を params の値に置き換える（値がなければそのまま残す）
+export const interpolate = (template, params = {}) => (
+  template.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match).toString())
+);
+
+// カタログを順に探す翻訳関数（どこにもなければキーをそのまま返す）
+export const createTranslator = (...catalogs) => (key, params) => {
+  for (const catalog of catalogs) {
+    const message = lookup(catalog.messages, key);
+    if (typeof message === 'string') return interpolate(message, params);
+  }
+  return key;
+};
@@ -0,0 +1,74 @@
+// 通信対戦のメッセージ
+//
+// 全てのメッセージは { v: PROTOCOL_VERSION, type, from, ... }（from は送信者のピアID）
+//
+//   hello        {}                           部屋への参加を知らせる（ゲスト → ホスト）
+//   sync         { record, color, outcome }   棋譜を丸ごと送って局面を合わせる（color は送信者の色）
+//   move         { moveNumber, move }         手を打った（moveNumber は棋譜の何手目か）
+//   resign       {}                           投了
+//   draw-offer   {}                           引き分けの提案
+//   draw-accept  {}                           引き分けの提案を受ける
+//   draw-decline {}                           引き分けの提案を断る
+//   resync       {}                           局面が合わないので sync を求める
+//
+// パスは送らない。強制パスは手を受け取った側もそれぞれ自分で記録する
+import { BLACK, WHITE } from '../game/engine.js';
+import { errorMessage } from '../game/errors.js';
+
+export const PROTOCOL_VERSION = 1;
+
+export const MESSAGE_TYPES = {
+  HELLO: 'hello',
+  SYNC: 'sync',
+  MOVE: 'move',
+  RESIGN: 'resign',
+  DRAW_OFFER: 'draw-offer',
+  DRAW_ACCEPT: 'draw-accept',
+  DRAW_DECLINE: 'draw-decline',
+  RESYNC: 'resync'
+};
+
+// 相手とのやり取りで起きたエラー（code は errors.protocol のメッセージ）
+export class ProtocolError extends Error {
+  constructor(code, params = {}, { cause } = {}) {
+    const messageKey = `errors.protocol.${code}`;
+    super(errorMessage(messageKey, params, cause), { cause });
+    this.name = 'ProtocolError';
+    this.code = code;
+    this.messageKey = messageKey;
+    this.params = params;
+  }
+}
+
+// 投了・合意による終局 { winner: 色 | null, reason: 'resign' | 'draw' }
+const isOutcome = (outcome) => {
+  if (outcome === null) return true;
+  return ['resign', 'draw'].includes(outcome?.reason) && [BLACK, WHITE, null].includes(outcome.winner);
+};
+
+// 種類ごとの中身の検証
+const validators = {
+  [MESSAGE_TYPES.SYNC]: (message) => (
+    typeof message.record === 'object' && message.record !== null &&
+    (message.color === BLACK || message.color === WHITE) &&
+    isOutcome(message.outcome ?? null)
+  ),
+  [MESSAGE_TYPES.MOVE]: (message) => (
+    Number.isInteger(message.moveNumber) && message.moveNumber > 0 && typeof message.move === 'string'
+  )
+};
+
+// 送信するメッセージを作成
+export const createMessage = (type, from, payload = {}) => ({ ...payload, v: PROTOCOL_VERSION, type, from });
+
+// 受信したデータをメッセージとして検証する（不正・未対応なら null）
+export const parseMessage = (data) => {
+  if (typeof data !== 'object' || data === null) return null;
+  if (data.v !== PROTOCOL_VERSION || typeof data.from !== 'string') return null;
+  if (!Object.values(MESSAGE_TYPES).includes(data.type)) return null;
+  const validate = validators[data.type];
+  return !validate || validate(data) ? data : null;
+};
+
+// ピアIDを作成
+export const createPeerId = () => Math.random().toString(36).slice(2, 10);
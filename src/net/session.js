@@ -0,0 +1,56 @@
+// 通信対戦の局面の同期（相手から受け取った手・棋譜の検証）
+import { legalMoves, isTerminal } from '../game/engine.js';
+import { currentState, pushMove, settle, goTo } from '../game/history.js';
+import { createRecord, replayRecord, RecordError } from '../game/record.js';
+import { ProtocolError } from './protocol.js';
+
+const MOVE_PATTERN = /^-?\d+,-?\d+,-?\d+$/;
+
+// 最新の局面に移動した履歴
+const latestOf = (history) => goTo(history, history.states.length - 1);
+
+// 自分の手を打った後の履歴と、相手に送る move メッセージの中身
+export const playLocalMove = (history, move) => {
+  const played = pushMove(latestOf(history), move);
+  return { history: settle(played), payload: { moveNumber: played.moves.length, move } };
+};
+
+// 相手の手を検証して最新の局面に打つ（手番・手数・合法手でなければ ProtocolError）
+// color は相手の色
+export const receiveMove = (history, { moveNumber, move }, color) => {
+  const latest = latestOf(history);
+  const state = currentState(latest);
+  const expected = latest.moves.length + 1;
+
+  if (moveNumber !== expected) {
+    throw new ProtocolError('moveNumberMismatch', { received: moveNumber, expected });
+  }
+  if (isTerminal(state)) {
+    throw new ProtocolError('gameOver', { moveNumber, move });
+  }
+  if (state.currentPlayer !== color) {
+    throw new ProtocolError('notTheirTurn', { moveNumber, move });
+  }
+  if (!MOVE_PATTERN.test(move) || !legalMoves(state).has(move)) {
+    throw new ProtocolError('illegalMove', { moveNumber, move });
+  }
+
+  return settle(pushMove(latest, move));
+};
+
+// sync メッセージの中身
+export const createSync = (history, color, outcome) => ({
+  record: createRecord(history),
+  color,
+  outcome
+});
+
+// sync で受け取った棋譜を再生する（不正な棋譜なら ProtocolError）
+export const receiveSync = ({ record }) => {
+  try {
+    return settle(replayRecord(record));
+  } catch (error) {
+    if (!(error instanceof RecordError)) throw error;
+    throw new ProtocolError('badRecord', {}, { cause: error });
+  }
+};
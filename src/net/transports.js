@@ -0,0 +1,102 @@
+// 通信対戦の通信路（transport）
+//
+// どの通信路も同じ形のオブジェクトを返す:
+//   send(message)                  同じ部屋の相手にメッセージ（JSON にできるオブジェクト）を送る
+//   listen({ onMessage, onStatus }) 受信したメッセージと接続状態の変化を受け取る。戻り値は解除用の関数
+//   close()                        通信路を閉じる
+// 接続状態は 'connecting' → 'open' → 'closed'。自分が送ったメッセージは自分には届かない
+//
+// 受信したメッセージの検証は呼び出し側（protocol.js の parseMessage）で行う
+
+// 購読者の管理（各通信路で共通）
+const createListeners = (initialStatus) => {
+  const listeners = new Set();
+  let status = initialStatus;
+
+  const listen = (listener) => {
+    listeners.add(listener);
+    listener.onStatus?.(status);
+    return () => listeners.delete(listener);
+  };
+
+  const emitMessage = (message) => {
+    for (const listener of listeners) listener.onMessage?.(message);
+  };
+
+  const emitStatus = (next) => {
+    status = next;
+    for (const listener of listeners) listener.onStatus?.(next);
+  };
+
+  return { listen, emitMessage, emitStatus };
+};
+
+// BroadcastChannel による通信路（同じブラウザの別タブ同士）
+export const createBroadcastTransport = (room) => {
+  const channel = new BroadcastChannel(`honeycomb-reversi:${room}`);
+  const { listen, emitMessage, emitStatus } = createListeners('open');
+
+  channel.onmessage = (event) => emitMessage(event.data);
+
+  return {
+    send: (message) => channel.postMessage(message),
+    listen,
+    close: () => {
+      channel.close();
+      emitStatus('closed');
+    }
+  };
+};
+
+// WebSocket による通信路（server/relay.js などの中継サーバー経由）
+// 接続前に送ったメッセージは接続後にまとめて送る
+export const createWebSocketTransport = (url, room) => {
+  const target = new URL(url);
+  target.searchParams.set('room', room);
+
+  const socket = new WebSocket(target);
+  const { listen, emitMessage, emitStatus } = createListeners('connecting');
+  const queue = [];
+
+  socket.onopen = () => {
+    emitStatus('open');
+    queue.splice(0).forEach(text => socket.send(text));
+  };
+  socket.onclose = () => emitStatus('closed');
+  socket.onmessage = (event) => {
+    try {
+      emitMessage(JSON.parse(event.data));
+    } catch {
+      // JSON でないメッセージは無視
+    }
+  };
+
+  return {
+    send: (message) => {
+      const text = JSON.stringify(message);
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(text);
+      } else if (socket.readyState === WebSocket.CONNECTING) {
+        queue.push(text);
+      }
+    },
+    listen,
+    close: () => socket.close()
+  };
+};
+
+// 通信路の種類
+export const TRANSPORT_KINDS = {
+  BROADCAST: 'broadcast',
+  WEBSOCKET: 'websocket'
+};
+
+// 中継サーバーのデフォルトの URL（server/relay.js のデフォルト）
+export const DEFAULT_RELAY_URL = 'ws://localhost:8787';
+
+// 種類を指定して通信路を作成
+export const createTransport = (kind, { room, relayUrl = DEFAULT_RELAY_URL }) => {
+  if (kind === TRANSPORT_KINDS.BROADCAST) return createBroadcastTransport(room);
+  if (kind === TRANSPORT_KINDS.WEBSOCKET) return createWebSocketTransport(relayUrl, room);
+  throw new Error(`Unknown transport: ${kind}`);
+};
@@ -0,0 +1,107 @@
+// 設定と対局中のゲームを localStorage に保存する
+//
+// 保存形式: { version, settings, game, puzzles }
+//   settings: { cpuDifficulty, humanColor, watchDifficulties, mctsPlayouts, useOpeningBook, soundEnabled, boardSettings,
+//               timeControl, showFlipHints, showMoveScores, animationSpeed, remoteSettings, language, multiSettings, rules }
+//   game:     { mode, seats, record, index, start } | null（record は棋譜形式、index は表示中の局面、
+//             start は局面の編集から始めた対局の開始局面の文字列で、省略可）
+//   puzzles:  { "問題集ID/問題ID": 'solved' | 'failed' }（詰めリバーシの進み具合、省略可）
+//
+// 形式を変える時は SCHEMA_VERSION を上げ、migrations に古い形式からの変換を追加する
+import { createRecord, replayRecord } from './game/record.js';
+import { goTo } from './game/history.js';
+import { positionToText, textToPosition } from './game/position.js';
+import { HUMAN } from './game/seats.js';
+import { CPU_DIFFICULTY } from './game/cpu.js';
+
+const STORAGE_KEY = 'honeycomb-reversi';
+
+export const SCHEMA_VERSION = 1;
+
+// migrations[n] はバージョン n のデータをバージョン n + 1 に変換する
+const migrations = {};
+
+// 保存する対局のモード（通信対戦・共有されたリンクの再生は保存しない）
+const SAVED_MODES = ['pvp', 'cpu', 'watch', 'multi'];
+
+// 担当として保存できる値（人間かCPUの難易度）
+const isSavedSeat = (seat) => seat === HUMAN || Object.values(CPU_DIFFICULTY).includes(seat);
+
+const emptyData = () => ({ version: SCHEMA_VERSION, settings: {}, game: null });
+
+// 古い形式を現在の形式に変換（変換できなければ null）
+const migrate = (data) => {
+  if (!data || !Number.isInteger(data.version) || data.version > SCHEMA_VERSION) return null;
+  let migrated = data;
+  while (migrated.version < SCHEMA_VERSION) {
+    const step = migrations[migrated.version];
+    if (!step) return null;
+    migrated = step(migrated);
+  }
+  return migrated;
+};
+
+// 保存データを読み込む（壊れている・未対応の形式なら空のデータ）
+const readData = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return emptyData();
+    return migrate(JSON.parse(raw)) ?? emptyData();
+  } catch {
+    return emptyData();
+  }
+};
+
+const writeData = (data) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...data, version: SCHEMA_VERSION }));
+  } catch {
+    // 容量不足やプライベートモードなどで保存できない場合は無視
+  }
+};
+
+// 設定を読み込む（保存されていない項目は含まない）
+export const loadSettings = () => readData().settings ?? {};
+
+// 渡した項目だけを上書きする（言語の設定は App の外で保存する）
+export const saveSettings = (settings) => {
+  const data = readData();
+  writeData({ ...data, settings: { ...data.settings, ...settings } });
+};
+
+// 対局中のゲームを読み込む（再生できない棋譜・知らないモードや担当のゲームは破棄する）
+// 戻り値: { mode, seats, history, startPosition } | null（startPosition は局面の編集から始めた対局の開始局面、なければ null）
+export const loadGame = () => {
+  const { game } = readData();
+  if (!game || !SAVED_MODES.includes(game.mode)) return null;
+  try {
+    const history = goTo(replayRecord(game.record), game.index);
+    // 対局する全ての色に担当が決まっていること
+    if (!history.states[0].players.every(color => isSavedSeat(game.seats?.[color]))) return null;
+    const startPosition = typeof game.start === 'string' ? textToPosition(game.start) : null;
+    return { mode: game.mode, seats: game.seats, history, startPosition };
+  } catch {
+    return null;
+  }
+};
+
+export const saveGame = ({ mode, seats, history, players, startPosition = null }) => {
+  const game = { mode, seats, record: createRecord(history, players), index: history.index };
+  if (startPosition) game.start = positionToText(startPosition);
+  writeData({ ...readData(), game });
+};
+
+export const clearGame = () => {
+  writeData({ ...readData(), game: null });
+};
+
+// 詰めリバーシの進み具合を読み込む
+export const loadPuzzleProgress = () => readData().puzzles ?? {};
+
+// 問題の結果を記録する（一度正解した問題は、後で間違えても正解のままにする）
+export const savePuzzleResult = (key, result) => {
+  const data = readData();
+  const puzzles = data.puzzles ?? {};
+  if (puzzles[key] === 'solved') return;
+  writeData({ ...data, puzzles: { ...puzzles, [key]: result } });
+};
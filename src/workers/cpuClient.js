@@ -0,0 +1,112 @@
+// CPU Worker とのやり取り
+//
+// メッセージ:
+//   start    (メイン → Worker) { id, board, player, players, difficulty, shape, rules, timeLimit, playouts, useBook } 思考を開始する
+//   analyze  (メイン → Worker) { id, board, player, shape, rules, timeLimit }    全ての合法手の評価値を求める
+//   review   (メイン → Worker) { id, positions, shape, rules, timePerMove }     対局を振り返る（analysis.js の reviewGame）
+//   solve    (メイン → Worker) { id, board, player, shape, rules }              終局まで読み切る（solver.js の solveMoves）
+//   （players・rules・timeLimit・playouts・useBook は省略可。rules を省略すると標準のルール。playouts はモンテカルロ木探索のプレイアウト数、
+//    useBook なら定石にある局面では定石の手を打つ）
+//   progress (Worker → メイン) { id, ... }  途中経過（start は読んだ深さと暫定の最善手、モンテカルロ木探索ではプレイアウト数と
+//                                            手ごとの { move, visits, winRate }、review は解析済みの手数）
+//   result   (Worker → メイン) { id, result } 結果（start は手、analyze は { scores, depth, exact }、review は各手の評価、solve は { scores, bestMove, bestScore, nodes }）
+//   error    (Worker → メイン) { id, message } 処理中に例外が起きた（onError に message が渡る）
+//
+// shape は { name, radius } だけを送り、Worker 内で作り直す（毎回送ると別のオブジェクトになり、
+// 盤面の形ごとのキャッシュ（評価値の表・ビットボードの配置）が効かなくなるため）
+//
+// 探索は Worker 内で同期的に走るため、思考中の Worker はメッセージを受け取れない。
+// そのため中断（cancel）はメッセージではなく Worker の終了で実現し、次の処理で新しい Worker を起動する。
+
+const createWorker = () => {
+  return new Worker(new URL('./cpuWorker.js', import.meta.url), { type: 'module' });
+};
+
+export const createCpuClient = () => {
+  let worker = null;
+  let nextId = 1;
+  let pending = null; // { id, onProgress, onResult, onError }
+
+  // 実行中の処理を失敗にする
+  const fail = (message) => {
+    const { onError } = pending;
+    pending = null;
+    onError?.(message);
+  };
+
+  const handleMessage = (event) => {
+    const { type, id, ...data } = event.data;
+    if (!pending || pending.id !== id) return; // 中断済みの思考の結果は捨てる
+
+    if (type === 'progress') {
+      pending.onProgress?.(data);
+    } else if (type === 'result') {
+      const { onResult } = pending;
+      pending = null;
+      onResult(data.result);
+    } else if (type === 'error') {
+      fail(data.message);
+    }
+  };
+
+  // Worker 自体のエラー（読み込めない・メッセージを送れないなど）。Worker は作り直す
+  const handleError = (event) => {
+    event.preventDefault();
+    worker.terminate();
+    worker = null;
+    if (pending) fail(event.message || 'CPU worker failed');
+  };
+
+  // 処理を開始し、中断用の id を返す（実行中の処理は中断する）
+  const request = (type, params, { onProgress, onResult, onError }) => {
+    if (pending) cancel(pending.id);
+    if (!worker) {
+      worker = createWorker();
+      worker.onmessage = handleMessage;
+      worker.onerror = handleError;
+      worker.onmessageerror = () => pending && fail('CPU worker message could not be read');
+    }
+
+    const id = nextId++;
+    pending = { id, onProgress, onResult, onError };
+    worker.postMessage({ type, id, ...params, shape: { name: params.shape.name, radius: params.shape.radius } });
+    return id;
+  };
+
+  // 思考を開始する（結果は手）
+  const start = ({ board, player, players, difficulty, shape, rules, timeLimit, playouts, useBook }, callbacks) => {
+    return request('start', { board, player, players, difficulty, shape, rules, timeLimit, playouts, useBook }, callbacks);
+  };
+
+  // 全ての合法手の評価値を求める
+  const analyze = ({ board, player, shape, rules, timeLimit }, callbacks) => {
+    return request('analyze', { board, player, shape, rules, timeLimit }, callbacks);
+  };
+
+  // 対局を振り返る
+  const review = ({ positions, shape, rules, timePerMove }, callbacks) => {
+    return request('review', { positions, shape, rules, timePerMove }, callbacks);
+  };
+
+  // 終局まで読み切って、全ての合法手の正確な石差を求める
+  const solve = ({ board, player, shape, rules }, callbacks) => {
+    return request('solve', { board, player, shape, rules }, callbacks);
+  };
+
+  // 処理を中断する（結果のコールバックは呼ばれない）
+  const cancel = (id) => {
+    if (!pending || pending.id !== id) return;
+    pending = null;
+    worker.terminate();
+    worker = null;
+  };
+
+  // Worker を破棄する
+  const dispose = () => {
+    if (pending) cancel(pending.id);
+    worker?.terminate();
+    worker = null;
+  };
+
+  return { start, analyze, review, solve, cancel, dispose };
+};
@@ -0,0 +1,64 @@
+// CPUの思考・局面の解析を行う Web Worker
+// メッセージの形式は cpuClient.js を参照
+import { createNamedShape } from '../game/board.js';
+import { calculateValidMoves } from '../game/engine.js';
+import { selectCPUMove } from '../game/cpu.js';
+import { evaluateMoves } from '../game/search.js';
+import { reviewGame } from '../game/analysis.js';
+import { solveMoves } from '../game/solver.js';
+import { readBook } from '../game/book.js';
+import standardBook from '../books/standard.json';
+
+// 同梱の定石（標準の盤面とルール用。盤面やルールが違う対局では使われない）
+const BOOK = readBook(standardBook);
+
+// 盤面の形（同じ形には同じオブジェクトを使い、形ごとのキャッシュを効かせる）
+const shapes = new Map();
+const shapeOf = ({ name, radius }) => {
+  const key = `${name}:${radius}`;
+  if (!shapes.has(key)) shapes.set(key, createNamedShape(name, radius));
+  return shapes.get(key);
+};
+
+// 種類ごとの処理（戻り値が result として返る）
+const handlers = {
+  // 手を選ぶ
+  start: ({ board, player, players, difficulty, shape, rules, timeLimit, playouts, useBook }, progress) => {
+    const validMoves = calculateValidMoves(player, board, shape, rules);
+    return selectCPUMove(validMoves, player, board, difficulty, shape, {
+      players,
+      rules,
+      timeLimit,
+      playouts,
+      book: useBook ? BOOK : null,
+      // 探索は読んだ深さ、モンテカルロ木探索はプレイアウト数と手ごとの勝率
+      onProgress: ({ depth, move, score, exact, playouts: count, moves }) => progress({ depth, move, score, exact, playouts: count, moves })
+    });
+  },
+  // 全ての合法手の評価値
+  analyze: ({ board, player, shape, rules, timeLimit }) => {
+    return evaluateMoves(board, player, shape, { timeLimit, rules });
+  },
+  // 対局の振り返り
+  review: ({ positions, shape, rules, timePerMove }, progress) => {
+    return reviewGame(positions, shape, { timePerMove, rules, onProgress: progress });
+  },
+  // 終局まで読み切る（詰めリバーシの正解判定）
+  solve: ({ board, player, shape, rules }) => {
+    return solveMoves(board, player, shape, rules);
+  }
+};
+
+self.onmessage = (event) => {
+  const { type, id, shape, ...params } = event.data;
+  const handler = handlers[type];
+  if (!handler) return;
+
+  // 処理で例外が起きても結果を待たせないよう、エラーとして返す
+  try {
+    const result = handler({ ...params, shape: shapeOf(shape) }, (data) => self.postMessage({ type: 'progress', id, ...data }));
+    self.postMessage({ type: 'result', id, result });
+  } catch (error) {
+    self.postMessage({ type: 'error', id, message: error instanceof Error ? error.message : String(error) });
+  }
+};
@@ -0,0 +1,105 @@
+// 棋譜の読み書き（src/game/record.js）のテスト
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNamedShape } from '../src/game/board.js';
+import { PASS, WHITE, createGame, legalMoves } from '../src/game/engine.js';
+import { createRules } from '../src/game/rules.js';
+import { createHistory, currentState, pushMove } from '../src/game/history.js';
+import {
+  RecordError, createRecord, recordToText, textToRecord, recordToJSON, jsonToRecord, replayRecord, importRecord,
+  textToLayout, textToRules, rulesToText
+} from '../src/game/record.js';
+
+// 毎回最初の合法手を打って plies 手進めた履歴
+const playHistory = (game, plies) => {
+  let history = createHistory(game);
+  for (let i = 0; i < plies; i++) {
+    history = pushMove(history, [...legalMoves(currentState(history))][0]);
+  }
+  return history;
+};
+
+const sameBoard = (a, b) => a.size === b.size && [...a].every(([key, color]) => b.get(key) === color);
+
+const recordError = (code) => (error) => error instanceof RecordError && error.code === code;
+
+test('a record survives the text format', () => {
+  const history = playHistory(createGame({ shape: createNamedShape('triangle', 5) }), 6);
+  const record = createRecord(history, { black: 'Alice', white: 'Bob "the CPU"' });
+  const read = textToRecord(recordToText(record));
+
+  assert.deepEqual(read.moves, history.moves);
+  assert.equal(read.players.black, 'Alice');
+  assert.equal(read.players.white, "Bob 'the CPU'");
+  const replayed = replayRecord(read);
+  assert.ok(sameBoard(currentState(replayed).board, currentState(history).board));
+});
+
+test('rules, colors and custom layouts survive the text format', () => {
+  const rules = createRules({ goal: 'fewest', chain: true, passLimit: 2 });
+  const history = playHistory(createGame({ rules }), 4);
+  const record = { ...createRecord(history), layout: [...history.states[0].board] };
+  const read = textToRecord(recordToText(record));
+
+  assert.deepEqual(read.rules, { goal: 'fewest', chain: true, passLimit: 2 });
+  assert.deepEqual(read.layout, record.layout);
+  assert.deepEqual(currentState(replayRecord(read)).rules, rules);
+});
+
+test('rule text reads booleans and numbers', () => {
+  assert.deepEqual(textToRules(' goal=fewest  chain=false passLimit=1 '), { goal: 'fewest', chain: false, passLimit: 1 });
+  assert.deepEqual(textToRules(''), {});
+  assert.equal(rulesToText({ flipLines: 'single', chain: true }), 'flipLines=single chain=true');
+});
+
+test('layout text reads presets and custom stones', () => {
+  assert.equal(textToLayout('standard'), 'standard');
+  assert.deepEqual(textToLayout('0,0,0:W 1,-1,0:B'), [['0,0,0', 'white'], ['1,-1,0', 'black']]);
+  assert.throws(() => textToLayout('0,0,0:X'), recordError('invalidLayoutToken'));
+});
+
+test('the JSON format checks the format and version', () => {
+  const record = createRecord(playHistory(createGame(), 3));
+  assert.deepEqual(jsonToRecord(recordToJSON(record)), record);
+
+  assert.throws(() => jsonToRecord('{'), recordError('invalidJson'));
+  assert.throws(() => jsonToRecord('{"format":"other"}'), recordError('notARecord'));
+  assert.throws(() => jsonToRecord(JSON.stringify({ ...record, version: record.version + 1 })), recordError('unsupportedVersion'));
+  assert.equal(importRecord(recordToJSON(record)).history.moves.length, 3);
+});
+
+test('text without the board headers is rejected', () => {
+  assert.throws(() => textToRecord('1. 2,-1,-1'), recordError('missingHeaders'));
+});
+
+test('replaying reports the move that breaks the rules', () => {
+  const record = createRecord(playHistory(createGame(), 2));
+  const replayWith = (moves) => () => replayRecord({ ...record, result: null, moves });
+  const [first, second] = record.moves;
+
+  assert.throws(replayWith([first, first]), (error) => {
+    return recordError('illegalMove')(error) && error.moveNumber === 2 && error.move === first && error.params.color === WHITE;
+  });
+  assert.throws(replayWith([first, PASS]), recordError('cannotPass'));
+  assert.throws(replayWith([first, 'b4']), recordError('invalidNotation'));
+  assert.throws(replayWith(undefined), recordError('missingMoves'));
+  assert.equal(replayWith([first, second])().moves.length, 2);
+});
+
+test('replaying checks the board settings and the recorded result', () => {
+  const record = createRecord(playHistory(createGame(), 2));
+  const replay = (changes) => () => replayRecord({ ...record, ...changes });
+
+  assert.throws(replay({ shape: { name: 'hexagon', radius: 99 } }), recordError('invalidRadius'));
+  assert.throws(replay({ shape: { name: 'circle', radius: 4 } }), recordError('invalidShape'));
+  assert.throws(replay({ rules: { goal: 'none' } }), recordError('invalidRules'));
+  assert.throws(replay({ colors: ['black', 'black'] }), recordError('invalidColors'));
+  assert.throws(replay({ first: 'red' }), recordError('invalidFirst'));
+  assert.throws(replay({ layout: 'nowhere' }), recordError('invalidLayoutToken'));
+});
+
+test('error messages come from the English catalog', () => {
+  const error = new RecordError('illegalMove', { moveNumber: 3, move: '1,-1,0', color: 'black' });
+  assert.equal(error.message, 'Move 3 1,-1,0: black cannot play there');
+  assert.equal(error.messageKey, 'errors.record.illegalMove');
+});
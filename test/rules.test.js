@@ -0,0 +1,94 @@
+// ルールエンジン（src/game/engine.js）のルールの変種ごとのテスト
+//
+// 半径3の六角形の盤面に、変種ごとの違いが出る局面を石を直接並べて作る
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNamedShape } from '../src/game/board.js';
+import {
+  BLACK, WHITE, createGame, applyMove, pass, legalMoves, mustPass, isTerminal, winner, getFlips
+} from '../src/game/engine.js';
+import { createRules } from '../src/game/rules.js';
+import { fromKey } from '../src/game/hex.js';
+
+const shape = createNamedShape('hexagon', 3);
+
+const gameOf = (stones, rules = {}, currentPlayer = BLACK) => {
+  return createGame({ shape, rules: createRules(rules), board: new Map(stones), currentPlayer });
+};
+
+const flipsAt = (state, key) => getFlips(fromKey(key), state.currentPlayer, state.board, shape, state.rules);
+
+// 0,0,0 に黒が打つと、右上に1個、左下に2個の白を挟める
+const TWO_LINES = [
+  ['1,-1,0', WHITE], ['2,-2,0', BLACK],
+  ['-1,1,0', WHITE], ['-2,2,0', WHITE], ['-3,3,0', BLACK]
+];
+
+// 黒は打てる手がなく、白は 1,-1,0 に打てる
+const BLACK_MUST_PASS = [['2,-2,0', BLACK], ['3,-3,0', WHITE]];
+
+test('standard rules flip every line and reject passing while a move exists', () => {
+  const state = gameOf(TWO_LINES);
+  assert.deepEqual(flipsAt(state, '0,0,0').sort(), ['-1,1,0', '-2,2,0', '1,-1,0']);
+  assert.throws(() => pass(state));
+  assert.throws(() => applyMove(state, '3,-3,0'), /Illegal move/);
+
+  // 白の石がなくなって終局する
+  const next = applyMove(state, '0,0,0');
+  assert.equal(next.board.get('-2,2,0'), BLACK);
+  assert.ok(isTerminal(next));
+  assert.equal(winner(next), BLACK);
+});
+
+test('goal=fewest makes the player with fewer stones win', () => {
+  const stones = [['0,0,0', BLACK], ['3,-3,0', WHITE], ['-3,3,0', WHITE]];
+  const most = gameOf(stones);
+  const fewest = gameOf(stones, { goal: 'fewest' });
+  assert.ok(isTerminal(most) && isTerminal(fewest));
+  assert.equal(winner(most), WHITE);
+  assert.equal(winner(fewest), BLACK);
+});
+
+test('flipLines=single flips only the longest line', () => {
+  const state = gameOf(TWO_LINES, { flipLines: 'single' });
+  assert.deepEqual(flipsAt(state, '0,0,0'), ['-1,1,0', '-2,2,0']);
+});
+
+test('chain=true treats flipped stones as placed stones', () => {
+  // 1,-1,0 が裏返ると、1,0,-1 の白が 1,1,-2 の黒との間に挟まる
+  const stones = [['1,-1,0', WHITE], ['2,-2,0', BLACK], ['1,0,-1', WHITE], ['1,1,-2', BLACK]];
+  assert.deepEqual(flipsAt(gameOf(stones), '0,0,0'), ['1,-1,0']);
+  assert.deepEqual(flipsAt(gameOf(stones, { chain: true }), '0,0,0'), ['1,-1,0', '1,0,-1']);
+});
+
+test('noMove=free lets a player without moves place on any empty cell', () => {
+  const stones = [['0,0,0', BLACK], ['3,-3,0', WHITE]];
+  assert.ok(isTerminal(gameOf(stones)));
+
+  const state = gameOf(stones, { noMove: 'free' });
+  assert.ok(!isTerminal(state));
+  assert.equal(legalMoves(state).size, shape.cells.length - stones.length);
+  assert.deepEqual(flipsAt(state, '-3,3,0'), []);
+  assert.equal(applyMove(state, '-3,3,0').board.get('-3,3,0'), BLACK);
+});
+
+test('passLimit ends the game after that many consecutive passes', () => {
+  const unlimited = pass(gameOf(BLACK_MUST_PASS));
+  assert.ok(!isTerminal(unlimited));
+  assert.equal(unlimited.passCount, 1);
+  assert.ok(!mustPass(unlimited));
+
+  const afterOne = pass(gameOf(BLACK_MUST_PASS, { passLimit: 1 }));
+  assert.ok(isTerminal(afterOne));
+  assert.equal(winner(afterOne), null);
+
+  const afterTwo = pass(gameOf(BLACK_MUST_PASS, { passLimit: 2 }));
+  assert.ok(!isTerminal(afterTwo));
+  assert.equal(applyMove(afterTwo, '1,-1,0').passCount, 0);
+});
+
+test('createRules rejects unknown rules and values', () => {
+  assert.throws(() => createRules({ goal: 'most stones' }), /Invalid rule/);
+  assert.throws(() => createRules({ passLimit: 3 }), /Invalid rule/);
+  assert.throws(() => createRules({ speed: 'fast' }), /Invalid rule/);
+});
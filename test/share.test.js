@@ -0,0 +1,99 @@
+// 局面の文字列（src/game/position.js）と共有リンク（src/game/share.js）のテスト
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNamedShape } from '../src/game/board.js';
+import { BLACK, WHITE, createGame, legalMoves } from '../src/game/engine.js';
+import { createRules } from '../src/game/rules.js';
+import { createHistory, currentState, goTo, pushMove } from '../src/game/history.js';
+import { RecordError } from '../src/game/record.js';
+import { PositionError, positionToText, textToPosition } from '../src/game/position.js';
+import { ShareError, gameFragment, positionFragment, readFragment } from '../src/game/share.js';
+
+const playHistory = (game, plies) => {
+  let history = createHistory(game);
+  for (let i = 0; i < plies; i++) {
+    history = pushMove(history, [...legalMoves(currentState(history))][0]);
+  }
+  return history;
+};
+
+const sameBoard = (a, b) => a.size === b.size && [...a].every(([key, color]) => b.get(key) === color);
+
+const errorWith = (type, code) => (error) => error instanceof type && error.code === code;
+
+test('a position string survives the round trip', () => {
+  const state = currentState(playHistory(createGame({ shape: createNamedShape('hexagon', 3) }), 5));
+  const text = positionToText(state);
+  assert.match(text, /^hexagon-3-[0-9BW]+-[BW]$/);
+
+  const position = textToPosition(text);
+  assert.equal(position.shape.name, 'hexagon');
+  assert.equal(position.shape.radius, 3);
+  assert.equal(position.currentPlayer, state.currentPlayer);
+  assert.ok(sameBoard(position.board, state.board));
+});
+
+test('a position string counts empty cells and stones', () => {
+  const { board, currentPlayer } = textToPosition('hexagon-3-B35W-W');
+  const shape = createNamedShape('hexagon', 3);
+  assert.equal(currentPlayer, WHITE);
+  assert.deepEqual([...board.values()], [BLACK, WHITE]);
+  assert.equal(positionToText({ shape, board, currentPlayer }), 'hexagon-3-B35W-W');
+});
+
+test('broken position strings are rejected', () => {
+  const rejects = (text, code) => assert.throws(() => textToPosition(text), errorWith(PositionError, code));
+  rejects('hexagon-3-37', 'invalidFormat');
+  rejects('circle-3-37-B', 'invalidShape');
+  rejects('hexagon-9-37-B', 'invalidRadius');
+  rejects('hexagon-x-37-B', 'invalidRadius');
+  rejects('hexagon-3-36-B', 'invalidCells');
+  rejects('hexagon-3-37B-B', 'invalidCells');
+  rejects('hexagon-3-36R-B', 'invalidCells');
+  rejects('hexagon-3-37-R', 'invalidToMove');
+});
+
+test('a game link opens the game at the shown move', () => {
+  const rules = createRules({ flipLines: 'single' });
+  const history = goTo(playHistory(createGame({ rules }), 6), 4);
+  const read = readFragment(`#${gameFragment(history)}`);
+
+  assert.deepEqual(read.moves, history.moves);
+  assert.equal(read.index, 4);
+  assert.deepEqual(currentState(read).rules, rules);
+  assert.ok(sameBoard(currentState(read).board, currentState(history).board));
+});
+
+test('a position link opens the position without moves', () => {
+  const state = currentState(playHistory(createGame(), 3));
+  const read = readFragment(positionFragment(state));
+  assert.equal(read.moves.length, 0);
+  assert.equal(currentState(read).currentPlayer, state.currentPlayer);
+  assert.ok(sameBoard(currentState(read).board, state.board));
+});
+
+test('other fragments are not share links', () => {
+  assert.equal(readFragment(''), null);
+  assert.equal(readFragment('#section'), null);
+});
+
+test('broken share links are rejected with the cause', () => {
+  const history = playHistory(createGame(), 2);
+  const params = new URLSearchParams(gameFragment(history));
+  const withParam = (name, value) => {
+    const changed = new URLSearchParams(params);
+    changed.set(name, value);
+    return () => readFragment(changed.toString());
+  };
+
+  assert.throws(withParam('p', 'hexagon-4'), (error) => {
+    return errorWith(ShareError, 'invalidPosition')(error) && error.cause instanceof PositionError;
+  });
+  assert.throws(withParam('m', 'A'), errorWith(ShareError, 'invalidMoves'));
+  assert.throws(withParam('m', '9_'), errorWith(ShareError, 'invalidMoves'));
+  assert.throws(withParam('m', 'AAAA'), (error) => {
+    return errorWith(ShareError, 'invalidGame')(error) && error.cause instanceof RecordError;
+  });
+  assert.throws(withParam('i', '3'), errorWith(ShareError, 'invalidIndex'));
+  assert.throws(withParam('r', 'goal=none'), errorWith(ShareError, 'invalidGame'));
+});